@@ -2,13 +2,93 @@
 // + Feature Report rendering
 // + Loss chart from training history (loss & val_loss)
 // + Validation split & early stopping controls
-// + Optional class weights block (commented) if захочешь включить
+// + Class imbalance strategy (imbalance.js): class weights, focal loss, noisy oversampling, SMOTE,
+//   borderline-SMOTE or undersampling, seeded; also used by CV, leaderboard and search
+// + Model bundle save/load (IndexedDB + download/upload files), restores preprocessing & threshold
+// + Batch scoring of unlabeled CSVs -> ranked risk list download
+// + CSV parse report (delimiter, rejected rows with line numbers) next to dataStatus
+// + Engineered feature editor (expr.js expressions): edit/toggle/add, JSON import/export
+// + Column mapping after upload: column roles, target + positive value, export meta fields
+// + Imputation per column (mapping table), validation rules editor, Data Quality report
+// + Stratified k-fold cross-validation: per-fold metrics, mean ± std, pooled confusion matrix
+// + Model zoo (GRU / logistic / MLP / boosted stumps) selector and a leaderboard on the same split
+// + Explanations: permutation importance chart, per-employee Shapley contributions, TopDrivers column
+// + Hyperparameter search (grid / random / successive halving) on a validation split, sortable trials, adopt best
+// + Panel (multi-snapshot) mapping: employee ID, snapshot date, horizon and sequence length -> real GRU timesteps
+// + Probability calibration (Platt / isotonic) on a held-out split: reliability diagram, Brier, ECE;
+//   every probability shown or exported after training goes through the calibrator
+// + Global seed (taken at Prepare) for splits, resampling, search, explanations and TF.js init/dropout/shuffling
+// + Experiment history in IndexedDB: every train → evaluate cycle with config, data fingerprint, features,
+//   losses and metrics; compare/diff runs, apply a run's config, export JSON
+// + Fairness audit by any column (numeric ones binned): per-group selection rate / TPR / FPR / precision /
+//   calibration, demographic parity and equalized-odds gaps; optional exclusion of sensitive attributes and
+//   a with/without comparison on the same split
+// + Threshold by objective (F1 / expected cost / target recall / HR capacity), ROC & PR charts with the
+//   current threshold marked, live confusion matrix while the threshold or objective inputs change
+// + EDA for every column: per-class histograms + box stats, leave rates with 95% intervals, association ranking
+//   (mutual information / Cramér's V / χ²), correlation heatmap with redundant pairs flagged
+// + What-if editor for any test employee (re-scored through the fitted pipeline, model and calibrator) and
+//   counterfactual suggestions: fewest lever changes below the threshold, immutable/sensitive columns locked
+// + Data drift dashboard: scored or uploaded files vs the training profile saved with the model (PSI, KS,
+//   new / vanished category levels) with an overall retraining alert
+// + Training, evaluation, CV, leaderboard, search and the fairness retrain run in a Web Worker (trainer.js) with
+//   live progress and loss chart; Pause / Resume / Cancel, a cancelled run leaves the model as it was
+// + Restore-best-weights, learning-rate schedules (step / cosine / reduce on plateau) with an LR chart under the
+//   loss chart, and IndexedDB training checkpoints every N epochs that resume after a page reload
+// + Risk segmentation of the test split: decile lift and cumulative gain charts, predicted vs actual attrition
+//   by cohort (Department, JobRole, tenure band, any column), filterable top-N at-risk table
+// + Predictions / risk list exports as escaped CSV, JSON or XLSX with a column picker; predictions for the
+//   test split or every split
+// + Survival analysis of tenure to exit: Kaplan–Meier curves by any column with log-rank tests, a Cox model
+//   (hazard ratios, concordance) on the prepared split and per-employee probabilities of staying 1 / 2 / 5 years
+// + Feature selection settings (selection.js) applied at Prepare, CV and search; the Feature Report lists the
+//   chosen and rejected features with the step and reason, the MI / L1 ranking and the elimination curve
+
+import { makeBundle, readBundle } from './bundle.js';
+import { CV_METRICS } from './cv.js';
+import { DEFAULT_ENGINEERED, DEFAULT_RULES, DEFAULT_SENSITIVE } from './data-loader.js';
+import { fairnessReport, groupLabels } from './fairness.js';
+import { driverLabel, permutationImportance, shapleyContributions, topDrivers, unscale } from './explain.js';
+import { MODEL_ZOO, createClassifier, loadClassifier } from './models.js';
+import { applyCalibrator, brierScore, expectedCalibrationError, fitCalibrator, reliabilityBins } from './calibrate.js';
+import { prCurve, rocAuc, rocCurve } from './metrics.js';
+import { atThreshold, capacityThreshold, chooseThreshold } from './threshold.js';
+import { DEFAULT_SPACE, SEARCH_KEYS, bestTrial, searchAugments, trialConfig } from './search.js';
+import { RESAMPLING_STRATEGIES } from './imbalance.js';
+import { redundantPairs } from './eda.js';
+import { ACTIONS, IMMUTABLE, counterfactuals } from './whatif.js';
+import { DEFAULT_SEED, withSeed } from './seed.js';
+import { isCancelled, packDataset, packTensor } from './train-jobs.js';
+import { JOB_LABELS, Trainer } from './trainer.js';
+import { DEFAULT_SCHEDULE, LR_SCHEDULES } from './schedules.js';
+import { checkpointMismatch, checkpointsAvailable, deleteCheckpoint, loadCheckpoint } from './checkpoints.js';
+import { COHORT_COLUMNS, cohortLabels, cohortTable, decileOf, liftTable, topAtRisk } from './segments.js';
+import { EXPORT_FORMATS, exportRows } from './exporters.js';
+import { DEFAULT_SELECTION, SELECTION_RANKINGS } from './selection.js';
+import { DEFAULT_DURATION, TENURE_BOUNDED, concordance, coxRisk, fitCox, hazardRatios, kaplanMeier, logRank, stayProbabilities, survivalAt } from './survival.js';
+import { clearExperiments, datasetFingerprint, deleteExperiment, diffExperiments, exportExperiments, listExperiments, newExperimentId, saveExperiment } from './experiments.js';
+
+const esc = (v) => String(v ?? '').replace(/&/g,'&amp;').replace(/"/g,'&quot;').replace(/</g,'&lt;');
 
 export class App {
-  constructor({ tf, Chart, dl, model, ui }) {
+  constructor({ tf, Chart, dl, model, ui, log, trainer }) {
     this.tf = tf; this.Chart = Chart; this.dl = dl; this.model = model; this.ui = ui;
-    this.dataset = null; this.charts = { balance:null, overtime:null, corr:null, loss:null };
-    this.lastPreds = null; this.history = null;
+    this.log = log || (() => {});
+    this.trainer = trainer || new Trainer({ log: this.log });   // training worker; runs jobs on the page without one
+    this.trainer.onState = (state, job) => this.#renderJobState(state, job);
+    this.config = {};           // training config as last used (goes into the model bundle)
+    this.dataset = null; this.charts = { balance:null, overtime:null, corr:null, loss:null, lr:null };
+    this.lastPreds = null; this.history = null; this.scored = null;
+    this.explanations = null;   // { groups, rows, raw, drivers } for dataset.xTest
+    this.search = null;         // { trials, best, metric, sort: { key, dir } }
+    this.calibration = null;    // fitted calibrator (calibrate.js) or null = raw model outputs
+    this.calRaw = null;         // raw model probabilities on dataset.xCal, for refitting on method change
+    this.testScores = null;     // { y, p, auc } of the last evaluation (calibrated p), for threshold selection
+    this.run = null;            // experiment record of the current trained model, saved/updated on evaluate
+    this.experiments = [];      // run history as last listed
+    this.datasetInfo = null;    // { name, rows, columns, hash } of the loaded CSV
+    this.fairness = null;       // audited runs [{ label, features, y, p, rows }] for re-grouping
+    this.survival = null;       // Cox fit on the prepared split: { model, duration, horizons, rows } (test employees)
 
     ui.csvFile.addEventListener('change', () => this.#onCSV());
     ui.prepBtn.addEventListener('click', () => this.#prepare());
@@ -16,177 +96,1359 @@ export class App {
     ui.buildBtn.addEventListener('click', () => this.#build());
     ui.trainBtn.addEventListener('click', () => this.#train());
     ui.evalBtn.addEventListener('click', () => this.#evaluate());
-    ui.saveBtn.addEventListener('click', () => this.model.save());
-    ui.loadBtn.addEventListener('click', () => this.model.load().then(()=>this.#toggleTrainButtons(true)));
+    ui.saveBtn.addEventListener('click', () => this.#saveBundle('tfjs-attrition-gru'));
+    ui.loadBtn.addEventListener('click', () => this.#loadBundle('tfjs-attrition-gru'));
+    ui.exportModelBtn.addEventListener('click', () => this.#saveBundle('downloads://attrition-bundle'));
+    ui.bundleFiles.addEventListener('change', () => this.#loadBundle(this.ui.bundleFiles.files));
     ui.resetBtn.addEventListener('click', () => this.#reset());
-    ui.downloadBtn.addEventListener('click', () => this.#downloadCSV());
+    ui.pauseBtn.addEventListener('click', () => this.trainer.pause());
+    ui.resumeBtn.addEventListener('click', () => this.trainer.resume());
+    ui.cancelBtn.addEventListener('click', () => this.trainer.cancel());
+    ui.ckptResumeBtn.addEventListener('click', () => this.#resumeCheckpoint());
+    ui.ckptDiscardBtn.addEventListener('click', () => this.#discardCheckpoint());
+    ui.selRank.innerHTML = Object.entries(SELECTION_RANKINGS).map(([k, label]) => `<option value="${k}">${esc(label)}</option>`).join('');
+    ui.lrSchedule.innerHTML = Object.entries(LR_SCHEDULES).map(([k, label]) => `<option value="${k}">${esc(label)}</option>`).join('');
+    ui.downloadBtn.addEventListener('click', () => this.#downloadPredictions());
+    ui.exportFormat.innerHTML = Object.entries(EXPORT_FORMATS).map(([k, label]) => `<option value="${k}">${esc(label)}</option>`).join('');
+    ui.cohortCol.addEventListener('change', () => this.#renderCohorts());
+    ui.topFilterCol.addEventListener('change', () => { this.#renderTopFilterValues(); this.#renderTopRisk(); });
+    for (const el of [ui.topFilterVal, ui.topN, ui.topMinP]) el.addEventListener('change', () => this.#renderTopRisk());
+    ui.survKMBtn.addEventListener('click', () => this.#runKaplanMeier());
+    ui.survCoxBtn.addEventListener('click', () => this.#fitCox());
+    ui.survDownloadBtn.addEventListener('click', () => this.#downloadSurvival());
+    ui.survStrata.addEventListener('change', () => { if (this.charts.km) this.#runKaplanMeier(); });
+    ui.survExclude.value = TENURE_BOUNDED.join(', ');
+    ui.scoreFile.addEventListener('change', () => this.#onScoreCSV());
+    ui.driftFile.addEventListener('change', () => this.#onDriftCSV());
+    ui.scoreDownloadBtn.addEventListener('click', () => this.#downloadScores());
     ui.thrAuto.addEventListener('click', async () => this.#autoThreshold());
+    ui.thr.addEventListener('input', () => this.#updateOperatingPoint());
+    ui.thrObjective.addEventListener('change', () => { if (this.testScores) this.#autoThreshold(); });
+    for (const el of [ui.costLeave, ui.costIntervention, ui.targetRecall, ui.capacity])
+      el.addEventListener('input', () => { if (this.testScores) this.#autoThreshold(); });
+    ui.cvBtn.addEventListener('click', () => this.#runCV());
+    ui.lbBtn.addEventListener('click', () => this.#runLeaderboard());
+    ui.explainBtn.addEventListener('click', () => this.#explain());
+    ui.searchBtn.addEventListener('click', () => this.#runSearch());
+    ui.searchAdoptBtn.addEventListener('click', () => this.#adoptTrial(this.search?.best));
+    ui.searchReport.addEventListener('click', (e) => {
+      const th = e.target.closest('[data-sort]'), adopt = e.target.closest('[data-adopt]');
+      if (th && this.search) {
+        const key = th.dataset.sort, s = this.search.sort;
+        this.search.sort = { key, dir: s.key === key ? -s.dir : -1 };
+        this.#renderSearch();
+      }
+      if (adopt) this.#adoptTrial(this.search?.trials.find(t => t.id === Number(adopt.dataset.adopt)));
+    });
+    ui.searchSpace.value = JSON.stringify(DEFAULT_SPACE);
+    ui.calMethod.addEventListener('change', () => this.#refitCalibration());
+    ui.explainRow.addEventListener('change', () => this.#drawContributions(Number(this.ui.explainRow.value)));
+    ui.modelKind.innerHTML = Object.entries(MODEL_ZOO).map(([k, m]) => `<option value="${k}">${esc(m.label)}</option>`).join('');
+    ui.modelKind.value = model.kind || 'gru';
+    ui.featAddBtn.addEventListener('click', () => this.#renderFeatureEditor([...this.#readFeatureEditor(), { name:'', expr:'', enabled:true }]));
+    ui.featApplyBtn.addEventListener('click', () => this.#applyFeatures(this.#readFeatureEditor()));
+    ui.featResetBtn.addEventListener('click', () => this.#applyFeatures(DEFAULT_ENGINEERED));
+    ui.featExportBtn.addEventListener('click', () => this.#saveFile(JSON.stringify(this.dl.engineeredSpec, null, 2), 'application/json', 'engineered-features.json'));
+    ui.featImport.addEventListener('change', () => this.#importFeatures());
+    ui.targetCol.addEventListener('change', () => this.#renderPositiveOptions(this.ui.targetCol.value, null));
+    ui.schemaApplyBtn.addEventListener('click', () => this.#applySchema());
+    ui.rulesApplyBtn.addEventListener('click', () => this.#applyRules());
+    ui.rulesText.value = JSON.stringify(this.dl.rules, null, 1);
+    ui.featEditor.addEventListener('click', (e) => { if (e.target.matches('[data-del]')) e.target.closest('tr').remove(); });
+    this.#renderFeatureEditor(this.dl.engineeredSpec);
+    ui.expRefreshBtn.addEventListener('click', () => this.#refreshExperiments());
+    ui.expDiffBtn.addEventListener('click', () => this.#diffExperiments());
+    ui.expExportBtn.addEventListener('click', () => this.#exportExperiments());
+    ui.expClearBtn.addEventListener('click', () => this.#clearExperiments());
+    ui.expReport.addEventListener('click', (e) => {
+      const apply = e.target.closest('[data-exp-apply]'), del = e.target.closest('[data-exp-delete]');
+      if (apply) this.#applyExperiment(apply.dataset.expApply);
+      if (del) this.#deleteExperiment(del.dataset.expDelete);
+    });
+    this.#refreshExperiments();
+    this.#refreshCheckpoint();
+    ui.fairBtn.addEventListener('click', () => this.#auditFairness());
+    ui.fairCompareBtn.addEventListener('click', () => this.#compareFairness());
+    ui.fairCol.addEventListener('change', () => { if (this.fairness) this.#renderFairness(); });
+    ui.edaNum.addEventListener('change', () => this.#renderHistogram());
+    ui.edaCat.addEventListener('change', () => this.#renderCategoryRates());
+    ui.edaRedundancy.addEventListener('change', () => this.#renderHeatmap());
+    ui.wiRow.addEventListener('change', () => this.#loadWhatIf());
+    ui.wiResetBtn.addEventListener('click', () => this.#loadWhatIf());
+    ui.wiForm.addEventListener('change', (e) => { if (e.target.matches('[data-wi-col]')) this.#scoreWhatIf(); });
+    ui.wiSuggestBtn.addEventListener('click', () => this.#suggestChanges());
+    ui.wiSuggestions.addEventListener('click', (e) => { const b = e.target.closest('[data-wi-apply]'); if (b) this.#applySuggestion(Number(b.dataset.wiApply)); });
   }
 
   async #onCSV() {
     try {
       this.#status('dataStatus','Reading…','#fef3c7','#92400e');
       await this.dl.fromFile(this.ui.csvFile.files[0]);
+      this.datasetInfo = { name: this.ui.csvFile.files[0].name, ...datasetFingerprint(this.dl.headers, this.dl.rows) };
       this.ui.prepBtn.disabled = false;
       this.ui.edaBtn.disabled = false;
-      this.#status('dataStatus','Loaded','#dcfce7','#166534');
-    } catch (e) { this.#status('dataStatus','Error','#fee2e2','#991b1b'); alert(e.message || String(e)); }
+      this.ui.cvBtn.disabled = false;
+      const rej = this.dl.parseReport.rejectedCount;
+      this.#status('dataStatus', rej ? `Loaded (${rej} rejected)` : 'Loaded', rej ? '#fef3c7' : '#dcfce7', rej ? '#92400e' : '#166534');
+      this.ui.dataReport.innerHTML = this.#parseReportHTML(this.dl.parseReport);
+      this.#renderSchema(this.dl.schema);
+      this.#clearSurvival(true); this.#renderSurvivalColumns();
+    } catch (e) { this.#status('dataStatus','Error','#fee2e2','#991b1b'); this.ui.dataReport.innerHTML = ''; alert(e.message || String(e)); }
   }
 
   async #runEDA() {
     try {
-      const { balance, topCorr, catRates } = this.dl.eda();
+      this.edaStats = this.dl.eda({ redundancy: this.#redundancyThreshold() });
+      const { balance, topCorr, numeric, categorical } = this.edaStats;
       this.ui.edaText.innerHTML =
-        `Баланс классов — Yes: <b>${balance.positive}</b>, No: <b>${balance.negative}</b> (доля ${(balance.rate*100).toFixed(1)}%).<br/>
-         Топ-числовые корреляции: <b>${topCorr.map(([k,v])=>`${k} (${v.toFixed(2)})`).join(', ')}</b>.`;
+        `Баланс классов — ${esc(this.dl.positiveLabel)}: <b>${balance.positive}</b>, other: <b>${balance.negative}</b> (доля ${(balance.rate*100).toFixed(1)}%).<br/>
+         Топ-числовые корреляции: <b>${topCorr.map(([k,v])=>`${esc(k)} (${v.toFixed(2)})`).join(', ')}</b>.`;
 
       this.#renderBar('balance', this.ui.chartClassBalance,
-        ['No','Yes'], [balance.negative, balance.positive], 'Class Balance');
+        ['other', this.dl.positiveLabel], [balance.negative, balance.positive], 'Class Balance');
 
-      if (catRates.OverTime) {
-        this.#renderBar('overtime', this.ui.chartOvertime,
-          catRates.OverTime.map(d=>d.k),
-          catRates.OverTime.map(d=>+(d.rate*100).toFixed(2)),
-          'Attrition rate by OverTime (%)');
-      }
+      const options = (cols, keep) => cols.map(c => `<option value="${esc(c.name)}"${c.name === keep ? ' selected' : ''}>${esc(c.name)}${c.engineered ? ' (engineered)' : ''}</option>`).join('');
+      this.ui.edaNum.innerHTML = options(numeric, this.ui.edaNum.value || topCorr[0]?.[0]);
+      this.ui.edaCat.innerHTML = options(categorical, this.ui.edaCat.value || (categorical.some(c => c.name === 'OverTime') ? 'OverTime' : ''));
+      this.#renderHistogram();
+      this.#renderCategoryRates();
 
-      const corr = topCorr;
       this.#renderBar('corr', this.ui.chartCorr,
-        corr.map(d=>d[0]), corr.map(d=>+(d[1]).toFixed(3)),
+        topCorr.map(d=>d[0]), topCorr.map(d=>+(d[1]).toFixed(3)),
         'Top numeric correlations (Pearson)');
+      this.#renderAssociation();
+      this.#renderHeatmap();
     } catch (e) { alert(e.message || String(e)); }
   }
 
+  // Per-class distribution of the selected numeric column: histogram as shares of each class + box stats.
+  #renderHistogram() {
+    const col = this.edaStats?.numeric.find(c => c.name === this.ui.edaNum.value);
+    if (!col) return;
+    const { edges, pos, neg } = col.hist, fmt = v => Math.abs(v) >= 100 || Number.isInteger(v) ? String(Math.round(v)) : v.toFixed(2);
+    const labels = pos.map((_, k) => edges[k + 1] - edges[k] === 1 && Number.isInteger(edges[k] + 0.5) ? fmt(edges[k] + 0.5) : `${fmt(edges[k])}–${fmt(edges[k + 1])}`);
+    this.charts.hist?.destroy?.();
+    this.charts.hist = new this.Chart(this.ui.chartHist.getContext('2d'), {
+      type: 'bar',
+      data: { labels, datasets: [
+        { label: 'other', data: neg.map(v => +(v * 100).toFixed(2)), backgroundColor: 'rgba(37,99,235,.5)' },
+        { label: this.dl.positiveLabel, data: pos.map(v => +(v * 100).toFixed(2)), backgroundColor: 'rgba(220,38,38,.5)' }
+      ] },
+      options: { responsive: true, plugins: { title: { display: true, text: `${col.name}: % of each class per bin` } },
+        scales: { x: { ticks: { autoSkip: true, maxRotation: 45 } }, y: { beginAtZero: true } } }
+    });
+    const f = v => Number.isFinite(v) ? fmt(v) : '–';
+    const box = (name, b) => b.n ? `<tr><td>${esc(name)}</td><td>${b.n}</td><td>${f(b.whiskerLo)}</td><td>${f(b.q1)}</td><td><b>${f(b.median)}</b></td><td>${f(b.q3)}</td><td>${f(b.whiskerHi)}</td><td>${f(b.mean)}</td><td>${b.outliers}</td></tr>` : '';
+    this.ui.edaBox.innerHTML = `
+      <table style="margin-top:6px">
+        <thead><tr><th>Class</th><th>n</th><th>Whisker low</th><th>Q1</th><th>Median</th><th>Q3</th><th>Whisker high</th><th>Mean</th><th>Outliers</th></tr></thead>
+        <tbody>${box('other', col.box.neg)}${box(this.dl.positiveLabel, col.box.pos)}</tbody>
+      </table>
+      <div>Whiskers at 1.5·IQR. Missing: ${col.missing}. Pearson r with the label: ${Number.isFinite(col.corr) ? col.corr.toFixed(3) : '–'}.</div>`;
+  }
+
+  // Leave rate per level of the selected categorical column, with its Wilson 95% interval as a floating bar.
+  #renderCategoryRates() {
+    const col = this.edaStats?.categorical.find(c => c.name === this.ui.edaCat.value);
+    if (!col) return;
+    const pct = v => +(v * 100).toFixed(2);
+    this.charts.catRate?.destroy?.();
+    this.charts.catRate = new this.Chart(this.ui.chartCatRate.getContext('2d'), {
+      type: 'bar',
+      data: { labels: col.rates.map(d => d.level), datasets: [
+        { label: 'Leave rate (%)', data: col.rates.map(d => pct(d.rate)), backgroundColor: 'rgba(220,38,38,.5)' },
+        { label: '95% CI', data: col.rates.map(d => [pct(d.lo), pct(d.hi)]), backgroundColor: 'rgba(17,24,39,.25)', barPercentage: 0.25, grouped: false }
+      ] },
+      options: { responsive: true,
+        plugins: { title: { display: true, text: `Attrition rate by ${col.name} (%)` },
+          tooltip: { callbacks: { afterLabel: (ctx) => { const d = col.rates[ctx.dataIndex]; return `${d.pos} of ${d.n}`; } } } },
+        scales: { y: { beginAtZero: true } } }
+    });
+  }
+
+  #renderAssociation() {
+    const f3 = v => Number.isFinite(v) ? v.toFixed(3) : '–';
+    const pv = v => !Number.isFinite(v) ? '–' : v < 1e-4 ? '< 0.0001' : v.toFixed(4);
+    this.ui.edaRank.innerHTML = `
+      <table>
+        <thead><tr><th>#</th><th>Column</th><th>Type</th><th>Levels</th><th>Mutual information (bits)</th><th>Cramér's V</th><th>χ² (df)</th><th>p</th></tr></thead>
+        <tbody>${this.edaStats.ranking.map((c, i) => `<tr><td>${i + 1}</td><td>${esc(c.name)}</td><td>${c.kind}${c.engineered ? ' (engineered)' : ''}</td><td>${c.levels}</td>
+          <td><b>${c.mi.toFixed(4)}</b></td><td>${f3(c.cramersV)}</td><td>${c.chi2.toFixed(1)} (${c.df})</td><td>${pv(c.p)}</td></tr>`).join('')}</tbody>
+      </table>
+      <div style="margin-top:6px">Numeric columns are cut into quintiles first; missing values count as their own level.</div>`;
+  }
+
+  #redundancyThreshold() { return Math.min(Math.max(Number(this.ui.edaRedundancy.value) || 0.8, 0.5), 0.99); }
+
+  // Feature × feature Pearson matrix; cells at or above the redundancy threshold are outlined.
+  #renderHeatmap() {
+    if (!this.edaStats) return;
+    const thr = this.#redundancyThreshold(), { names, r } = this.edaStats.corrMatrix;
+    const pairs = redundantPairs(this.edaStats.corrMatrix, thr);
+    this.ui.edaRedundant.innerHTML = pairs.length
+      ? `Redundant pairs (|r| ≥ ${thr}): ${pairs.map(p => `<b>${esc(p.a)}</b> / <b>${esc(p.b)}</b> (${p.r.toFixed(2)})`).join(', ')}.`
+      : `No pairs with |r| ≥ ${thr}.`;
+    const cell = (v, i, j) => {
+      if (!Number.isFinite(v)) return '<td style="color:#9ca3af">·</td>';
+      const bg = v >= 0 ? `rgba(220,38,38,${Math.abs(v).toFixed(2)})` : `rgba(37,99,235,${Math.abs(v).toFixed(2)})`;
+      const flag = i !== j && Math.abs(v) >= thr ? 'outline:2px solid #111827;' : '';
+      return `<td title="${esc(names[i])} / ${esc(names[j])}: ${v.toFixed(3)}" style="background:${bg};${flag}color:${Math.abs(v) > 0.6 ? '#fff' : '#111827'};padding:2px 3px;text-align:center">${v.toFixed(1)}</td>`;
+    };
+    this.ui.edaHeatmap.innerHTML = `
+      <table style="font-size:10px; width:auto">
+        <thead><tr><th></th>${names.map((_, j) => `<th title="${esc(names[j])}">${j + 1}</th>`).join('')}</tr></thead>
+        <tbody>${r.map((row, i) => `<tr><th style="white-space:nowrap">${i + 1}. ${esc(names[i])}</th>${row.map((v, j) => cell(v, i, j)).join('')}</tr>`).join('')}</tbody>
+      </table>`;
+  }
+
   async #prepare() {
     try {
+      this.#ensureIdle();
       this.#progress(0);
       const testSplit = Number(this.ui.testSplit.value) / 100 || 0.2;
+      const calSplit = Math.min(Math.max(Number(this.ui.calSplit.value) || 0, 0), 40) / 100;
 
-      const augment = {
-        enable: !!this.ui.augEnable.checked,
-        targetRatio: Number(this.ui.augRatio.value) || 0.5,
-        noiseStd: Number(this.ui.augNoise.value) || 0.05
-      };
+      const seed = this.#seed();
+      this.dl.setSeed(seed); this.config.seed = seed;
+      const sensitive = { columns: this.#sensitiveColumns(), exclude: !!this.ui.excludeSensitive.checked };
+      this.dl.setSensitive(sensitive); this.config.sensitive = sensitive;
+      const selection = this.#selectionConfig();
+      this.dl.setSelection(selection); this.config.selection = selection;
+      const augment = this.#augmentConfig();
 
       // dispose prev
-      this.dataset?.xTrain?.dispose?.(); this.dataset?.yTrain?.dispose?.();
-      this.dataset?.xTest?.dispose?.();  this.dataset?.yTest?.dispose?.();
+      this.#disposeDataset();
 
-      this.dataset = this.dl.prepareTensors({ testSplit, augment });
+      this.dataset = this.dl.prepareTensors({ testSplit, calSplit, augment });
+      Object.assign(this.config, { testSplit, calSplit, augment, imbalance: this.#imbalanceConfig() });
 
       // expand for GRU
-      const xTr3 = this.dataset.xTrain.expandDims(1);
-      const xTe3 = this.dataset.xTest.expandDims(1);
-      this.dataset.xTrain.dispose(); this.dataset.xTest.dispose();
-      this.dataset.xTrain = xTr3; this.dataset.xTest = xTe3;
-
-      this.ui.buildBtn.disabled = false;
-
-      // Feature report to UI
-      const rep = this.dl.featureReport();
-      const mk = (title, arr) => `<tr><th>${title}</th><td>${arr.length}</td><td class="mono">${arr.join(', ')}</td></tr>`;
-      const desc = Object.entries(rep.createdDescriptions).map(([k,v])=>`<div><b>${k}</b>: ${v}</div>`).join('');
-      this.ui.featReport.innerHTML = `
-        <table>
-          <thead><tr><th>Group</th><th>#</th><th>Attributes</th></tr></thead>
-          <tbody>
-            ${mk('Kept (inputs)', rep.kept)}
-            ${mk('Dropped', rep.dropped)}
-            ${mk('Created (engineered)', rep.created)}
-          </tbody>
-        </table>
-        <div style="margin-top:8px">${desc}</div>
-      `;
+      this.dataset.xTrain = this.#toModelInput(this.dataset.xTrain);
+      this.dataset.xTest = this.#toModelInput(this.dataset.xTest);
+      if (this.dataset.xCal) this.dataset.xCal = this.#toModelInput(this.dataset.xCal);
+
+      this.ui.buildBtn.disabled = false; this.ui.lbBtn.disabled = false; this.ui.searchBtn.disabled = false;
+      this.#clearExplanations(); this.#clearFairness(); this.#clearWhatIf(); this.#clearSurvival();
+      this.#renderFairnessColumns();
+      this.ui.survCoxBtn.disabled = !!this.dl.panel;
+
+      this.#renderFeatureReport(this.dl.featureReport());
+      this.#renderQuality(this.dl.qualityReport());
     } catch (e) { alert(e.message || String(e)); }
   }
 
+  #renderFeatureReport(rep) {
+    const mk = (title, arr) => `<tr><th>${title}</th><td>${arr.length}</td><td class="mono">${arr.map(esc).join(', ')}</td></tr>`;
+    const desc = Object.entries(rep.createdDescriptions).map(([k,v])=>`<div><b>${esc(k)}</b>: ${esc(v)}</div>`).join('');
+    const sel = rep.selection, steps = { variance: 'Near-zero variance', correlation: 'Correlation', ranking: 'Ranking', rfe: 'Recursive elimination' };
+    const selection = sel ? `
+      <h4 style="margin-top:10px">Feature selection (${sel.kept.length} features kept)</h4>
+      ${sel.rejected.length ? `<table>
+        <thead><tr><th>Rejected</th><th>Step</th><th>Reason</th></tr></thead>
+        <tbody>${sel.rejected.map(r => `<tr><td class="mono">${esc(r.feature)}</td><td>${steps[r.step] ?? esc(r.step)}</td><td>${esc(r.reason)}</td></tr>`).join('')}</tbody>
+      </table>` : '<div>No feature rejected.</div>'}
+      <details style="margin-top:6px"><summary>Ranking by ${esc(SELECTION_RANKINGS[sel.config.rank])}</summary>
+        <table><tbody>${sel.ranking.map((r, k) => `<tr><td>${k + 1}</td><td class="mono">${esc(r.feature)}</td><td>${r.score.toFixed(4)}</td></tr>`).join('')}</tbody></table>
+      </details>
+      ${sel.rfe ? `<div style="margin-top:6px">Recursive elimination (${sel.rfe.folds}-fold CV AUC by number of features kept): ${sel.rfe.sizes.map(s =>
+        `${s.n === sel.rfe.best ? '<b>' : ''}${s.n}: ${s.auc.toFixed(3)}±${s.sd.toFixed(3)}${s.n === sel.rfe.best ? '</b>' : ''}`).join(' · ')}</div>` : ''}` : '';
+    this.ui.featReport.innerHTML = `
+      <table>
+        <thead><tr><th>Group</th><th>#</th><th>Attributes</th></tr></thead>
+        <tbody>
+          ${mk('Kept (inputs)', rep.kept)}
+          ${mk('Dropped', rep.dropped)}
+          ${sel ? mk('Rejected (selection)', sel.rejected.map(r => r.feature)) : ''}
+          ${mk('Created (engineered)', rep.created)}
+          ${rep.disabled.length ? mk('Disabled (engineered)', rep.disabled) : ''}
+        </tbody>
+      </table>
+      <div style="margin-top:8px">${desc}</div>
+      ${selection}
+    `;
+  }
+
+  #renderQuality(q) {
+    if (!q) { this.ui.qualityReport.innerHTML = ''; return; }
+    const row = (k, v) => `<tr><th>${k}</th><td class="mono">${v}</td></tr>`;
+    const list = (o, f) => Object.entries(o).map(([c, v]) => `${esc(c)} ${f(v)}`).join(', ') || '—';
+    const d = q.duplicates;
+    this.ui.qualityReport.innerHTML = `
+      <table><tbody>
+        ${row('Rows', `${q.kept} used of ${q.rows}`)}
+        ${row('Duplicates', d.column ? `${d.count} on ${esc(d.column)}${d.dropped ? ' (dropped, kept first)' : ''}${d.values.length ? `: ${d.values.map(esc).join(', ')}` : ''}` : 'no ID column')}
+        ${row('Missing', list(q.missing, n => `(${n})`))}
+        ${row('Out of range', list(q.invalid, v => `(${v.count}, valid ${v.range})`))}
+        ${row('Imputed (fit on train)', list(q.imputed, v => `→ ${v.strategy} ${typeof v.value === 'number' ? +v.value.toFixed(3) : esc(v.value)}`))}
+        ${row('Missing flags', q.indicators.map(esc).join(', ') || '—')}
+      </tbody></table>`;
+  }
+
   #build() {
     try {
+      this.#ensureIdle();
       const timesteps = this.dataset?.xTrain?.shape?.[1];
       const features  = this.dataset?.xTrain?.shape?.[2];
       if (!timesteps || !features) throw new Error('Prepare dataset first.');
 
-      const units = Math.max(8, Number(this.ui.units.value) | 0);
-      const layers = Math.max(1, Number(this.ui.layers.value) | 0);
-      const lr = Number(this.ui.lr.value) || 1e-3;
-
-      this.model.build({ timesteps, features, units, layers, lr });
+      const kind = this.ui.modelKind.value || 'gru';
+      if (this.model.kind !== kind) { this.model.dispose(); this.model = createClassifier(kind, { log: this.log }); }
+      const { units, layers, lr, focal } = this.#buildConfig();
+      withSeed(this.#runSeed(), () => this.model.build({ timesteps, features, units, layers, lr, focal }));
+      Object.assign(this.config, { model: kind, timesteps, features, units, layers, lr, focal });
       this.#toggleTrainButtons(true);
     } catch (e) { alert(e.message || String(e)); }
   }
 
-  async #train() {
+  // Fits in the training worker from the current weights; the page model only takes the result when the run
+  // completes, so a cancelled or failed run leaves it (and its evaluation) as it was.
+  // resume: a checkpoint (checkpoints.js) to continue instead, with its own fit settings, seed and weights.
+  async #train(resume = null) {
+    const previous = this.history;
     try {
+      if (!this.dataset || !this.model.model) throw new Error('Prepare the dataset and build the model first.');
       this.#progress(0);
-      const epochs = Math.max(1, Number(this.ui.epochs.value) | 0);
-      const batchSize = Math.max(1, Number(this.ui.batchSize.value) | 0);
-      const validationSplit = Math.min(Math.max(Number(this.ui.valSplit.value) || 0.2, 0.05), 0.4);
-      const patience = Math.max(2, Number(this.ui.patience.value) | 0);
-
-      // OPTIONAL: class weights (закомментируй если не нужно)
-      // const yArr = await this.dataset.yTrain.array();
-      // const pos = yArr.filter(r => r[0] === 1).length;
-      // const neg = yArr.length - pos;
-      // const w1 = neg / Math.max(1, pos), w0 = 1;
-      // const sampleWeight = tf.tensor1d(yArr.map(r => r[0] === 1 ? w1 : w0));
-
-      this.history = await this.model.fit({
-        xTrain: this.dataset.xTrain,
-        yTrain: this.dataset.yTrain,
-        epochs, batchSize, validationSplit, patience,
-        // sampleWeight,
-        onEpoch: (epoch, logs) => this.#progress((epoch+1)/epochs)
-      });
+      const fit = resume ? resume.fit : this.#fitConfig(), [rows, timesteps, features] = this.dataset.xTrain.shape;
+      const seed = resume ? resume.seed : this.#runSeed();
+      const { units, layers, lr, focal } = this.config;
+      const build = { timesteps, features, units, layers, lr, focal };
+      const every = Math.max(0, Number(this.ui.ckptEvery.value) | 0);
+      const save = every && this.model.constructor.resumable && this.datasetInfo && checkpointsAvailable() ? { every, record: {
+        createdAt: resume?.createdAt ?? new Date().toISOString(), model: this.model.kind, seed, build, fit,
+        config: { ...this.config, ...fit }, dataset: this.datasetInfo, trainRows: rows
+      } } : null;
+      const h = resume?.state.hist;
+      const live = h ? { loss: h.loss.slice(), val_loss: h.val_loss.slice(), lr: h.lr.slice() } : { loss: [], val_loss: [], lr: [] };
+      const { history, artifacts } = await this.trainer.run('train', {
+        kind: this.model.kind, build, fit, seed, save, resume: resume && { state: resume.state, best: resume.best },
+        artifacts: resume ? resume.artifacts : await this.model.toArtifacts(), ...await packDataset(this.dataset, { keys: ['xTrain', 'yTrain'] })
+      }, { onProgress: ({ epoch, loss, val_loss, lr }) => {
+        live.loss.push(loss); if (Number.isFinite(val_loss)) live.val_loss.push(val_loss); live.lr.push(lr);
+        this.history = live; this.#drawLoss(true); this.#progress((epoch+1)/fit.epochs);
+      } });
 
-      // sampleWeight?.dispose();
+      await this.model.loadArtifacts(artifacts);
+      this.history = history;
+      if (save || resume) await deleteCheckpoint().catch(() => {});
+      this.#clearExplanations(); this.#clearFairness(); this.#clearWhatIf(); this.#clearSegments(); this.testScores = null;
+      Object.assign(this.config, fit);
+      this.run = {
+        id: newExperimentId(), createdAt: new Date().toISOString(), model: this.model.kind, seed,
+        dataset: { ...this.datasetInfo, target: this.dl.labelKey }, features: this.dataset.featureOrder.slice(),
+        history: { loss: this.history.loss.slice(), val_loss: this.history.val_loss.slice() }
+      };
+      await this.#fitCalibration();
       this.ui.evalBtn.disabled = false;
       this.#progress(1);
 
       // Draw loss chart
       this.#drawLoss();
+    } catch (e) {
+      this.history = previous;
+      if (previous) this.#drawLoss(); else { this.charts.loss?.destroy?.(); this.charts.lr?.destroy?.(); this.ui.trainSummary.textContent = ''; }
+      if (!isCancelled(e)) return alert(e.message || String(e));
+      this.#progress(0);
+      this.log('Training cancelled: the model keeps the weights it had before this run.');
+    } finally { this.#refreshCheckpoint(); }
+  }
+
+  // ---------- Training checkpoints (checkpoints.js) ----------
+  async #refreshCheckpoint() {
+    let ck = null;
+    try { if (checkpointsAvailable()) ck = await loadCheckpoint(); }
+    catch (e) { this.log(`Training checkpoints unavailable: ${e.message || e}`); }
+    this.ui.ckptResumeBtn.disabled = this.ui.ckptDiscardBtn.disabled = !ck;
+    this.ui.ckptStatus.textContent = ck
+      ? `Checkpoint: ${MODEL_ZOO[ck.model]?.label ?? ck.model} after epoch ${ck.epoch + 1}/${ck.epochs} on ${ck.dataset?.name ?? 'unknown data'}, saved ${new Date(ck.savedAt).toLocaleString()}.`
+      : 'No training checkpoint.';
+  }
+
+  // Continues the checkpointed run on the same prepared split; its settings go back into the controls either way.
+  async #resumeCheckpoint() {
+    try {
+      this.#ensureIdle();
+      const ck = await loadCheckpoint();
+      if (!ck) { await this.#refreshCheckpoint(); throw new Error('No training checkpoint is saved.'); }
+      this.#applyConfig(ck.config); this.ui.modelKind.value = ck.model;
+      const problem = checkpointMismatch(ck, { dataset: this.datasetInfo, shape: this.dataset?.xTrain?.shape, seed: this.#runSeed() });
+      if (problem) throw new Error(`${problem} The checkpoint's settings are now in the controls.`);
+      if (this.model.kind !== ck.model) { this.model.dispose(); this.model = createClassifier(ck.model, { log: this.log }); }
+      withSeed(ck.seed, () => this.model.build(ck.build));
+      Object.assign(this.config, { model: ck.model, ...ck.build });
+      this.#toggleTrainButtons(true);
+      this.log(`Resuming the run checkpointed after epoch ${ck.epoch + 1}/${ck.epochs} (${ck.savedAt}).`);
+      await this.#train(ck);
+    } catch (e) { alert(e.message || String(e)); }
+  }
+
+  async #discardCheckpoint() {
+    try {
+      if (!confirm('Delete the saved training checkpoint?')) return;
+      await deleteCheckpoint(); await this.#refreshCheckpoint();
     } catch (e) { alert(e.message || String(e)); }
   }
 
+  #buildConfig() {
+    return {
+      units: Math.max(8, Number(this.ui.units.value) | 0),
+      layers: Math.max(1, Number(this.ui.layers.value) | 0),
+      lr: Number(this.ui.lr.value) || 1e-3,
+      focal: this.ui.imbStrategy.value === 'focal'
+        ? { gamma: Math.max(0, Number(this.ui.focalGamma.value) || 0), alpha: Math.min(Math.max(Number(this.ui.focalAlpha.value) || 0.5, 0), 1) }
+        : null
+    };
+  }
+
+  #fitConfig() {
+    return {
+      epochs: Math.max(1, Number(this.ui.epochs.value) | 0),
+      batchSize: Math.max(1, Number(this.ui.batchSize.value) | 0),
+      validationSplit: Math.min(Math.max(Number(this.ui.valSplit.value) || 0.2, 0.05), 0.4),
+      patience: Math.max(2, Number(this.ui.patience.value) | 0),
+      classWeight: this.ui.imbStrategy.value === 'weights' ? 'balanced' : null,
+      restoreBest: this.ui.restoreBest.checked,
+      schedule: this.ui.lrSchedule.value === 'constant' ? null : {
+        type: this.ui.lrSchedule.value,
+        every: Math.max(1, Number(this.ui.lrEvery.value) | 0),
+        factor: Math.min(Math.max(Number(this.ui.lrFactor.value) || DEFAULT_SCHEDULE.factor, 0.01), 1),
+        patience: Math.max(1, Number(this.ui.lrPatience.value) | 0),
+        minLr: Math.max(0, Number(this.ui.lrMin.value) || 0)
+      }
+    };
+  }
+
+  #imbalanceConfig() {
+    return {
+      strategy: this.ui.imbStrategy.value || 'none',
+      targetRatio: Number(this.ui.augRatio.value) || 0.5,
+      noiseStd: Number(this.ui.augNoise.value) || 0.05,
+      k: Math.max(1, Number(this.ui.smoteK.value) | 0),
+      gamma: Number(this.ui.focalGamma.value), alpha: Number(this.ui.focalAlpha.value)
+    };
+  }
+
+  // resampling part of the imbalance settings, for DataLoader.prepareTensors / folds / tuningSplit
+  #augmentConfig() {
+    const { strategy, targetRatio, noiseStd, k } = this.#imbalanceConfig();
+    return { strategy: RESAMPLING_STRATEGIES.includes(strategy) ? strategy : 'none', targetRatio, noiseStd, k, seed: this.#runSeed() };
+  }
+
+  #selectionConfig() {
+    const num = (el, fallback) => { const v = Number(el.value); return Number.isFinite(v) ? v : fallback; };
+    return {
+      enabled: !!this.ui.selEnable.checked,
+      freqRatio: num(this.ui.selFreqRatio, DEFAULT_SELECTION.freqRatio), uniqueShare: num(this.ui.selUnique, 10) / 100,
+      correlation: num(this.ui.selCorr, DEFAULT_SELECTION.correlation), rank: this.ui.selRank.value,
+      keep: Math.max(0, num(this.ui.selKeep, 0) | 0), l1: num(this.ui.selL1, DEFAULT_SELECTION.l1),
+      rfe: !!this.ui.selRfe.checked, folds: num(this.ui.selFolds, DEFAULT_SELECTION.folds)
+    };
+  }
+
+  #seed() {
+    const s = Number(this.ui.seed.value);
+    return Number.isInteger(s) ? s : DEFAULT_SEED;
+  }
+  // the seed the prepared dataset was split with; everything downstream of Prepare uses it
+  #runSeed() { return this.config.seed ?? this.#seed(); }
+
+  async #runCV() {
+    try {
+      const k = Math.max(2, Number(this.ui.cvK.value) | 0);
+      const fit = this.#fitConfig();
+      const threshold = Number(this.ui.thr.value) || 0.5;
+      this.#ensureIdle();
+      this.ui.cvBtn.disabled = true; this.#progress(0);
+      this.ui.cvReport.innerHTML = `Preparing ${k} folds…`;
+      const folds = [];
+      this.dl.setSelection(this.#selectionConfig());
+      for (const ds of this.dl.folds({ k, augment: this.#augmentConfig() })) folds.push(await packDataset(ds, { keys: ['xTrain', 'yTrain', 'xTest', 'yTest'], dispose: true }));
+      this.ui.cvReport.innerHTML = `Running ${k}-fold CV…`;
+      const res = await this.trainer.run('cv', {
+        kind: this.ui.modelKind.value || 'gru', folds, threshold, seed: this.#runSeed(), build: this.#buildConfig(), fit
+      }, { onProgress: (d) => this.#progress(d.row ? d.row.fold / d.k : (d.fold + (d.epoch+1)/fit.epochs) / k) });
+      this.#renderCV(res, threshold);
+      this.#progress(1);
+    } catch (e) {
+      this.ui.cvReport.innerHTML = '';
+      if (isCancelled(e)) { this.#progress(0); this.log('Cross-validation cancelled.'); } else alert(e.message || String(e));
+    }
+    finally { this.ui.cvBtn.disabled = false; }
+  }
+
+  #renderCV({ folds, summary, cm }, threshold) {
+    const f4 = v => Number.isFinite(v) ? v.toFixed(4) : '–';
+    const rows = folds.map(f => `<tr><td>${f.fold}</td><td>${f.nTrain}/${f.nTest}</td>${CV_METRICS.map(m => `<td>${f4(f[m])}</td>`).join('')}<td class="mono">${f.cm.tp}/${f.cm.fp}/${f.cm.fn}/${f.cm.tn}</td></tr>`).join('');
+    const agg = CV_METRICS.map(m => `<td><b>${f4(summary[m].mean)}</b> ± ${f4(summary[m].std)}</td>`).join('');
+    this.ui.cvReport.innerHTML = `
+      <table>
+        <thead><tr><th>Fold</th><th>Train/Test</th><th>Precision</th><th>Recall</th><th>F1</th><th>AUC</th><th>TP/FP/FN/TN</th></tr></thead>
+        <tbody>${rows}<tr><th>Mean ± std</th><td></td>${agg}<td></td></tr></tbody>
+      </table>
+      <h4 style="margin-top:10px">Pooled confusion matrix (threshold ${threshold.toFixed(2)})</h4>
+      <table>
+        <thead><tr><th></th><th>Pred 0</th><th>Pred 1</th></tr></thead>
+        <tbody><tr><td>True 0</td><td>${cm.tn}</td><td>${cm.fp}</td></tr><tr><td>True 1</td><td>${cm.fn}</td><td>${cm.tp}</td></tr></tbody>
+      </table>`;
+  }
+
+  async #runLeaderboard() {
+    try {
+      if (!this.dataset) throw new Error('Prepare dataset first.');
+      const fit = this.#fitConfig();
+      const threshold = Number(this.ui.thr.value) || 0.5;
+      this.ui.lbBtn.disabled = true; this.#progress(0);
+      this.ui.lbReport.innerHTML = 'Training every model on the current split…';
+      const rows = await this.trainer.run('leaderboard', {
+        dataset: await packDataset(this.dataset, { keys: ['xTrain', 'yTrain', 'xTest', 'yTest'] }),
+        build: this.#buildConfig(), fit, threshold, seed: this.#runSeed()
+      }, { onProgress: ({ done, total }) => this.#progress(done / total) });
+      const f4 = v => Number.isFinite(v) ? v.toFixed(4) : '–';
+      this.ui.lbReport.innerHTML = `
+        <table>
+          <thead><tr><th>#</th><th>Model</th><th>AUC</th><th>F1</th><th>Precision</th><th>Recall</th><th>Train time (s)</th></tr></thead>
+          <tbody>${rows.map((r,i) => `<tr><td>${i+1}</td><td>${esc(r.label)}</td><td><b>${f4(r.auc)}</b></td><td>${f4(r.f1)}</td><td>${f4(r.prec)}</td><td>${f4(r.rec)}</td><td>${r.seconds.toFixed(1)}</td></tr>`).join('')}</tbody>
+        </table>
+        <div style="margin-top:6px">Same train/test split and epochs for all models; threshold ${threshold.toFixed(2)}.</div>`;
+      this.#progress(1);
+    } catch (e) {
+      this.ui.lbReport.innerHTML = '';
+      if (isCancelled(e)) { this.#progress(0); this.log('Leaderboard cancelled.'); } else alert(e.message || String(e));
+    }
+    finally { this.ui.lbBtn.disabled = !this.dataset; }
+  }
+
+  // ---------- Hyperparameter search (search.js) ----------
+  async #runSearch() {
+    try {
+      let space; try { space = JSON.parse(this.ui.searchSpace.value); } catch (_e) { throw new Error('Search space is not valid JSON.'); }
+      const kind = this.ui.modelKind.value || 'gru';
+      const metric = this.ui.searchMetric.value || 'auc';
+      const strategy = this.ui.searchStrategy.value || 'random';
+      const trials = Math.max(1, Number(this.ui.searchTrials.value) | 0);
+      this.ui.searchBtn.disabled = true; this.ui.searchAdoptBtn.disabled = true; this.#progress(0);
+      this.#ensureIdle();
+      const base = { build: { focal: this.#buildConfig().focal }, fit: { classWeight: this.#fitConfig().classWeight }, augment: this.#augmentConfig() };
+      this.search = { trials: [], best: null, metric, kind, base, sort: { key: 'score', dir: -1 } };
+      this.ui.searchReport.innerHTML = 'Preparing tuning splits…';
+      // one tuning split per resampling setting in the space, computed here and handed to the worker
+      const testSplit = this.config.testSplit ?? 0.2, valSplit = this.#fitConfig().validationSplit, splits = [];
+      this.dl.setSelection(this.#selectionConfig());
+      for (const augment of searchAugments(space, base)) {
+        const ds = this.dl.tuningSplit({ testSplit, valSplit, augment });
+        splits.push({ key: JSON.stringify(augment), data: await packDataset(ds, { keys: ['xTrain', 'yTrain', 'xTest', 'yTest'], dispose: true }) });
+      }
+      this.ui.searchReport.innerHTML = `Running ${strategy} search (${MODEL_ZOO[kind].label}, validation ${metric.toUpperCase()})…`;
+      const res = await this.trainer.run('search', {
+        kind, space, strategy, trials, metric, base, splits, seed: this.#runSeed(), threshold: Number(this.ui.thr.value) || 0.5
+      }, { onProgress: ({ trial }) => {
+        this.search.trials.push(trial); this.#renderSearch();
+        this.#progress(strategy === 'grid' ? 0 : Math.min(1, this.search.trials.length / trials));
+      } });
+      Object.assign(this.search, res);
+      this.#renderSearch();
+      this.ui.searchAdoptBtn.disabled = !res.best;
+      this.#progress(1);
+    } catch (e) {
+      if (!isCancelled(e) || !this.search) alert(e.message || String(e));
+      else {
+        // trials finished before the cancel stay, and the best of them can be adopted
+        this.search.best = bestTrial(this.search.trials);
+        this.#renderSearch();
+        this.ui.searchAdoptBtn.disabled = !this.search.best;
+        this.log(`Search cancelled after ${this.search.trials.length} trial(s).`);
+      }
+    }
+    finally { this.ui.searchBtn.disabled = !this.dataset; }
+  }
+
+  #renderSearch() {
+    const { trials, best, metric, sort } = this.search;
+    const f4 = v => Number.isFinite(v) ? v.toFixed(4) : '–';
+    const cols = [['id', '#'], ['rung', 'Rung'], ...SEARCH_KEYS.map(k => [k, k]), ['score', `Val ${metric.toUpperCase()}`], ['auc', 'AUC'], ['f1', 'F1'], ['epochsRun', 'Epochs run'], ['seconds', 'Time (s)']];
+    const get = (t, k) => (k in t.params ? t.params[k] : t[k]);
+    const rows = trials.slice().sort((a, b) => sort.dir * (get(a, sort.key) - get(b, sort.key)));
+    const arrow = (k) => sort.key === k ? (sort.dir < 0 ? ' ▼' : ' ▲') : '';
+    this.ui.searchReport.innerHTML = `
+      <table>
+        <thead><tr>${cols.map(([k, l]) => `<th data-sort="${k}" style="cursor:pointer">${esc(l)}${arrow(k)}</th>`).join('')}<th></th></tr></thead>
+        <tbody>${rows.map(t => `<tr${t === best ? ' style="font-weight:bold"' : ''}>${cols.map(([k]) => {
+          const v = get(t, k); return `<td>${['score','auc','f1'].includes(k) ? f4(v) : k === 'seconds' ? v.toFixed(1) : esc(v)}</td>`;
+        }).join('')}<td><button data-adopt="${t.id}">Adopt</button></td></tr>`).join('')}</tbody>
+      </table>
+      ${best ? `<div style="margin-top:6px">Best: trial ${best.id}, validation ${metric.toUpperCase()} ${f4(best.score)}. Test split untouched.</div>` : ''}`;
+  }
+
+  #adoptTrial(trial) {
+    if (!trial) return alert('Run a search first.');
+    const { base } = this.search;
+    const { build, fit, augment } = trialConfig(trial.params, base);
+    const lossSide = build.focal ? 'focal' : fit.classWeight ? 'weights' : 'none';
+    this.ui.modelKind.value = this.search.kind;
+    this.#applyConfig({ ...build, ...fit, imbalance: { ...this.#imbalanceConfig(), ...augment, strategy: augment.strategy !== 'none' ? augment.strategy : lossSide } });
+    this.log(`Adopted trial ${trial.id}: ${JSON.stringify(trial.params)}. Prepare, build and train to use it.`);
+  }
+
   async #evaluate() {
     try {
       const thr = Number(this.ui.thr.value) || 0.5;
-      const res = await this.model.evaluate({
-        xTest: this.dataset.xTest, yTest: this.dataset.yTest, threshold: thr
+      const raw = await this.#splitProbabilities('xTest');
+      const p = applyCalibrator(this.calibration, raw);
+      const y = (await this.dataset.yTest.array()).map(r => r[0]);
+      this.testScores = { y, p, auc: rocAuc(y, p) };
+      this.#renderCalibration(y, raw, p);
+      this.lastPreds = await this.#collectPredictions(thr, p);
+      this.#drawCurves();
+      this.#renderSegments();
+      this.#updateOperatingPoint();
+      this.#renderExportColumns();
+      this.ui.downloadBtn.disabled = false; this.ui.explainBtn.disabled = false;
+      this.ui.fairBtn.disabled = !this.dataset.testRows; this.ui.fairCompareBtn.disabled = !this.dataset.testRows;
+      if (this.fairness) this.#auditFairness();
+      this.#renderWhatIfRows();
+      if (this.run) await this.#recordRun(y, p, thr);
+    } catch (e) { alert(e.message || String(e)); }
+  }
+
+  // ---------- Experiment history (experiments.js) ----------
+  async #recordRun(y, p, thr) {
+    const op = atThreshold(y, p, thr);
+    Object.assign(this.run, {
+      config: JSON.parse(JSON.stringify({ ...this.config, threshold: thr })),
+      calibration: this.calibration?.method ?? 'none',
+      metrics: { prec: op.prec, rec: op.rec, f1: op.f1, auc: this.testScores.auc, cm: { tp: op.tp, fp: op.fp, fn: op.fn, tn: op.tn },
+        threshold: thr, brier: brierScore(y, p), ece: expectedCalibrationError(y, p) }
+    });
+    try {
+      await saveExperiment(this.run);
+      this.log(`Experiment ${this.run.id} recorded.`);
+      await this.#refreshExperiments();
+    } catch (e) { this.log(`Experiment not recorded: ${e.message || e}`); }
+  }
+
+  async #refreshExperiments() {
+    try {
+      this.experiments = await listExperiments();
+      this.#renderExperiments();
+    } catch (e) { this.ui.expReport.textContent = e.message || String(e); }
+  }
+
+  #renderExperiments() {
+    const f4 = v => Number.isFinite(v) ? v.toFixed(4) : '–';
+    if (!this.experiments.length) { this.ui.expReport.innerHTML = 'No runs recorded yet.'; return; }
+    this.ui.expReport.innerHTML = `
+      <table>
+        <thead><tr><th></th><th>Run</th><th>Date</th><th>Model</th><th>Seed</th><th>Data</th><th>AUC</th><th>F1</th><th>Brier</th><th>Thr</th><th>Epochs</th><th></th></tr></thead>
+        <tbody>${this.experiments.map(r => `<tr>
+          <td><input type="checkbox" data-exp-select="${esc(r.id)}"></td>
+          <td class="mono">${esc(r.id)}</td><td>${esc(r.createdAt.slice(0, 19).replace('T', ' '))}</td>
+          <td>${esc(r.model)}</td><td>${esc(r.seed)}</td>
+          <td class="mono" title="${esc(r.dataset?.name)}">${esc(r.dataset?.hash)} (${esc(r.dataset?.rows)})</td>
+          <td><b>${f4(r.metrics?.auc)}</b></td><td>${f4(r.metrics?.f1)}</td><td>${f4(r.metrics?.brier)}</td>
+          <td>${f4(r.metrics?.threshold)}</td><td>${r.history?.loss?.length ?? '–'}</td>
+          <td><button data-exp-apply="${esc(r.id)}">Apply config</button> <button data-exp-delete="${esc(r.id)}">Delete</button></td>
+        </tr>`).join('')}</tbody>
+      </table>`;
+  }
+
+  #selectedExperiments() {
+    const ids = [...this.ui.expReport.querySelectorAll('[data-exp-select]:checked')].map(el => el.dataset.expSelect);
+    return this.experiments.filter(r => ids.includes(r.id));
+  }
+
+  #diffExperiments() {
+    try {
+      const sel = this.#selectedExperiments();
+      if (sel.length !== 2) throw new Error('Select exactly two runs to compare.');
+      const [a, b] = sel, diff = diffExperiments(a, b);
+      const show = (v) => Array.isArray(v) ? v.map(esc).join(', ') || '—' : typeof v === 'number' ? +v.toFixed(6) : esc(v ?? '—');
+      this.ui.expDiff.innerHTML = diff.length ? `
+        <table>
+          <thead><tr><th>Key</th><th class="mono">${esc(a.id)}</th><th class="mono">${esc(b.id)}</th></tr></thead>
+          <tbody>${diff.map(d => `<tr><td class="mono">${esc(d.key === 'features' ? 'features (only in this run)' : d.key)}</td><td>${show(d.a)}</td><td>${show(d.b)}</td></tr>`).join('')}</tbody>
+        </table>` : 'The two runs have identical config, data and metrics.';
+    } catch (e) { alert(e.message || String(e)); }
+  }
+
+  #exportExperiments() {
+    if (!this.experiments.length) return alert('No runs recorded yet.');
+    const sel = this.#selectedExperiments();
+    const ts = new Date().toISOString().slice(0,19).replace(/[:T]/g,'-');
+    this.#saveFile(exportExperiments(sel.length ? sel : this.experiments), 'application/json', `attrition_experiments_${ts}.json`);
+  }
+
+  #applyExperiment(id) {
+    const run = this.experiments.find(r => r.id === id); if (!run) return;
+    if (MODEL_ZOO[run.model]) this.ui.modelKind.value = run.model;
+    this.#applyConfig({ ...run.config, seed: run.seed });
+    if (Number.isFinite(run.config?.threshold)) this.ui.thr.value = run.config.threshold;
+    const same = this.datasetInfo?.hash === run.dataset?.hash;
+    this.log(`Applied config of ${run.id}. ${same ? 'Same data loaded' : `Load the data it used (${run.dataset?.name}, hash ${run.dataset?.hash})`}, then Prepare, Build, Train and Evaluate to reproduce it.`);
+  }
+
+  async #deleteExperiment(id) {
+    try { await deleteExperiment(id); await this.#refreshExperiments(); this.ui.expDiff.innerHTML = ''; }
+    catch (e) { alert(e.message || String(e)); }
+  }
+
+  async #clearExperiments() {
+    try {
+      if (!confirm('Delete all recorded runs?')) return;
+      await clearExperiments(); await this.#refreshExperiments(); this.ui.expDiff.innerHTML = '';
+    } catch (e) { alert(e.message || String(e)); }
+  }
+
+  // ---------- Explanations (explain.js) ----------
+  async #explain() {
+    try {
+      if (!this.dataset || !this.model.model) throw new Error('Train and evaluate a model first.');
+      this.ui.explainBtn.disabled = true; this.#progress(0);
+      // sequences are flattened to [N, T*F]; a feature's group covers its column at every timestep
+      const [n, T, f] = this.dataset.xTest.shape;
+      const x2d = this.dataset.xTest.reshape([n, T * f]);
+      const X = await x2d.array(); x2d.dispose();
+      const y = (await this.dataset.yTest.array()).map(r => r[0]);
+      const groups = this.dl.featureGroups();
+      const steps = groups.map(g => ({ ...g, idx: Array.from({ length: T }, (_, t) => g.idx.map(j => t * f + j)).flat() }));
+
+      this.ui.explainText.textContent = 'Permutation importance…';
+      const imp = await permutationImportance({ model: this.model, X, y, groups: steps, seed: this.#runSeed(), onProgress: p => this.#progress(p / 2) });
+      const top = imp.features.slice(0, 15);
+      this.#renderBar('importance', this.ui.importanceChart, top.map(d => d.name), top.map(d => +d.importance.toFixed(4)),
+        'AUC drop when shuffled (test set)', { indexAxis: 'y' });
+
+      this.ui.explainText.textContent = 'Per-employee contributions…';
+      const calibration = this.calibration;   // drivers add up to the calibrated Probability shown and exported
+      const { base, rows } = await shapleyContributions({ model: this.model, X, groups: steps, seed: this.#runSeed(),
+        calibrate: calibration ? (p => applyCalibrator(calibration, p)) : null, onProgress: p => this.#progress(0.5 + p / 2) });
+      const raw = unscale(X.map(r => r.slice((T - 1) * f)), this.dl.scaler);   // latest snapshot, for labels
+      const drivers = rows.map((r, i) => topDrivers(r.contrib, groups, raw[i]));
+      this.explanations = { groups, rows, raw, base, drivers };
+      this.lastPreds?.forEach((r, i) => { r.TopDrivers = drivers[i] ?? ''; });
+      this.#renderTopRisk(); this.#renderExportColumns();
+
+      const meta = this.dataset.testMeta || [];
+      const idKey = this.dl.metaFields[0];
+      this.ui.explainRow.innerHTML = rows.map((r, i) => ({ i, p: r.prob })).sort((a,b) => b.p - a.p)
+        .map(({ i, p }) => `<option value="${i}">${esc(idKey ? `${idKey} ${meta[i]?.[idKey] ?? i+1}` : `#${i+1}`)} — ${p.toFixed(3)}</option>`).join('');
+      this.#drawContributions(Number(this.ui.explainRow.value));
+      this.ui.explainText.innerHTML = `Baseline AUC ${imp.baseAuc.toFixed(4)}; one-hot columns grouped by source. ` +
+        `Contributions are sampled Shapley values of the ${calibration ? `${calibration.method}-calibrated ` : ''}probability vs. the average employee (p=${base.toFixed(3)}).`;
+      this.#progress(1);
+    } catch (e) { this.ui.explainText.textContent = ''; alert(e.message || String(e)); }
+    finally { this.ui.explainBtn.disabled = !this.model.model; }
+  }
+
+  #drawContributions(i) {
+    const ex = this.explanations; const r = ex?.rows[i]; if (!r) return;
+    const top = [...r.contrib].map((v, g) => ({ v, g })).sort((a,b) => Math.abs(b.v) - Math.abs(a.v)).slice(0, 10);
+    this.#renderBar('contrib', this.ui.contribChart, top.map(d => driverLabel(ex.groups[d.g], ex.raw[i])), top.map(d => +d.v.toFixed(4)),
+      `p=${r.prob.toFixed(3)} vs average ${ex.base.toFixed(3)}`,
+      { indexAxis: 'y', backgroundColor: top.map(d => d.v > 0 ? '#ef4444' : '#22c55e') });
+  }
+
+  #clearExplanations() {
+    this.explanations = null; this.ui.explainBtn.disabled = true;
+    this.ui.explainRow.innerHTML = ''; this.ui.explainText.textContent = '';
+    this.charts.importance?.destroy?.(); this.charts.contrib?.destroy?.();
+  }
+
+  // ---------- What-if & counterfactuals (whatif.js) ----------
+  #renderWhatIfRows() {
+    const p = this.testScores?.p;
+    if (!this.dataset?.testRows || !p) return this.#clearWhatIf();
+    const meta = this.dataset.testMeta || [], idKey = this.dl.metaFields[0], prev = this.ui.wiRow.value;
+    this.ui.wiRow.innerHTML = p.map((v, i) => ({ i, v })).sort((a,b) => b.v - a.v)
+      .map(({ i, v }) => `<option value="${i}">${esc(idKey ? `${idKey} ${meta[i]?.[idKey] ?? i+1}` : `#${i+1}`)} — ${v.toFixed(3)}</option>`).join('');
+    if (prev !== '' && p[Number(prev)] !== undefined) this.ui.wiRow.value = prev;
+    this.ui.wiRow.disabled = false; this.ui.wiResetBtn.disabled = false; this.ui.wiSuggestBtn.disabled = false;
+    this.#loadWhatIf();
+  }
+
+  #clearWhatIf() {
+    this.whatIf = null;
+    this.ui.wiRow.innerHTML = ''; this.ui.wiRow.disabled = true; this.ui.wiResetBtn.disabled = true; this.ui.wiSuggestBtn.disabled = true;
+    this.ui.wiForm.innerHTML = ''; this.ui.wiResult.textContent = ''; this.ui.wiSuggestions.innerHTML = '';
+  }
+
+  // Columns the model reads (excluded sensitive or deselected ones are left out); locked = never suggested.
+  #whatIfColumns() {
+    const fixed = new Set([...IMMUTABLE, ...this.dl.sensitive]);
+    return [...this.dl.baseNum, ...this.dl.catCols].filter(c => this.dl.usesColumn(c))
+      .map(c => ({ name: c, categorical: this.dl.catCols.includes(c), fixed: fixed.has(c), action: ACTIONS[c] }));
+  }
+
+  #loadWhatIf() {
+    const i = Number(this.ui.wiRow.value), original = this.dataset?.testRows?.[i];
+    if (!original) return;
+    this.whatIf = { i, original, suggestions: [] };
+    const show = (v) => v === null || v === undefined ? '—' : esc(v);
+    const input = (c, v) => c.categorical
+      ? `<select data-wi-col="${esc(c.name)}">${[...new Set([...(v === null ? [''] : []), ...Object.keys(this.dl.encoders[c.name] || {}), ...(v === null ? [] : [String(v)])])]
+          .map(o => `<option value="${esc(o)}"${o === String(v ?? '') ? ' selected' : ''}>${o === '' ? '(missing)' : esc(o)}</option>`).join('')}</select>`
+      : `<input data-wi-col="${esc(c.name)}" type="number" value="${v ?? ''}" style="width:90px"/>`;
+    this.ui.wiForm.innerHTML = `
+      <table>
+        <thead><tr><th>Column</th><th>Original</th><th>Value</th><th title="Locked columns are never changed by suggestions">Locked</th></tr></thead>
+        <tbody>${this.#whatIfColumns().map(c => `<tr><td>${esc(c.name)}${c.action ? ' <span class="pill">lever</span>' : ''}</td><td>${show(original[c.name])}</td>
+          <td>${input(c, original[c.name])}</td>
+          <td><input type="checkbox" data-wi-lock="${esc(c.name)}"${c.action && !c.fixed ? '' : ' checked'}${c.fixed ? ' disabled title="Immutable or sensitive"' : ''}></td></tr>`).join('')}</tbody>
+      </table>`;
+    this.ui.wiSuggestions.innerHTML = '';
+    this.#scoreWhatIf();
+  }
+
+  // Original test row with the form's values; empty inputs count as missing (imputed like in training).
+  #whatIfRow() {
+    const row = { ...this.whatIf.original };
+    for (const el of this.ui.wiForm.querySelectorAll('[data-wi-col]')) {
+      const c = el.dataset.wiCol, v = el.value.trim();
+      row[c] = v === '' ? null : this.dl.catCols.includes(c) ? v : Number(v);
+    }
+    return row;
+  }
+
+  // Calibrated probabilities for edited copies of the selected employee. Panel data keeps the earlier
+  // snapshots of the test sequence and replaces only the latest one.
+  async #whatIfScore(rows) {
+    const X = this.dl.encode(rows), [, T, f] = this.dataset.xTest.shape;
+    let history = [];
+    if (T > 1) { const s = this.dataset.xTest.slice([this.whatIf.i, 0, 0], [1, T - 1, f]); history = (await s.array())[0]; s.dispose(); }
+    const x = this.tf.tensor3d(X.map(v => [...history, v]));
+    try { return await this.#probabilities(x); } finally { x.dispose(); }
+  }
+
+  async #scoreWhatIf() {
+    try {
+      if (!this.whatIf) return;
+      const row = this.#whatIfRow(), thr = Number(this.ui.thr.value) || 0.5;
+      const [p] = await this.#whatIfScore([row]), p0 = this.testScores.p[this.whatIf.i];
+      const changed = Object.keys(row).filter(c => String(row[c] ?? '') !== String(this.whatIf.original[c] ?? ''));
+      this.ui.wiResult.innerHTML = `Probability <b>${p0.toFixed(3)}</b> → <b>${p.toFixed(3)}</b> ` +
+        `(${p >= thr ? 'still flagged at' : 'below'} threshold ${thr})` +
+        (changed.length ? `; changed: ${changed.map(c => `${esc(c)} ${esc(this.whatIf.original[c] ?? '—')} → ${esc(row[c] ?? '—')}`).join(', ')}` : '') + '.';
+    } catch (e) { this.ui.wiResult.textContent = e.message || String(e); }
+  }
+
+  // Unlocked columns -> search actions: the lever list where it has one, otherwise every other category or
+  // ± half a standard deviation; numeric steps stay inside the validation rule's range.
+  #whatIfActions(row) {
+    const locked = new Set([...this.ui.wiForm.querySelectorAll('[data-wi-lock]:checked')].map(el => el.dataset.wiLock));
+    const actions = {};
+    for (const c of this.#whatIfColumns()) {
+      if (c.fixed || locked.has(c.name)) continue;
+      let action = c.action;
+      if (!action && c.categorical) action = { values: Object.keys(this.dl.encoders[c.name] || {}) };
+      if (!action) {
+        const j = this.dl.featureOrder.indexOf(c.name), sd = j >= 0 ? this.dl.scaler.std[j] : 0;
+        const step = sd > 0 ? Number((sd / 2).toPrecision(1)) : 0;
+        if (!step || row[c.name] === null) continue;
+        action = { deltas: [-step, step] };
+      }
+      if (!c.categorical) { const { min, max } = this.dl.rangeOf(c.name); action = { min, max, ...action }; }
+      actions[c.name] = action;
+    }
+    return actions;
+  }
+
+  async #suggestChanges() {
+    try {
+      if (!this.whatIf) throw new Error('Evaluate a model and pick an employee first.');
+      this.ui.wiSuggestBtn.disabled = true;
+      const row = this.#whatIfRow(), thr = Number(this.ui.thr.value) || 0.5;
+      const actions = this.#whatIfActions(row);
+      if (!Object.keys(actions).length) throw new Error('Unlock at least one column to search over.');
+      const maxChanges = Math.min(Math.max(Number(this.ui.wiMaxChanges.value) | 0 || 3, 1), 4);
+      const res = await counterfactuals({ row, score: rows => this.#whatIfScore(rows), threshold: thr, actions, maxChanges });
+      this.whatIf.suggestions = res.suggestions;
+      const head = res.base < thr ? `Already below threshold ${thr} (p=${res.base.toFixed(3)}).`
+        : res.reached ? `Smallest sets of changes that bring p=${res.base.toFixed(3)} below ${thr}:`
+        : `No combination of up to ${maxChanges} changes gets below ${thr}; closest ones:`;
+      this.ui.wiSuggestions.innerHTML = `<div>${head}</div>` + (res.suggestions.length ? `
+        <table style="margin-top:6px">
+          <thead><tr><th>Changes</th><th>p</th><th></th></tr></thead>
+          <tbody>${res.suggestions.map((s, k) => `<tr><td>${s.changes.map(c => `<b>${esc(c.column)}</b> ${esc(c.from ?? '—')} → ${esc(c.value)}`).join('<br/>')}</td>
+            <td>${s.p.toFixed(3)}</td><td><button data-wi-apply="${k}">Try</button></td></tr>`).join('')}</tbody>
+        </table>` : '');
+    } catch (e) { alert(e.message || String(e)); }
+    finally { this.ui.wiSuggestBtn.disabled = !this.whatIf; }
+  }
+
+  #applySuggestion(k) {
+    const s = this.whatIf?.suggestions[k]; if (!s) return;
+    for (const c of s.changes) { const el = this.ui.wiForm.querySelector(`[data-wi-col="${CSS.escape(c.column)}"]`); if (el) el.value = String(c.value); }
+    this.#scoreWhatIf();
+  }
+
+  // ---------- Risk segmentation (segments.js) ----------
+  #renderSegments() {
+    const { y, p } = this.testScores, pct = v => Number.isFinite(v) ? `${(v * 100).toFixed(1)}%` : '–';
+    const lift = liftTable(y, p), top = lift.deciles[0], labels = lift.deciles.map(d => `D${d.decile}`);
+    this.ui.liftSummary.innerHTML = `Base leave rate <b>${pct(lift.base)}</b> (${lift.positives} of ${lift.n} test employees). ` +
+      `The riskiest 10% hold <b>${pct(top?.gain)}</b> of the leavers (lift ${top?.lift.toFixed(2) ?? '–'}).`;
+    this.charts.lift?.destroy?.();
+    this.charts.lift = new this.Chart(this.ui.liftChart.getContext('2d'), {
+      type: 'bar',
+      data: { labels, datasets: [
+        { label: 'lift', data: lift.deciles.map(d => +d.lift.toFixed(3)) },
+        { label: 'cumulative lift', data: lift.deciles.map(d => +d.cumLift.toFixed(3)), type: 'line' },
+        { label: 'random', data: labels.map(() => 1), type: 'line', borderDash: [4, 4], pointRadius: 0 }
+      ] },
+      options: { responsive: true, plugins: { legend: { position: 'bottom' }, title: { display: true, text: 'Lift by risk decile (D1 = highest risk)' } } }
+    });
+    this.charts.gain?.destroy?.();
+    this.charts.gain = new this.Chart(this.ui.gainChart.getContext('2d'), {
+      type: 'line',
+      data: { datasets: [
+        { label: 'model', data: [{ x: 0, y: 0 }, ...lift.deciles.map(d => ({ x: d.population, y: d.gain }))] },
+        { label: 'random', data: [{ x: 0, y: 0 }, { x: 1, y: 1 }], borderDash: [4, 4], pointRadius: 0 }
+      ] },
+      options: { responsive: true, plugins: { legend: { position: 'bottom' }, title: { display: true, text: 'Cumulative gain' } },
+        scales: { x: { type: 'linear', min: 0, max: 1, title: { display: true, text: 'Share of employees contacted (by risk)' } },
+          y: { min: 0, max: 1, title: { display: true, text: 'Share of leavers reached' } } } }
+    });
+    this.ui.liftReport.innerHTML = `
+      <table>
+        <thead><tr><th>Decile</th><th>n</th><th>Probability range</th><th>Leavers</th><th>Leave rate</th><th>Lift</th><th>Cum. employees</th><th>Cum. leavers (gain)</th><th>Cum. lift</th></tr></thead>
+        <tbody>${lift.deciles.map(d => `<tr><td>D${d.decile}</td><td>${d.n}</td><td>${d.minP.toFixed(3)}–${d.maxP.toFixed(3)}</td><td>${d.positives}</td>
+          <td>${pct(d.rate)}</td><td>${d.lift.toFixed(2)}</td><td>${pct(d.population)}</td><td>${pct(d.gain)}</td><td>${d.cumLift.toFixed(2)}</td></tr>`).join('')}</tbody>
+      </table>`;
+
+    const cols = Object.keys(this.dataset?.testRows?.[0] ?? {}).filter(c => c !== this.dl.labelKey);
+    const options = (sel, list, none) => {
+      const prev = sel.value;
+      sel.innerHTML = (none ? `<option value="">${none}</option>` : '') + list.map(c => `<option value="${esc(c)}">${esc(c)}</option>`).join('');
+      return prev;
+    };
+    const prevCohort = options(this.ui.cohortCol, cols);
+    this.ui.cohortCol.value = cols.includes(prevCohort) ? prevCohort : (COHORT_COLUMNS.find(c => cols.includes(c)) ?? cols[0] ?? '');
+    const prevFilter = options(this.ui.topFilterCol, cols, '(all employees)');
+    this.ui.topFilterCol.value = cols.includes(prevFilter) ? prevFilter : '';
+    this.#renderTopFilterValues();
+    this.#renderCohorts();
+    this.#renderTopRisk();
+  }
+
+  #clearSegments() {
+    for (const k of ['lift', 'gain', 'cohort']) { this.charts[k]?.destroy?.(); this.charts[k] = null; }
+    this.ui.liftSummary.textContent = 'Evaluate a model to segment the test split by risk.';
+    this.ui.liftReport.innerHTML = ''; this.ui.cohortReport.innerHTML = ''; this.ui.topReport.innerHTML = '';
+  }
+
+  #renderCohorts() {
+    const column = this.ui.cohortCol.value;
+    if (!this.testScores || !this.dataset?.testRows || !column) return;
+    const { y, p } = this.testScores, thr = Number(this.ui.thr.value) || 0.5;
+    const pct = v => `${(v * 100).toFixed(1)}%`;
+    const rows = cohortTable({ y, p, groups: cohortLabels(this.dataset.testRows, column), threshold: thr });
+    this.charts.cohort?.destroy?.();
+    this.charts.cohort = new this.Chart(this.ui.cohortChart.getContext('2d'), {
+      type: 'bar',
+      data: { labels: rows.map(r => r.group), datasets: [
+        { label: 'predicted (mean probability)', data: rows.map(r => +r.predicted.toFixed(4)) },
+        { label: 'actual leave rate', data: rows.map(r => +r.actual.toFixed(4)) }
+      ] },
+      options: { responsive: true, plugins: { legend: { position: 'bottom' }, title: { display: true, text: `Predicted vs actual attrition by ${column}` } },
+        scales: { y: { min: 0, title: { display: true, text: 'Attrition rate' } } } }
+    });
+    this.ui.cohortReport.innerHTML = `
+      <table>
+        <thead><tr><th>${esc(column)}</th><th>n</th><th>Predicted</th><th>Actual</th><th>Expected leavers</th><th>Actual leavers</th><th>Flagged</th></tr></thead>
+        <tbody>${rows.map(r => `<tr${r.n < 10 ? ' style="color:#9ca3af" title="fewer than 10 employees"' : ''}><td>${esc(r.group)}</td><td>${r.n}</td>
+          <td>${pct(r.predicted)}</td><td>${pct(r.actual)}</td><td>${r.expected.toFixed(1)}</td><td>${r.leavers}</td><td>${pct(r.flaggedShare)}</td></tr>`).join('')}</tbody>
+      </table>`;
+  }
+
+  #renderTopFilterValues() {
+    const column = this.ui.topFilterCol.value, prev = this.ui.topFilterVal.value;
+    const levels = column && this.dataset?.testRows ? [...new Set(cohortLabels(this.dataset.testRows, column))].sort() : [];
+    this.ui.topFilterVal.innerHTML = levels.map(v => `<option value="${esc(v)}">${esc(v)}</option>`).join('');
+    this.ui.topFilterVal.disabled = !levels.length;
+    if (levels.includes(prev)) this.ui.topFilterVal.value = prev;
+  }
+
+  #renderTopRisk() {
+    if (!this.lastPreds?.length || !this.dataset?.testRows) return;
+    const column = this.ui.topFilterCol.value;
+    const rows = topAtRisk(this.lastPreds, {
+      n: Math.max(1, Number(this.ui.topN.value) | 0), minProbability: Number(this.ui.topMinP.value) || 0,
+      filter: column ? { column, value: this.ui.topFilterVal.value } : null,
+      groups: column ? cohortLabels(this.dataset.testRows, column) : null
+    });
+    const meta = this.dl.metaFields, extra = column && !meta.includes(column) ? [column] : [];
+    const drivers = rows.some(r => r.TopDrivers);
+    this.ui.topReport.innerHTML = rows.length ? `
+      <table>
+        <thead><tr><th>#</th>${[...meta, ...extra].map(c => `<th>${esc(c)}</th>`).join('')}<th>Probability</th><th>Predicted</th><th>Left</th>${drivers ? '<th>Top drivers</th>' : ''}</tr></thead>
+        <tbody>${rows.map(r => `<tr><td>${r.Rank}</td>${meta.map(c => `<td>${esc(r[c])}</td>`).join('')}${extra.map(c => `<td>${esc(this.dataset.testRows[r.index][c])}</td>`).join('')}
+          <td>${r.Probability.toFixed(3)}</td><td>${r.Predicted}</td><td>${r.True}</td>${drivers ? `<td>${esc(r.TopDrivers)}</td>` : ''}</tr>`).join('')}</tbody>
+      </table>` : 'No test employees match the filter.';
+  }
+
+  // ---------- Survival analysis (survival.js) ----------
+  #renderSurvivalColumns() {
+    const num = this.dl.baseNum, cols = [...this.dl.baseNum, ...this.dl.catCols];
+    const options = (list) => list.map(c => `<option value="${esc(c)}">${esc(c)}</option>`).join('');
+    const prevDuration = this.ui.survDuration.value, prevStrata = this.ui.survStrata.value;
+    this.ui.survDuration.innerHTML = options(num);
+    this.ui.survDuration.value = num.includes(prevDuration) ? prevDuration : (num.includes(DEFAULT_DURATION) ? DEFAULT_DURATION : num[0] ?? '');
+    this.ui.survStrata.innerHTML = '<option value="">(none)</option>' + options(cols);
+    this.ui.survStrata.value = cols.includes(prevStrata) ? prevStrata : (cols.includes('OverTime') ? 'OverTime' : '');
+    this.ui.survKMBtn.disabled = !num.length || !this.dl.labelKey || !!this.dl.panel;
+  }
+
+  // km = also the Kaplan–Meier view (new data); otherwise only the Cox fit (new split).
+  #clearSurvival(km = false) {
+    this.survival = null; this.ui.survDownloadBtn.disabled = true;
+    this.charts.cox?.destroy?.(); this.charts.cox = null;
+    this.ui.coxSummary.innerHTML = ''; this.ui.coxReport.innerHTML = ''; this.ui.survReport.innerHTML = '';
+    if (km) { this.charts.km?.destroy?.(); this.charts.km = null; this.ui.kmReport.innerHTML = ''; }
+  }
+
+  #survivalHorizons() {
+    const h = [...new Set(this.ui.survHorizons.value.split(',').map(Number).filter(v => Number.isFinite(v) && v > 0))].sort((a, b) => a - b);
+    if (!h.length) throw new Error('Enter at least one positive horizon in years, e.g. 1, 2, 5.');
+    return h;
+  }
+
+  // Whole file (labelled rows), stratified by the selected column; numeric strata are banded like cohorts.
+  #runKaplanMeier() {
+    try {
+      const duration = this.ui.survDuration.value, column = this.ui.survStrata.value, horizons = this.#survivalHorizons();
+      const raw = this.dl.raw, { time, event, index } = this.dl.survivalData(raw, duration);
+      const groups = column ? cohortLabels(index.map(i => raw[i]), column) : index.map(() => 'All employees');
+      const curves = [...new Set(groups)].sort().map(group => {
+        const k = groups.flatMap((g, j) => g === group ? [j] : []);
+        return { group, ...kaplanMeier(k.map(j => time[j]), k.map(j => event[j])) };
       });
-      this.#renderMetrics(res);
-      this.lastPreds = await this.#collectPredictions(thr);
-      this.ui.downloadBtn.disabled = false;
+      const test = column ? logRank(time, event, groups) : null;
+      const f3 = v => Number.isFinite(v) ? v.toFixed(3) : '–';
+
+      this.charts.km?.destroy?.();
+      this.charts.km = new this.Chart(this.ui.kmChart.getContext('2d'), {
+        type: 'line',
+        data: { datasets: curves.map(c => ({ label: `${c.group} (n=${c.n})`, data: [{ x: 0, y: 1 }, ...c.steps.map(s => ({ x: s.t, y: s.s }))], stepped: true, pointRadius: 0, fill: false })) },
+        options: { responsive: true, animation: false,
+          plugins: { legend: { position: 'bottom' }, title: { display: true, text: `Kaplan–Meier: still employed by ${duration}${column ? ` and ${column}` : ''}` } },
+          scales: { x: { type: 'linear', min: 0, title: { display: true, text: duration } }, y: { min: 0, max: 1, title: { display: true, text: 'Share still employed' } } } }
+      });
+      const oe = new Map(test?.groups.map(g => [g.group, g]) ?? []);
+      this.ui.kmReport.innerHTML = `
+        ${test ? `Log-rank test across ${curves.length} groups: χ² = <b>${test.chi2.toFixed(2)}</b> on ${test.df} df, p = <b>${test.p < 1e-4 ? test.p.toExponential(1) : f3(test.p)}</b>.` : ''}
+        <table>
+          <thead><tr><th>${esc(column || 'Group')}</th><th>n</th><th>Leavers</th>${test ? '<th>Expected</th>' : ''}<th>Median ${esc(duration)}</th>
+            ${horizons.map(h => `<th>Still employed at ${h}</th>`).join('')}</tr></thead>
+          <tbody>${curves.map(c => `<tr><td>${esc(c.group)}</td><td>${c.n}</td><td>${c.events}</td>${test ? `<td>${oe.get(c.group).expected.toFixed(1)}</td>` : ''}
+            <td>${c.median ?? 'not reached'}</td>${horizons.map(h => { const at = survivalAt(c, h); return `<td>${at ? `${f3(at.s)} <span style="color:#6b7280">(${f3(at.lo)}–${f3(at.hi)})</span>` : '–'}</td>`; }).join('')}</tr>`).join('')}</tbody>
+        </table>
+        <div style="margin-top:4px">95% intervals (Greenwood, log-log). Rows without a valid ${esc(duration)} are left out.</div>`;
+    } catch (e) { alert(e.message || String(e)); }
+  }
+
+  #fitCox() {
+    try {
+      const ds = this.dataset;
+      if (!ds?.trainRows) throw new Error(this.dl.panel ? 'Survival analysis needs one row per employee: panel data is not supported.' : 'Prepare the dataset first.');
+      const duration = this.ui.survDuration.value, horizons = this.#survivalHorizons();
+      const l2 = Math.max(0, Number(this.ui.survL2.value) || 0);
+      const exclude = this.ui.survExclude.value.split(',').map(c => c.trim()).filter(Boolean);
+      const { idx, features, scale, reference } = this.dl.survivalFeatures([duration, ...exclude]);
+      const design = (rows) => {
+        const s = this.dl.survivalData(rows, duration);
+        return { ...s, X: this.dl.encode(s.index.map(i => rows[i])).map(v => idx.map(j => v[j])) };
+      };
+      const train = design(ds.trainRows), test = design(ds.testRows);
+      const model = fitCox(train.X, train.time, train.event, { l2 });
+      const risk = coxRisk(model, test.X);
+      const c = { train: concordance(train.time, train.event, coxRisk(model, train.X)), test: concordance(test.time, test.event, risk) };
+      // the classifier's calibrated test probabilities ranked the same way, for comparison
+      const clf = this.testScores?.p.length === ds.testRows.length ? concordance(test.time, test.event, test.index.map(i => this.testScores.p[i])) : null;
+
+      const rows = test.index.map((i, k) => ({
+        ...ds.testMeta[i], [duration]: test.time[k], Left: test.event[k] ? 'Yes' : 'No', RelativeHazard: +Math.exp(risk[k]).toFixed(4),
+        ...Object.fromEntries(stayProbabilities(model, risk[k], test.time[k], horizons).map(s => [`Stay${s.horizon}y`, +s.p.toFixed(4)]))
+      })).sort((a, b) => b.RelativeHazard - a.RelativeHazard);
+      this.survival = { model, duration, horizons, rows };
+      this.ui.survDownloadBtn.disabled = false;
+      this.log(`Cox model: ${model.columns.length} covariates, ${model.events} leavers of ${model.n}, test C-index ${c.test.c.toFixed(3)}.`);
+
+      const f3 = v => Number.isFinite(v) ? v.toFixed(3) : '–', pv = v => v < 1e-4 ? v.toExponential(1) : f3(v);
+      const dropped = model.dropped.map(d => `${esc(features[d.index])} (${d.reason === 'duplicate' ? `same as ${esc(features[d.of])}` : 'constant'})`);
+      const refs = Object.entries(reference).map(([col, level]) => `${esc(col)} = ${esc(level)}`);
+      this.ui.coxSummary.innerHTML = `
+        Cox model on <b>${model.n}</b> train employees (${model.events} leavers), ${model.columns.length} covariates, ridge λ = ${l2};
+        ${model.converged ? `converged in ${model.iterations} iterations` : `<b>not converged</b> after ${model.iterations} iterations`}.
+        Likelihood ratio χ² = ${model.lrChi2.toFixed(1)} on ${model.columns.length} df, p = ${pv(model.lrP)}.<br/>
+        Concordance (C-index): train <b>${f3(c.train.c)}</b>, test <b>${f3(c.test.c)}</b> (${c.test.comparable} comparable pairs)${clf ? `; classifier probability on the same employees ${f3(clf.c)}` : ''}.
+        ${dropped.length ? `<br/>Left out: ${dropped.join(', ')}.` : ''}
+        ${refs.length ? `<br/>Reference levels: ${refs.join(', ')}.` : ''}`;
+
+      const hrs = hazardRatios(model, features, scale).sort((a, b) => a.p - b.p);
+      const top = hrs.filter(h => Number.isFinite(h.z)).slice(0, 15);
+      this.charts.cox?.destroy?.();
+      this.charts.cox = new this.Chart(this.ui.coxChart.getContext('2d'), {
+        type: 'bar',
+        data: { labels: top.map(h => h.feature), datasets: [{ label: 'hazard ratio per SD', data: top.map(h => [1, +h.hr.toFixed(4)]),
+          backgroundColor: top.map(h => h.hr > 1 ? 'rgba(220,38,38,0.6)' : 'rgba(22,163,74,0.6)') }] },
+        options: { indexAxis: 'y', responsive: true, plugins: { legend: { display: false },
+          title: { display: true, text: 'Hazard ratios per SD, 15 most significant (> 1 = leaves sooner)' } },
+          scales: { x: { type: 'logarithmic', title: { display: true, text: 'Hazard ratio (log scale)' } } } }
+      });
+      this.ui.coxReport.innerHTML = `
+        <table>
+          <thead><tr><th>Feature</th><th>HR per SD</th><th>95% CI</th><th>HR per unit</th><th>p</th></tr></thead>
+          <tbody>${hrs.map(h => `<tr${h.p < 0.05 ? ' style="font-weight:600"' : ''}><td>${esc(h.feature)}</td><td>${f3(h.hr)}</td>
+            <td>${f3(h.lo)}–${f3(h.hi)}</td><td>${f3(h.hrUnit)}</td><td>${pv(h.p)}</td></tr>`).join('')}</tbody>
+        </table>
+        <div style="margin-top:4px">Per unit = one unit of the raw column; for a one-hot column, that category vs the reference level. Bold: p &lt; 0.05.</div>`;
+      this.#renderSurvivalRows();
+    } catch (e) { alert(e.message || String(e)); }
+  }
+
+  #renderSurvivalRows() {
+    const { model, duration, horizons, rows } = this.survival, meta = this.dl.metaFields.filter(f => f !== duration);
+    const beyond = rows.some(r => horizons.some(h => r[duration] + h > model.lastEvent));
+    this.ui.survReport.innerHTML = `
+      <b>Test employees by relative hazard</b> (top 50 of ${rows.length}; the download has all of them)
+      <table>
+        <thead><tr><th>#</th>${meta.map(c => `<th>${esc(c)}</th>`).join('')}<th>${esc(duration)}</th><th>Left</th><th>Relative hazard</th>
+          ${horizons.map(h => `<th>P(stay ${h} more)</th>`).join('')}</tr></thead>
+        <tbody>${rows.slice(0, 50).map((r, k) => `<tr><td>${k + 1}</td>${meta.map(c => `<td>${esc(r[c])}</td>`).join('')}<td>${r[duration]}</td><td>${r.Left}</td>
+          <td>${r.RelativeHazard.toFixed(2)}</td>${horizons.map(h => `<td>${r[`Stay${h}y`].toFixed(3)}${r[duration] + h > model.lastEvent ? '†' : ''}</td>`).join('')}</tr>`).join('')}</tbody>
+      </table>
+      <div style="margin-top:4px">P(stay k more) = probability of still being employed k years after the current ${esc(duration)}, given employment today.
+        ${beyond ? `† ends past the last observed exit (${model.lastEvent}); the baseline hazard is flat there, so it is an upper bound.` : ''}</div>`;
+  }
+
+  #downloadSurvival() {
+    try {
+      if (!this.survival) throw new Error('Fit a Cox model first.');
+      const { rows } = this.survival, cols = Object.keys(rows[0] ?? {});
+      const { content, type, ext } = exportRows(rows, cols, this.ui.exportFormat.value, { sheet: 'survival' });
+      const ts = new Date().toISOString().slice(0,19).replace(/[:T]/g,'-');
+      this.#saveFile(content, type, `attrition_survival_${ts}.${ext}`);
+    } catch (e) { alert(e.message || String(e)); }
+  }
+
+  // ---------- Fairness (fairness.js) ----------
+  #sensitiveColumns() {
+    const cols = this.ui.sensitiveCols.value.split(',').map(s => s.trim()).filter(Boolean);
+    return cols.length ? cols : DEFAULT_SENSITIVE.slice();
+  }
+
+  #renderFairnessColumns() {
+    const cols = Object.keys(this.dataset?.testRows?.[0] ?? {}).filter(c => c !== this.dl.labelKey);
+    const prev = this.ui.fairCol.value;
+    this.ui.fairCol.innerHTML = cols.map(c => `<option value="${esc(c)}">${esc(c)}</option>`).join('');
+    this.ui.fairCol.value = cols.includes(prev) ? prev : (this.#sensitiveColumns().find(c => cols.includes(c)) ?? cols[0] ?? '');
+  }
+
+  #clearFairness() {
+    this.fairness = null; this.ui.fairReport.innerHTML = '';
+    this.ui.fairBtn.disabled = true; this.ui.fairCompareBtn.disabled = true;
+  }
+
+  #currentFairnessRun() {
+    const excluded = this.dl.excluded.length > 0;
+    return { label: excluded ? 'Without sensitive attributes' : 'With sensitive attributes', excluded,
+      features: this.dataset.featureOrder.length, y: this.testScores.y, p: this.testScores.p, rows: this.dataset.testRows };
+  }
+
+  #auditFairness() {
+    try {
+      if (!this.testScores || !this.dataset?.testRows) throw new Error('Train and evaluate a model first.');
+      const other = this.fairness?.find(r => r.variant);
+      this.fairness = [this.#currentFairnessRun(), ...(other ? [other] : [])];
+      this.#renderFairness();
     } catch (e) { alert(e.message || String(e)); }
   }
 
+  // Same kind, hyperparameters, seed and split as the current model, opposite sensitive-attribute setting.
+  async #compareFairness() {
+    const saved = this.dl.exportState(), prev = { columns: this.dl.sensitive, exclude: this.dl.excludeSensitive };
+    let ds = null;
+    try {
+      if (!this.testScores || !this.dataset?.testRows) throw new Error('Train and evaluate a model first.');
+      this.ui.fairCompareBtn.disabled = true; this.#progress(0);
+      const current = this.#currentFairnessRun(), c = this.config;
+      this.dl.setSensitive({ exclude: !current.excluded });
+      ds = this.dl.prepareTensors({ testSplit: c.testSplit ?? 0.2, calSplit: c.calSplit ?? 0, augment: c.augment });
+      for (const k of ['xTrain', 'xTest', 'xCal']) if (ds[k]) ds[k] = this.#toModelInput(ds[k]);
+      const kind = this.model.kind, [timesteps, features] = ds.xTrain.shape.slice(1);
+      const { artifacts } = await this.trainer.run('train', {
+        kind, seed: this.#runSeed(), ...await packDataset(ds, { keys: ['xTrain', 'yTrain'] }),
+        build: { timesteps, features, units: c.units, layers: c.layers, lr: c.lr, focal: c.focal },
+        fit: { epochs: c.epochs, batchSize: c.batchSize, validationSplit: c.validationSplit, patience: c.patience, classWeight: c.classWeight }
+      }, { onProgress: ({ epoch }) => this.#progress((epoch + 1) / (c.epochs || 1)) });
+      const raw = async (x) => Array.from((await this.trainer.run('predict', { kind, artifacts, x: await packTensor(x) })).p);
+      const cal = ds.xCal && this.calibration ? fitCalibrator(this.calibration.method, await raw(ds.xCal), Array.from(ds.yCal.dataSync())) : null;
+      const p = applyCalibrator(cal, await raw(ds.xTest));
+      const variant = { label: current.excluded ? 'With sensitive attributes' : 'Without sensitive attributes', excluded: !current.excluded,
+        variant: true, features, y: Array.from(ds.yTest.dataSync()), p, rows: ds.testRows };
+      this.fairness = [current, variant];
+      this.#renderFairness();
+      this.#progress(1);
+    } catch (e) {
+      if (!isCancelled(e)) alert(e.message || String(e));
+      else { this.#progress(0); this.log('Fairness comparison cancelled.'); }
+    }
+    finally {
+      if (ds) for (const k of ['xTrain', 'yTrain', 'xTest', 'yTest', 'xCal', 'yCal']) ds[k]?.dispose();
+      this.dl.setSensitive(prev); this.dl.importState(saved);
+      this.ui.fairCompareBtn.disabled = !this.testScores;
+    }
+  }
+
+  #renderFairness() {
+    const column = this.ui.fairCol.value, thr = Number(this.ui.thr.value) || 0.5;
+    const pct = v => Number.isFinite(v) ? `${(v * 100).toFixed(1)}%` : '–';
+    const f3 = v => Number.isFinite(v) ? v.toFixed(3) : '–';
+    const runs = this.fairness.map(r => ({ ...r, auc: rocAuc(r.y, r.p),
+      report: fairnessReport({ y: r.y, p: r.p, groups: groupLabels(r.rows, column), threshold: thr }) }));
+    const summary = `
+      <table>
+        <thead><tr><th>Model</th><th>Inputs</th><th>AUC</th><th>Demographic parity gap</th><th>Disparate impact</th><th>Equalized odds gap (TPR / FPR)</th></tr></thead>
+        <tbody>${runs.map(r => { const g = r.report.gaps; return `<tr><td>${esc(r.label)}</td><td>${r.features}</td><td>${f3(r.auc)}</td>
+          <td><b>${pct(g.demographicParity)}</b></td><td>${f3(g.disparateImpact)}</td><td><b>${pct(g.equalizedOdds)}</b> (${pct(g.tprGap)} / ${pct(g.fprGap)})</td></tr>`; }).join('')}</tbody>
+      </table>`;
+    const groups = runs.map(r => `
+      <h4 style="margin-top:10px">${esc(r.label)} — by ${esc(column)}</h4>
+      <table>
+        <thead><tr><th>Group</th><th>n</th><th>Leave rate</th><th>Selection rate</th><th>TPR</th><th>FPR</th><th>Precision</th><th>Mean p</th><th>Calibration gap</th></tr></thead>
+        <tbody>${r.report.groups.map(g => `<tr${g.small ? ' style="color:#9ca3af" title="fewer than 10 employees: not in the gaps"' : ''}>
+          <td>${esc(g.group)}</td><td>${g.n}</td><td>${pct(g.baseRate)}</td><td>${pct(g.selectionRate)}</td><td>${pct(g.tpr)}</td><td>${pct(g.fpr)}</td>
+          <td>${pct(g.prec)}</td><td>${f3(g.meanP)}</td><td>${Number.isFinite(g.calGap) ? (g.calGap >= 0 ? '+' : '') + g.calGap.toFixed(3) : '–'}</td></tr>`).join('')}</tbody>
+      </table>`).join('');
+    this.ui.fairReport.innerHTML = `${summary}${groups}<div style="margin-top:6px">Threshold ${thr}. Calibration gap = mean predicted probability − observed leave rate.</div>`;
+  }
+
+  // ---------- Calibration (calibrate.js) ----------
+  // Model probabilities for x; calibrated unless raw.
+  async #probabilities(x, calibrated = true) {
+    const t = this.model.predict(x);
+    const raw = Array.from(await t.data()); t.dispose();
+    return calibrated ? applyCalibrator(this.calibration, raw) : raw;
+  }
+
+  // Raw probabilities of the current model on a prepared split (xTest / xCal), computed in the training worker.
+  async #splitProbabilities(key) {
+    const { p } = await this.trainer.run('predict', { kind: this.model.kind, artifacts: await this.model.toArtifacts(), x: await packTensor(this.dataset[key]) });
+    return Array.from(p);
+  }
+
+  async #fitCalibration() {
+    this.calibration = null; this.calRaw = null;
+    if (!this.dataset?.xCal) return;
+    this.calRaw = await this.#splitProbabilities('xCal');
+    this.#refitCalibration();
+  }
+
+  #refitCalibration() {
+    try {
+      const method = this.ui.calMethod.value || 'none';
+      if (!this.calRaw) {
+        if (method !== (this.calibration?.method ?? 'none')) alert('Set a calibration split and train again to refit the calibrator.');
+        this.ui.calMethod.value = this.calibration?.method ?? 'none';
+        return;
+      }
+      const y = this.dataset.yCal.dataSync();
+      this.calibration = fitCalibrator(method, this.calRaw, Array.from(y));
+      this.config.calibration = method;
+      this.log(`Calibration: ${method} on ${y.length} held-out rows.`);
+      this.#clearExplanations();   // drivers were computed on the previous calibration
+      if (this.lastPreds) this.#evaluate();
+    } catch (e) { this.calibration = null; this.ui.calMethod.value = 'none'; alert(e.message || String(e)); }
+  }
+
+  #renderCalibration(y, raw, cal) {
+    this.ui.elBrier.textContent = brierScore(y, cal).toFixed(4);
+    this.ui.elECE.textContent = expectedCalibrationError(y, cal).toFixed(4);
+    const pts = (p) => reliabilityBins(y, p).map(b => ({ x: +b.meanPred.toFixed(4), y: +b.fracPos.toFixed(4) }));
+    const ds = [{ label: 'perfect', data: [{x:0,y:0},{x:1,y:1}], borderDash: [4,4], pointRadius: 0 },
+                { label: `raw (Brier ${brierScore(y, raw).toFixed(4)})`, data: pts(raw) }];
+    if (this.calibration) ds.push({ label: `${this.calibration.method} (Brier ${brierScore(y, cal).toFixed(4)})`, data: pts(cal) });
+    this.charts.reliability?.destroy?.();
+    this.charts.reliability = new this.Chart(this.ui.reliabilityChart.getContext('2d'), {
+      type: 'line',
+      data: { datasets: ds },
+      options: { responsive: true, parsing: true, plugins: { legend: { position: 'bottom' }, title: { display: true, text: 'Reliability (test set)' } },
+        scales: { x: { type: 'linear', min: 0, max: 1, title: { display: true, text: 'mean predicted' } },
+                  y: { min: 0, max: 1, title: { display: true, text: 'observed rate' } } } }
+    });
+  }
+
+  // ---------- Threshold selection (threshold.js) ----------
+  #thresholdObjective() {
+    return {
+      objective: this.ui.thrObjective.value || 'f1',
+      costLeave: Math.max(0, Number(this.ui.costLeave.value) || 0),
+      costIntervention: Math.max(0, Number(this.ui.costIntervention.value) || 0),
+      targetRecall: Math.min(Math.max(Number(this.ui.targetRecall.value) || 0.8, 0), 1),
+      capacity: Math.max(0, Number(this.ui.capacity.value) | 0)
+    };
+  }
+
   async #autoThreshold() {
-    if (!this.dataset) return alert('Prepare & Train first.');
-    const probs = this.model.predict(this.dataset.xTest);
-    const p = await probs.array(); probs.dispose();
-    const y = await this.dataset.yTest.array();
-
-    let best = { thr: 0.5, f1: 0 };
-    for (let t = 0.10; t <= 0.90; t += 0.01) {
-      let tp=0, fp=0, fn=0;
-      for (let i=0;i<p.length;i++){
-        const pred = p[i][0] >= t ? 1 : 0;
-        const gt = y[i][0];
-        if (pred===1 && gt===1) tp++;
-        else if (pred===1 && gt===0) fp++;
-        else if (pred===0 && gt===1) fn++;
+    try {
+      if (!this.testScores) {
+        if (!this.dataset || !this.model.model) throw new Error('Prepare & Train first.');
+        await this.#evaluate();
       }
-      const prec = tp / Math.max(1, tp+fp);
-      const rec  = tp / Math.max(1, tp+fn);
-      const f1   = 2*prec*rec/Math.max(1e-9,prec+rec);
-      if (f1 > best.f1) best = { thr: +t.toFixed(2), f1 };
+      const opts = this.#thresholdObjective();
+      const best = chooseThreshold(this.testScores.y, this.testScores.p, opts);
+      this.ui.thr.value = String(Math.floor(best.thr * 1e6) / 1e6);   // never round above the chosen score
+      this.config.thresholdObjective = opts;
+      this.#updateOperatingPoint();
+    } catch (e) { alert(e.message || String(e)); }
+  }
+
+  // Live confusion matrix, metrics, cost and curve markers for the threshold input.
+  #updateOperatingPoint() {
+    if (!this.testScores) return;
+    const thr = Number(this.ui.thr.value); if (!Number.isFinite(thr)) return;
+    const { y, p, auc } = this.testScores;
+    const op = atThreshold(y, p, thr, this.#thresholdObjective());
+    this.#renderMetrics({ ...op, auc, cm: { tp: op.tp, fp: op.fp, fn: op.fn, tn: op.tn } });
+    this.ui.thrInfo.textContent = `Threshold ${thr}: flags ${op.flagged} of ${y.length} test employees · ` +
+      `expected cost ${Math.round(op.cost).toLocaleString()} (${op.fn} missed leavers, ${op.flagged} interventions)`;
+    this.lastPreds?.forEach(r => { r.Predicted = r.Probability >= thr ? 'Yes' : 'No'; });
+    if (this.lastPreds) { this.#renderCohorts(); this.#renderTopRisk(); }
+    for (const [key, pt] of [['roc', { x: op.fpr, y: op.rec }], ['pr', { x: op.rec, y: op.prec }]]) {
+      const chart = this.charts[key]; if (!chart) continue;
+      chart.data.datasets[1].data = [pt]; chart.update('none');
+    }
+    if (this.whatIf) this.#scoreWhatIf();
+  }
+
+  #drawCurves() {
+    const { y, p } = this.testScores;
+    const curves = {
+      roc: { canvas: this.ui.rocChart, pts: rocCurve(y, p).map(c => ({ x: c.fpr, y: c.tpr, thr: c.thr })), x: 'False positive rate', y: 'Recall (TPR)', title: `ROC (AUC ${this.testScores.auc.toFixed(3)})` },
+      pr:  { canvas: this.ui.prChart,  pts: prCurve(y, p).map(c => ({ x: c.rec, y: c.prec, thr: c.thr })),  x: 'Recall', y: 'Precision', title: 'Precision-Recall' }
+    };
+    for (const [key, c] of Object.entries(curves)) {
+      this.charts[key]?.destroy?.();
+      this.charts[key] = new this.Chart(c.canvas.getContext('2d'), {
+        type: 'line',
+        data: { datasets: [
+          { label: key.toUpperCase(), data: c.pts, pointRadius: 0, pointHitRadius: 6, stepped: key === 'pr' ? 'before' : false },
+          { label: 'current threshold', data: [], type: 'scatter', pointRadius: 6, backgroundColor: '#ef4444' }
+        ] },
+        options: {
+          responsive: true, plugins: { legend: { position: 'bottom' }, title: { display: true, text: c.title },
+            tooltip: { callbacks: { label: (ctx) => ctx.raw.thr !== undefined ? `threshold ${ctx.raw.thr.toFixed(4)}` : '' } } },
+          scales: { x: { type: 'linear', min: 0, max: 1, title: { display: true, text: c.x } }, y: { min: 0, max: 1, title: { display: true, text: c.y } } },
+          onClick: (_e, els) => {
+            const el = els.find(d => d.datasetIndex === 0); if (!el) return;
+            this.ui.thr.value = String(Math.floor(Math.min(1, c.pts[el.index].thr) * 1e6) / 1e6);
+            this.#updateOperatingPoint();
+          }
+        }
+      });
     }
-    this.ui.thr.value = best.thr.toFixed(2);
-    alert(`Best F1 at threshold ${best.thr}: ${best.f1.toFixed(3)}`);
   }
 
-  async #collectPredictions(threshold) {
-    const probs = this.model.predict(this.dataset.xTest);
-    const pArr = await probs.array(); probs.dispose();
+  async #collectPredictions(threshold, p) {
+    const pArr = p.map(v => [v]);
     const yArr = await this.dataset.yTest.array();
     const meta = this.dataset.testMeta || [];
     const out = [];
@@ -195,28 +1457,320 @@ export class App {
       const pred = prob >= threshold ? 'Yes' : 'No';
       const truth = yArr[i][0] === 1 ? 'Yes' : 'No';
       const m = meta[i] || {};
-      out.push({
-        EmployeeNumber: m.EmployeeNumber ?? '',
-        JobRole: m.JobRole ?? '',
-        OverTime: m.OverTime ?? '',
-        YearsAtCompany: m.YearsAtCompany ?? '',
-        MonthlyIncome: m.MonthlyIncome ?? '',
-        Probability: +prob.toFixed(6),
-        Predicted: pred, True: truth
-      });
+      const row = { ...m, Probability: +prob.toFixed(6), Predicted: pred, True: truth };
+      if (this.explanations) row.TopDrivers = this.explanations.drivers[i] ?? '';
+      out.push(row);
     }
     return out;
   }
 
-  #downloadCSV() {
-    if (!this.lastPreds?.length) return alert('No predictions to download. Run Evaluate first.');
-    const cols = ['EmployeeNumber','JobRole','OverTime','YearsAtCompany','MonthlyIncome','Probability','Predicted','True'];
-    const header = cols.join(',');
-    const rows = this.lastPreds.map(r => cols.map(c => `${String(r[c] ?? '').replace(/,/g,';')}`).join(','));
-    const csv = [header, ...rows].join('\n');
-    const blob = new Blob([csv], {type:'text/csv'}); const url = URL.createObjectURL(blob);
-    const a = document.createElement('a'); const ts = new Date().toISOString().slice(0,19).replace(/[:T]/g,'-');
-    a.href = url; a.download = `attrition_predictions_${ts}.csv`; a.click(); URL.revokeObjectURL(url);
+  async #saveBundle(target) {
+    try {
+      const bundle = makeBundle({ dl: this.dl, threshold: Number(this.ui.thr.value) || 0.5, config: this.config, calibration: this.calibration });
+      await this.model.save(target, bundle);
+    } catch (e) { alert(e.message || String(e)); }
+  }
+
+  async #loadBundle(source) {
+    try {
+      this.#ensureIdle();
+      const model = await loadClassifier(source, { log: this.log });
+      this.model.dispose(); this.model = model;
+      this.ui.modelKind.value = model.kind;
+      const bundle = readBundle(this.model.meta);
+      if (bundle) {
+        this.dl.importState(bundle.preprocessing);
+        this.#renderFeatureReport(this.dl.featureReport());
+        this.ui.thr.value = bundle.threshold.toFixed(2);
+        this.config = bundle.config || {};
+        this.#applyConfig(this.config);
+        this.calibration = bundle.calibration ?? null; this.calRaw = null; this.run = null;
+        this.ui.calMethod.value = this.calibration?.method ?? 'none';
+        this.log(`Bundle v${bundle.version} from ${bundle.createdAt}: pipeline ready to predict (threshold ${bundle.threshold}${this.calibration ? `, ${this.calibration.method} calibration` : ''}).`);
+      } else {
+        this.log('Loaded legacy weights without preprocessing: prepare the same dataset before evaluating.');
+      }
+      this.#toggleTrainButtons(true);
+    } catch (e) { alert(e.message || String(e)); }
+  }
+
+  #applyConfig(c) {
+    const set = (el, v) => { if (el && v !== undefined && v !== null) el.value = v; };
+    set(this.ui.units, c.units); set(this.ui.layers, c.layers); set(this.ui.lr, c.lr);
+    set(this.ui.epochs, c.epochs); set(this.ui.batchSize, c.batchSize);
+    set(this.ui.valSplit, c.validationSplit); set(this.ui.patience, c.patience);
+    if (typeof c.restoreBest === 'boolean') this.ui.restoreBest.checked = c.restoreBest;
+    if ('schedule' in c) {
+      const sc = { ...DEFAULT_SCHEDULE, ...c.schedule };
+      set(this.ui.lrSchedule, sc.type); set(this.ui.lrEvery, sc.every); set(this.ui.lrFactor, sc.factor);
+      set(this.ui.lrPatience, sc.patience); set(this.ui.lrMin, sc.minLr);
+    }
+    if (Number.isFinite(c.testSplit)) set(this.ui.testSplit, Math.round(c.testSplit * 100));
+    if (Number.isFinite(c.calSplit)) set(this.ui.calSplit, Math.round(c.calSplit * 100));
+    const t = c.thresholdObjective;
+    if (t) { set(this.ui.thrObjective, t.objective); set(this.ui.costLeave, t.costLeave); set(this.ui.costIntervention, t.costIntervention); set(this.ui.targetRecall, t.targetRecall); set(this.ui.capacity, t.capacity); }
+    const imb = c.imbalance ?? (c.augment && { ...c.augment, strategy: c.augment.strategy ?? (c.augment.enable ? 'noise' : 'none') });
+    if (imb) {
+      set(this.ui.imbStrategy, imb.strategy); set(this.ui.augRatio, imb.targetRatio); set(this.ui.augNoise, imb.noiseStd);
+      set(this.ui.smoteK, imb.k); set(this.ui.focalGamma, imb.gamma); set(this.ui.focalAlpha, imb.alpha);
+    }
+    set(this.ui.seed, c.seed);
+    if (c.sensitive) { this.ui.sensitiveCols.value = c.sensitive.columns.join(', '); this.ui.excludeSensitive.checked = !!c.sensitive.exclude; }
+    if ('selection' in c) {
+      const sel = { ...DEFAULT_SELECTION, ...c.selection };
+      this.ui.selEnable.checked = !!c.selection?.enabled; this.ui.selRfe.checked = !!sel.rfe;
+      set(this.ui.selFreqRatio, sel.freqRatio); set(this.ui.selUnique, +(sel.uniqueShare * 100).toFixed(2)); set(this.ui.selCorr, sel.correlation);
+      set(this.ui.selRank, sel.rank); set(this.ui.selKeep, sel.keep); set(this.ui.selL1, sel.l1); set(this.ui.selFolds, sel.folds);
+    }
+  }
+
+  async #onScoreCSV() {
+    try {
+      if (!this.model.model) throw new Error('Train a model or load a bundle first.');
+      this.#status('scoreStatus','Scoring…','#fef3c7','#92400e');
+      const { rows, report: parsed } = await this.dl.readFile(this.ui.scoreFile.files[0]);
+      const { X, meta, report } = this.dl.transform(rows);
+      try { this.#checkDrift(rows, this.ui.scoreFile.files[0].name); } catch (e) { this.log(`Drift check skipped: ${e.message || e}`); }
+      const expected = this.model.inputShape, width = this.dl.panel ? X[0]?.[0]?.length : X[0]?.length;
+      if (expected && width !== expected.at(-1)) throw new Error(`Feature mismatch: model expects ${expected.at(-1)}, pipeline produced ${width}.`);
+      if (expected && this.dl.panel && expected[0] !== this.dl.panel.seqLen) throw new Error(`Sequence mismatch: model expects ${expected[0]} snapshots, pipeline produced ${this.dl.panel.seqLen}.`);
+
+      const x = this.#toModelInput(this.tf.tensor(X));
+      const p = (await this.#probabilities(x)).map(v => [v]); x.dispose();
+      // HR capacity is a head count, so on a new list it means "flag the top N" rather than the test-set cut
+      const obj = this.#thresholdObjective(), byCapacity = obj.objective === 'capacity';
+      const thr = byCapacity ? capacityThreshold(p.map(v => v[0]), obj.capacity) : (Number(this.ui.thr.value) || 0.5);
+
+      this.scored = meta
+        .map((m,i) => ({ ...m, Probability: +p[i][0].toFixed(6), Predicted: p[i][0] >= thr ? 'Yes' : 'No' }))
+        .sort((a,b) => b.Probability - a.Probability)
+        .map((r,i) => ({ Rank: i+1, ...r }));
+
+      const flagged = this.scored.filter(r => r.Predicted === 'Yes').length;
+      const missing = [...report.missingNum, ...report.missingCat];
+      const unseen = Object.entries(report.unseen).map(([c,v]) => `${esc(c)}: ${Object.keys(v).map(esc).join('/')}`);
+      this.ui.scoreReport.innerHTML =
+        `Scored <b>${report.rows}</b> employees, flagged <b>${flagged}</b> at threshold ${thr.toFixed(4)}${byCapacity ? ` (capacity ${obj.capacity})` : ''}.` +
+        (missing.length ? `<br/>Missing columns (imputed): <span class="mono">${missing.map(esc).join(', ')}</span>` : '') +
+        (unseen.length ? `<br/>Unseen categories (treated as unknown): <span class="mono">${unseen.join('; ')}</span>` : '') +
+        `<br/>${this.#parseReportHTML(parsed)}`;
+      this.ui.scoreDownloadBtn.disabled = false;
+      this.#renderExportColumns();
+      this.#status('scoreStatus','Scored','#dcfce7','#166534');
+    } catch (e) { this.#status('scoreStatus','Error','#fee2e2','#991b1b'); alert(e.message || String(e)); }
+  }
+
+  // ---------- Data drift (drift.js) ----------
+  async #onDriftCSV() {
+    try {
+      const file = this.ui.driftFile.files[0];
+      this.#status('driftStatus','Reading…','#fef3c7','#92400e');
+      const { rows } = await this.dl.readFile(file);
+      this.#checkDrift(rows, file.name);
+    } catch (e) { this.#status('driftStatus','Error','#fee2e2','#991b1b'); alert(e.message || String(e)); }
+  }
+
+  #checkDrift(rows, name) {
+    const report = this.dl.drift(rows);
+    this.driftResult = { name, ...report };
+    this.log(`Drift check (${name}): ${report.summary.message}`);
+    this.#renderDrift();
+  }
+
+  #renderDrift() {
+    const { name, rows, trainRows, features, summary } = this.driftResult;
+    const tone = { alert: ['#fee2e2', '#991b1b'], warn: ['#fef3c7', '#92400e'], ok: ['#dcfce7', '#166534'] };
+    const level = summary.retrain ? 'alert' : summary.warnings ? 'warn' : 'ok';
+    this.#status('driftStatus', summary.retrain ? 'Retrain advised' : summary.warnings ? 'Minor drift' : 'Stable', ...tone[level]);
+    this.ui.driftSummary.innerHTML = `<div style="padding:8px 10px; border-radius:8px; background:${tone[level][0]}; color:${tone[level][1]}">
+      <b>${esc(summary.message)}</b><div class="small" style="color:inherit">${esc(name)}: ${rows} rows vs ${trainRows} training rows ·
+      ${summary.alerts} significant, ${summary.warnings} moderate, ${summary.stable} stable.</div>
+      ${summary.smallSample ? `<div class="small" style="color:inherit">Fewer than ${summary.minRows} rows: PSI counts only where the KS / chi-square test agrees.</div>` : ''}</div>`;
+
+    const top = features.filter(f => Number.isFinite(f.psi)).slice().sort((a, b) => b.psi - a.psi).slice(0, 15);
+    this.#renderBar('drift', this.ui.driftChart, top.map(f => f.name), top.map(f => +f.psi.toFixed(4)), 'PSI by feature',
+      { indexAxis: 'y', backgroundColor: top.map(f => ({ alert: '#ef4444', warn: '#f59e0b', ok: '#22c55e' })[f.status]) });
+
+    const f3 = v => Number.isFinite(v) ? v.toFixed(3) : '–';
+    const pct = v => `${(v * 100).toFixed(1)}%`;
+    const levels = f => f.kind !== 'categorical' ? '' : [
+      f.newLevels.length ? `new: <b>${f.newLevels.map(esc).join(', ')}</b>` : '',
+      f.missingLevels.length ? `gone: ${f.missingLevels.map(esc).join(', ')}` : ''].filter(Boolean).join('<br/>');
+    this.ui.driftReport.innerHTML = `
+      <table>
+        <thead><tr><th>Feature</th><th>Type</th><th>PSI</th><th>KS D (p)</th><th>Mean shift (σ)</th><th>Missing train → new</th><th>Levels</th><th>Status</th></tr></thead>
+        <tbody>${features.map(f => `<tr style="background:${f.status === 'ok' ? 'transparent' : tone[f.status][0]}">
+          <td>${esc(f.name)}</td><td>${f.kind}</td><td><b>${f3(f.psi)}</b></td>
+          <td>${Number.isFinite(f.ks) ? `${f.ks.toFixed(3)} (${f.ksP < 1e-4 ? '< 0.0001' : f.ksP.toFixed(4)})` : '–'}</td>
+          <td>${Number.isFinite(f.meanShift) ? (f.meanShift >= 0 ? '+' : '') + f.meanShift.toFixed(2) : '–'}</td>
+          <td>${pct(f.missingTrain)} → ${pct(f.missingNew)}</td><td>${levels(f)}</td>
+          <td>${f.absent ? 'column missing' : f.status}</td></tr>`).join('')}</tbody>
+      </table>`;
+  }
+
+  // Test predictions, or every split's: train / calibration rows are re-encoded through the fitted pipeline and
+  // scored by the current model and calibrator (single-snapshot data; panel splits have no row-level train set).
+  async #downloadPredictions() {
+    try {
+      if (!this.lastPreds?.length) throw new Error('No predictions to download. Run Evaluate first.');
+      this.#ensureIdle();
+      const ds = this.dataset, thr = Number(this.ui.thr.value) || 0.5;
+      const parts = [{ split: 'test', rows: ds.testRows, preds: this.lastPreds }];
+      if (this.ui.exportScope.value === 'all') {
+        if (!ds.trainRows) throw new Error('Panel data: predictions can only be exported for the test split.');
+        for (const [split, rows, meta] of [['calibration', ds.calRows, ds.calMeta], ['train', ds.trainRows, ds.trainMeta]]) {
+          if (!rows.length) continue;
+          const x = this.tf.tensor3d(this.dl.encode(rows).map(v => [v]));
+          let raw;
+          try { ({ p: raw } = await this.trainer.run('predict', { kind: this.model.kind, artifacts: await this.model.toArtifacts(), x: await packTensor(x) })); }
+          finally { x.dispose(); }
+          const p = applyCalibrator(this.calibration, Array.from(raw)), y = this.dl.labelsOf(rows);
+          parts.unshift({ split, rows, preds: meta.map((m, i) => ({ ...m, Probability: +p[i].toFixed(6), Predicted: p[i] >= thr ? 'Yes' : 'No', True: y[i] === 1 ? 'Yes' : 'No' })) });
+        }
+      }
+      const out = parts.flatMap(({ split, rows, preds }) => preds.map((r, i) => {
+        const { [this.dl.labelKey]: _label, ...inputs } = rows?.[i] ?? {};
+        return { ...inputs, ...r, Split: split };
+      }));
+      const deciles = decileOf(out.map(r => r.Probability));
+      out.map((r, i) => ({ r, i })).sort((a, b) => b.r.Probability - a.r.Probability).forEach(({ r, i }, k) => { r.Rank = k + 1; r.Decile = deciles[i]; });
+      this.#saveRows(out, 'attrition_predictions');
+    } catch (e) { alert(e.message || String(e)); }
+  }
+
+  #downloadScores() {
+    if (!this.scored?.length) return alert('No scores to download. Upload a file to score first.');
+    try { this.#saveRows(this.scored, 'attrition_risk_list'); } catch (e) { alert(e.message || String(e)); }
+  }
+
+  // Columns ticked in the export picker that these rows have, in picker order.
+  #saveRows(rows, prefix) {
+    const cols = this.#exportColumns().filter(c => rows.some(r => r[c] !== undefined));
+    const { content, type, ext } = exportRows(rows, cols, this.ui.exportFormat.value, { sheet: prefix.replace(/^attrition_/, '') });
+    const ts = new Date().toISOString().slice(0,19).replace(/[:T]/g,'-');
+    this.#saveFile(content, type, `${prefix}_${ts}.${ext}`);
+  }
+
+  // Prediction columns start ticked, the other input columns unticked; ticks survive re-rendering.
+  #renderExportColumns() {
+    const prev = new Map([...this.ui.exportCols.querySelectorAll('[data-export-col]')].map(el => [el.dataset.exportCol, el.checked]));
+    const main = [...new Set(['Rank', ...this.dl.metaFields, 'Split', 'Probability', 'Predicted', 'True', 'Decile', ...(this.explanations ? ['TopDrivers'] : [])])];
+    const inputs = Object.keys(this.dataset?.testRows?.[0] ?? {}).filter(c => c !== this.dl.labelKey && !main.includes(c));
+    this.ui.exportCols.innerHTML = [...main.map(c => [c, true]), ...inputs.map(c => [c, false])].map(([c, on]) =>
+      `<label><input type="checkbox" data-export-col="${esc(c)}"${(prev.get(c) ?? on) ? ' checked' : ''}/> ${esc(c)}</label>`).join('');
+  }
+
+  #exportColumns() {
+    const cols = [...this.ui.exportCols.querySelectorAll('[data-export-col]')].filter(el => el.checked).map(el => el.dataset.exportCol);
+    if (!cols.length) throw new Error('Tick at least one column under Export options.');
+    return cols;
+  }
+
+  #saveFile(content, type, filename) {
+    const blob = new Blob([content], {type}); const url = URL.createObjectURL(blob);
+    const a = document.createElement('a'); a.href = url; a.download = filename; a.click(); URL.revokeObjectURL(url);
+  }
+
+  // ---------- Column mapping ----------
+  #renderSchema(schema) {
+    const roles = ['numeric','categorical','id','date','constant','ignore'];
+    const imputes = ['mean', 'median', 'mode', 'constant'];
+    const opt = (v, sel) => `<option value="${esc(v)}"${v === sel ? ' selected' : ''}>${esc(v)}</option>`;
+    this.ui.schemaTable.innerHTML = schema.columns.map(c => `
+      <tr data-col="${esc(c.name)}">
+        <td class="mono">${esc(c.name)}</td>
+        <td><select data-k="role">${roles.map(r => opt(r, c.role)).join('')}</select></td>
+        <td>${c.distinct}</td><td>${c.missing}</td>
+        <td><select data-k="impute"><option value="">auto</option>${imputes.map(v => opt(v, c.impute)).join('')}</select></td>
+        <td><input data-k="fill" class="mono" value="${esc(c.fill)}" style="width:60px" placeholder="fill"></td>
+        <td><input type="checkbox" data-k="indicator" ${c.indicator ? 'checked' : ''}></td>
+        <td><input type="checkbox" data-k="meta" ${schema.meta.includes(c.name) ? 'checked' : ''}></td>
+      </tr>`).join('');
+    const targets = schema.columns.filter(c => c.values && c.distinct >= 2);
+    this.ui.targetCol.innerHTML = `<option value="">— select —</option>` + targets.map(c => opt(c.name, schema.target)).join('');
+    this.#renderPositiveOptions(schema.target, schema.positive);
+    const names = schema.columns.map(c => c.name);
+    this.ui.panelDate.innerHTML = `<option value="">— none (one row per employee) —</option>` + names.map(c => opt(c, schema.panel?.date)).join('');
+    this.ui.panelId.innerHTML = names.map(c => opt(c, schema.panel?.id ?? this.dl.idColumn)).join('');
+    if (schema.panel) { this.ui.panelHorizon.value = schema.panel.horizon; this.ui.panelSeqLen.value = schema.panel.seqLen; }
+    this.ui.schemaPanel.open = true;
+  }
+
+  #renderPositiveOptions(target, positive) {
+    const col = this.dl.schema?.columns.find(c => c.name === target);
+    const values = col?.values || [];
+    this.ui.targetPos.innerHTML = values.map(v => `<option value="${esc(v)}"${v === positive ? ' selected' : ''}>${esc(v)}</option>`).join('');
+    if (!positive && values.length) this.ui.targetPos.value = values.at(-1);   // minority by default
+  }
+
+  #applySchema() {
+    try {
+      const schema = this.dl.schema; if (!schema) throw new Error('Load data first.');
+      for (const tr of this.ui.schemaTable.querySelectorAll('tr')) {
+        const c = schema.columns.find(x => x.name === tr.dataset.col);
+        c.role = tr.querySelector('[data-k=role]').value;
+        c.impute = tr.querySelector('[data-k=impute]').value || undefined;
+        c.fill = tr.querySelector('[data-k=fill]').value || undefined;
+        c.indicator = tr.querySelector('[data-k=indicator]').checked;
+      }
+      schema.meta = Array.from(this.ui.schemaTable.querySelectorAll('tr'))
+        .filter(tr => tr.querySelector('[data-k=meta]').checked).map(tr => tr.dataset.col);
+      schema.target = this.ui.targetCol.value || null;
+      schema.positive = this.ui.targetPos.value || null;
+      schema.panel = this.ui.panelDate.value ? {
+        id: this.ui.panelId.value, date: this.ui.panelDate.value,
+        horizon: Math.max(1, Number(this.ui.panelHorizon.value) | 0), seqLen: Math.max(1, Number(this.ui.panelSeqLen.value) | 0)
+      } : null;
+      this.dl.applySchema(schema);
+      this.#renderSurvivalColumns();
+      if (this.dataset) this.log('Column mapping changed: run Prepare Dataset again.');
+    } catch (e) { alert(e.message || String(e)); }
+  }
+
+  #applyRules() {
+    try {
+      const text = this.ui.rulesText.value.trim();
+      this.dl.setRules(text ? JSON.parse(text) : DEFAULT_RULES);
+      this.ui.rulesText.value = JSON.stringify(this.dl.rules, null, 1);
+      this.log(`Validation rules: ${this.dl.rules.length}${this.dataset ? ' — run Prepare Dataset again to apply.' : '.'}`);
+    } catch (e) { alert(`Invalid rules: ${e.message || String(e)}`); }
+  }
+
+  // ---------- Engineered feature editor ----------
+  #renderFeatureEditor(spec) {
+    this.ui.featEditor.innerHTML = spec.map(f => `
+      <tr data-desc="${esc(f.desc)}">
+        <td><input type="checkbox" data-k="enabled" ${f.enabled !== false ? 'checked' : ''}></td>
+        <td><input data-k="name" class="mono" value="${esc(f.name)}" style="width:130px"></td>
+        <td><input data-k="expr" class="mono" value="${esc(f.expr)}" style="width:100%"></td>
+        <td><button data-del title="Remove">×</button></td>
+      </tr>`).join('');
+  }
+
+  #readFeatureEditor() {
+    return Array.from(this.ui.featEditor.querySelectorAll('tr')).map(tr => {
+      const f = { name: tr.querySelector('[data-k=name]').value.trim(), expr: tr.querySelector('[data-k=expr]').value,
+                  enabled: tr.querySelector('[data-k=enabled]').checked };
+      if (tr.dataset.desc) f.desc = tr.dataset.desc;
+      return f;
+    });
+  }
+
+  #applyFeatures(spec) {
+    try {
+      this.dl.setEngineeredSpec(spec);
+      this.#renderFeatureEditor(this.dl.engineeredSpec);
+      this.log(`Engineered features: ${this.dl.created.join(', ') || 'none'}${this.dataset ? ' — run Prepare Dataset again to apply.' : '.'}`);
+    } catch (e) { alert(e.message || String(e)); }
+  }
+
+  async #importFeatures() {
+    try {
+      const file = this.ui.featImport.files[0]; if (!file) return;
+      const json = JSON.parse(await file.text());
+      this.#applyFeatures(Array.isArray(json) ? json : json.engineered);
+    } catch (e) { alert(`Invalid feature JSON: ${e.message || String(e)}`); }
+    finally { this.ui.featImport.value = ''; }
   }
 
  #renderMetrics({ prec, rec, f1, auc, cm }) {
@@ -241,7 +1795,8 @@ export class App {
 }
 
 
-  #drawLoss() {
+  // live: redrawn after every epoch while training streams, so without animation
+  #drawLoss(live = false) {
     if (!this.history) return;
     const labels = this.history.loss.map((_,i)=>`${i+1}`);
     const ds = [{label:'loss', data:this.history.loss}];
@@ -251,35 +1806,78 @@ export class App {
     this.charts.loss = new this.Chart(ctx, {
       type: 'line',
       data: { labels, datasets: ds },
-      options: { responsive:true, plugins:{ legend:{ position:'bottom' } }, interaction:{ mode:'index', intersect:false } }
+      options: { responsive:true, ...(live ? { animation:false } : {}), plugins:{ legend:{ position:'bottom' } }, interaction:{ mode:'index', intersect:false } }
     });
     const last = this.history.loss.at(-1);
     const lastV = this.history.val_loss?.at(-1);
-    this.ui.trainSummary.innerHTML = `Последняя loss: <b>${last?.toFixed(4)}</b>${Number.isFinite(lastV)?`, val_loss: <b>${lastV.toFixed(4)}</b>`:''}`;
+    const bestE = this.history.bestEpoch;
+    this.ui.trainSummary.innerHTML = `Последняя loss: <b>${last?.toFixed(4)}</b>${Number.isFinite(lastV)?`, val_loss: <b>${lastV.toFixed(4)}</b>`:''}`
+      + (bestE >= 0 && this.config.restoreBest !== false ? `; best val_loss at epoch <b>${bestE + 1}</b>${bestE < this.history.loss.length - 1 ? ' (weights restored)' : ''}` : '');
+    this.#drawLR(live);
+  }
+
+  // learning rate per epoch (shrinkage for boosted stumps), from the same history
+  #drawLR(live = false) {
+    this.charts.lr?.destroy?.(); this.charts.lr = null;
+    const lr = this.history?.lr;
+    if (!lr?.length) return;
+    this.charts.lr = new this.Chart(this.ui.lrChart.getContext('2d'), {
+      type: 'line',
+      data: { labels: lr.map((_, i) => `${i+1}`), datasets: [{ label: 'learning rate', data: lr, stepped: true }] },
+      options: { responsive:true, ...(live ? { animation:false } : {}), plugins:{ legend:{ position:'bottom' } }, interaction:{ mode:'index', intersect:false } }
+    });
   }
 
-  #renderBar(key, canvas, labels, data, title) {
+  #renderBar(key, canvas, labels, data, title, { indexAxis = 'x', backgroundColor } = {}) {
     const ctx = canvas.getContext('2d');
     this.charts[key]?.destroy?.();
     this.charts[key] = new this.Chart(ctx, {
       type: 'bar',
-      data: { labels, datasets: [{ label: title, data }] },
-      options: { responsive: true, plugins: { legend: { display:false }, title: { display:true, text:title } } }
+      data: { labels, datasets: [{ label: title, data, ...(backgroundColor ? { backgroundColor } : {}) }] },
+      options: { indexAxis, responsive: true, plugins: { legend: { display:false }, title: { display:true, text:title } } }
     });
   }
 
-  #toggleTrainButtons(enable) { this.ui.buildBtn.disabled = !enable; this.ui.trainBtn.disabled = !enable; this.ui.evalBtn.disabled = true; this.ui.saveBtn.disabled = !enable; this.ui.downloadBtn.disabled = true; }
+  #disposeDataset() {
+    for (const k of ['xTrain','yTrain','xTest','yTest','xCal','yCal']) this.dataset?.[k]?.dispose?.();
+  }
+
+  // tabular [N, F] -> single-step sequences [N, 1, F] (disposes the input tensor); panel sequences [N, T, F] pass through
+  #toModelInput(x) { if (x.rank === 3) return x; const x3 = x.expandDims(1); x.dispose(); return x3; }
+  #parseReportHTML({ delimiter, bom, rows, rejectedCount, rejected }) {
+    const delim = { ',':'comma', ';':'semicolon', '\t':'tab', '|':'pipe' }[delimiter] || delimiter;
+    const head = `${rows} rows · ${delim}-delimited${bom ? ' · BOM' : ''} · <b>${rejectedCount}</b> rejected`;
+    if (!rejectedCount) return head;
+    const items = rejected.slice(0, 50).map(r => `<li>line ${r.line}: ${esc(r.reason)}</li>`).join('');
+    const more = rejectedCount > 50 ? `<li>… and ${rejectedCount - 50} more</li>` : '';
+    return `<details><summary>${head}</summary><ul class="mono">${items}${more}</ul></details>`;
+  }
+  #toggleTrainButtons(enable) { this.ui.buildBtn.disabled = !enable; this.ui.trainBtn.disabled = !enable; this.ui.evalBtn.disabled = true; this.ui.saveBtn.disabled = !enable; this.ui.exportModelBtn.disabled = !enable; this.ui.downloadBtn.disabled = true; this.#clearExplanations(); this.#clearFairness(); this.#clearWhatIf(); this.testScores = null; }
+  #renderJobState(state, job) {
+    this.ui.pauseBtn.disabled = state !== 'running';
+    this.ui.resumeBtn.disabled = state !== 'paused';
+    this.ui.cancelBtn.disabled = state !== 'running' && state !== 'paused';
+    this.ui.progText.textContent = state === 'idle' ? 'Progress'
+      : `${JOB_LABELS[job] ?? job} ${{ running: 'running…', paused: 'paused', cancelling: 'cancelling…' }[state]}`;
+  }
+  #ensureIdle() { if (this.trainer.busy) throw new Error(`${JOB_LABELS[this.trainer.current.job]} is running: wait for it or cancel it first.`); }
   #status(id,text,bg,color){ const n=document.getElementById(id); if(n){ n.textContent=text; n.style.background=bg; n.style.color=color; } }
   #progress(v){ this.ui.prog.value = Math.max(0, Math.min(1, v)); }
   #reset() {
     try {
+      this.trainer.cancel();
       this.model.dispose();
-      if (this.dataset) { this.dataset.xTrain.dispose(); this.dataset.yTrain.dispose(); this.dataset.xTest.dispose(); this.dataset.yTest.dispose(); }
-      this.dataset = null; this.lastPreds = null; this.history = null;
-      this.ui.prepBtn.disabled = true; this.#toggleTrainButtons(false); this.#progress(0);
-      this.ui.trainSummary.textContent = ''; this.ui.featReport.innerHTML = '';
+      this.#disposeDataset(); this.calibration = null; this.calRaw = null; this.testScores = null; this.run = null;
+      this.charts.roc?.destroy?.(); this.charts.pr?.destroy?.(); this.ui.thrInfo.textContent = '';
+      this.ui.elBrier.textContent = '–'; this.ui.elECE.textContent = '–'; this.charts.reliability?.destroy?.();
+      this.dataset = null; this.lastPreds = null; this.history = null; this.config = {}; this.scored = null;
+      this.ui.scoreDownloadBtn.disabled = true; this.ui.scoreReport.innerHTML = '';
+      this.ui.prepBtn.disabled = true; this.#toggleTrainButtons(false); this.#progress(0); this.ui.cvReport.innerHTML = ''; this.ui.lbReport.innerHTML = ''; this.ui.lbBtn.disabled = true;
+      this.ui.searchBtn.disabled = true; this.ui.searchAdoptBtn.disabled = true; this.ui.searchReport.innerHTML = ''; this.search = null;
+      this.ui.trainSummary.textContent = ''; this.ui.featReport.innerHTML = ''; this.ui.qualityReport.innerHTML = '';
       this.#renderMetrics({prec:NaN, rec:NaN, f1:NaN, auc:NaN, cm:{tp:'–',tn:'–',fp:'–',fn:'–'}});
-      this.charts.loss?.destroy?.();
+      this.charts.loss?.destroy?.(); this.charts.lr?.destroy?.(); this.#clearSegments();
+      this.#clearSurvival(); this.ui.survCoxBtn.disabled = true;
     } catch(_e) {}
   }
 }
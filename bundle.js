@@ -0,0 +1,29 @@
+// bundle.js
+// Versioned model bundle = model weights (any MODEL_ZOO kind) + fitted preprocessing + chosen threshold
+// + training config (+ optional probability calibrator from calibrate.js).
+// The bundle rides inside the tfjs model artifacts as `userDefinedMetadata`, so one object
+// round-trips through indexeddb://, downloads:// (model.json + weights.bin) and file uploads.
+
+export const BUNDLE_FORMAT = 'attrition-bundle';
+export const BUNDLE_VERSION = 1;
+
+export function makeBundle({ dl, threshold = 0.5, config = {}, calibration = null }) {
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    createdAt: new Date().toISOString(),
+    threshold: Number(threshold) || 0.5,
+    config: JSON.parse(JSON.stringify(config)),
+    calibration: calibration ? JSON.parse(JSON.stringify(calibration)) : null,
+    preprocessing: dl.exportState()
+  };
+}
+
+// Returns the bundle, or null for legacy saves that carry only the Keras layers.
+export function readBundle(meta) {
+  if (!meta || meta.format !== BUNDLE_FORMAT) return null;
+  if (!Number.isInteger(meta.version) || meta.version > BUNDLE_VERSION)
+    throw new Error(`Unsupported bundle version: ${meta.version} (this app reads up to ${BUNDLE_VERSION}).`);
+  if (!meta.preprocessing?.scaler) throw new Error('Bundle is missing fitted preprocessing.');
+  return meta;
+}
@@ -0,0 +1,91 @@
+// calibrate.js
+// Probability calibration fitted on a held-out calibration split (never augmented):
+//   platt    — sigmoid(a·logit(p) + b), Newton's method with Platt's smoothed targets
+//   isotonic — pool-adjacent-violators step function, linearly interpolated between blocks
+// Calibrators are plain JSON ({ method, ... }) so they ride in the model bundle.
+// Quality: Brier score, expected calibration error (ECE) and reliability-diagram bins.
+
+export const CALIBRATION_METHODS = ['none', 'platt', 'isotonic'];
+
+const EPS = 1e-6;
+const logit = (p) => { const q = Math.min(Math.max(p, EPS), 1 - EPS); return Math.log(q / (1 - q)); };
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+
+export function fitCalibrator(method, p, y) {
+  if (!CALIBRATION_METHODS.includes(method)) throw new Error(`Unknown calibration method: ${method}`);
+  if (method === 'none') return null;
+  if (p.length !== y.length || !p.length) throw new Error('Calibration needs predictions and labels of the same length.');
+  const pos = y.reduce((a, v) => a + v, 0);
+  if (!pos || pos === y.length) throw new Error('Calibration split needs both classes.');
+  return method === 'platt' ? fitPlatt(p, y, pos) : fitIsotonic(p, y);
+}
+
+export function applyCalibrator(cal, p) {
+  if (!cal) return Array.from(p);
+  if (cal.method === 'platt') return Array.from(p, v => sigmoid(cal.a * logit(v) + cal.b));
+  if (cal.method === 'isotonic') return Array.from(p, v => interpolate(cal.x, cal.y, v));
+  throw new Error(`Unknown calibration method: ${cal.method}`);
+}
+
+function fitPlatt(p, y, pos) {
+  const neg = y.length - pos;
+  const hi = (pos + 1) / (pos + 2), lo = 1 / (neg + 2);   // Platt (1999) targets against overfitting
+  const z = p.map(logit), t = y.map(v => v ? hi : lo);
+  let a = 1, b = 0;
+  for (let it = 0; it < 100; it++) {
+    let ga = 0, gb = 0, haa = 1e-9, hab = 0, hbb = 1e-9;
+    for (let i = 0; i < z.length; i++) {
+      const q = sigmoid(a * z[i] + b), d = q - t[i], w = q * (1 - q);
+      ga += d * z[i]; gb += d; haa += w * z[i] * z[i]; hab += w * z[i]; hbb += w;
+    }
+    const det = haa * hbb - hab * hab;
+    if (Math.abs(det) < 1e-12) break;
+    const da = (hbb * ga - hab * gb) / det, db = (haa * gb - hab * ga) / det;
+    a -= da; b -= db;
+    if (Math.abs(da) + Math.abs(db) < 1e-9) break;
+  }
+  return { method: 'platt', a, b };
+}
+
+function fitIsotonic(p, y) {
+  const order = p.map((v, i) => i).sort((i, j) => p[i] - p[j]);
+  const blocks = [];   // { sum, n, lo, hi } over sorted predictions
+  for (const i of order) {
+    blocks.push({ sum: y[i], n: 1, lo: p[i], hi: p[i] });
+    while (blocks.length > 1 && blocks.at(-2).sum / blocks.at(-2).n >= blocks.at(-1).sum / blocks.at(-1).n) {
+      const b = blocks.pop(), a = blocks.at(-1);
+      a.sum += b.sum; a.n += b.n; a.hi = b.hi;
+    }
+  }
+  const x = [], v = [];
+  for (const b of blocks) { x.push((b.lo + b.hi) / 2); v.push(b.sum / b.n); }
+  return { method: 'isotonic', x, y: v };
+}
+
+function interpolate(xs, ys, v) {
+  if (v <= xs[0]) return ys[0];
+  if (v >= xs.at(-1)) return ys.at(-1);
+  let lo = 0, hi = xs.length - 1;
+  while (hi - lo > 1) { const m = (lo + hi) >> 1; if (xs[m] <= v) lo = m; else hi = m; }
+  const f = (v - xs[lo]) / Math.max(EPS, xs[hi] - xs[lo]);
+  return ys[lo] + f * (ys[hi] - ys[lo]);
+}
+
+export function brierScore(y, p) {
+  let s = 0; for (let i = 0; i < y.length; i++) s += (p[i] - y[i]) ** 2;
+  return s / Math.max(1, y.length);
+}
+
+// Equal-width bins over [0,1]: mean prediction vs observed positive rate per non-empty bin.
+export function reliabilityBins(y, p, bins = 10) {
+  const acc = Array.from({ length: bins }, () => ({ n: 0, sumP: 0, pos: 0 }));
+  for (let i = 0; i < y.length; i++) {
+    const b = acc[Math.min(bins - 1, Math.floor(p[i] * bins))];
+    b.n++; b.sumP += p[i]; b.pos += y[i];
+  }
+  return acc.map((b, k) => ({ bin: k, n: b.n, meanPred: b.n ? b.sumP / b.n : NaN, fracPos: b.n ? b.pos / b.n : NaN })).filter(b => b.n);
+}
+
+export function expectedCalibrationError(y, p, bins = 10) {
+  return reliabilityBins(y, p, bins).reduce((s, b) => s + b.n * Math.abs(b.meanPred - b.fracPos), 0) / Math.max(1, y.length);
+}
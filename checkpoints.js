@@ -0,0 +1,49 @@
+// checkpoints.js
+// Training checkpoint in IndexedDB, written every N epochs by the train job so a run interrupted by a page
+// reload can resume where it stopped. One slot: a new run overwrites it, a completed run removes it.
+//   { id, createdAt, savedAt, model, seed, build, fit, config, dataset: { name, rows, columns, hash }, trainRows,
+//     epoch, epochs, state, artifacts, best }
+// state is TfClassifier.fit()'s resume state (history, early-stopping counters, schedule); artifacts are the
+// weights after `epoch`, best those of the best val_loss epoch so far (null without restoreBest).
+// Adam's moment estimates are not saved: a resumed run restarts them from the checkpointed weights.
+// Available in the training worker as well as on the page (same origin, same database).
+
+const DB_NAME = 'attrition-checkpoints', STORE = 'checkpoints', SLOT = 'last';
+
+function openDB() {
+  if (typeof indexedDB === 'undefined') return Promise.reject(new Error('IndexedDB is not available here.'));
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: 'id' });
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function tx(mode, fn) {
+  const db = await openDB();
+  try {
+    return await new Promise((resolve, reject) => {
+      const t = db.transaction(STORE, mode), req = fn(t.objectStore(STORE));
+      t.oncomplete = () => resolve(req?.result);
+      t.onerror = () => reject(t.error);
+      t.onabort = () => reject(t.error || new Error('IndexedDB transaction aborted.'));
+    });
+  } finally { db.close(); }
+}
+
+export const checkpointsAvailable = () => typeof indexedDB !== 'undefined';
+
+export function saveCheckpoint(record) { return tx('readwrite', s => s.put({ ...record, id: SLOT, savedAt: new Date().toISOString() })); }
+export async function loadCheckpoint() { return (await tx('readonly', s => s.get(SLOT))) ?? null; }
+export function deleteCheckpoint() { return tx('readwrite', s => s.delete(SLOT)); }
+
+// Why a checkpoint cannot continue on the prepared data, or null. dataset: { name, hash } of the loaded CSV,
+// shape: xTrain's [rows, timesteps, features], seed: the seed it was prepared with.
+export function checkpointMismatch(ck, { dataset, shape: [rows, timesteps, features] = [], seed }) {
+  if (!dataset || !rows) return 'Load and prepare the dataset the checkpoint was trained on first.';
+  if (ck.dataset?.hash !== dataset.hash) return `The loaded data is not the data the checkpoint was trained on (${ck.dataset?.name ?? 'unknown file'}).`;
+  if (ck.seed !== seed || ck.trainRows !== rows || ck.build.timesteps !== timesteps || ck.build.features !== features)
+    return `The prepared split differs from the checkpoint's (seed ${ck.seed}, ${ck.trainRows} × ${ck.build.timesteps} × ${ck.build.features}): prepare again with its settings.`;
+  return null;
+}
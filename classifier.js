@@ -0,0 +1,190 @@
+// classifier.js
+// Common classifier interface used by the model zoo (gru.js, models.js):
+//   build({ timesteps, features, focal, ...hyper }) · fit({ xTrain, yTrain, epochs, batchSize, validationSplit, patience, classWeight, onEpoch })
+//   predict(x) -> tf.Tensor [N,1] · evaluate({ xTest, yTest, threshold }) · save(target, meta) · load(source) · dispose()
+// Inputs are the [N, timesteps, features] tensors App feeds the GRU; tabular models flatten them.
+// TfClassifier holds the Keras plumbing; subclasses only implement build().
+// focal = { gamma, alpha } compiles with focal loss; classWeight = 'balanced' | { 0: w0, 1: w1 } (imbalance.js).
+// checkpoint = async () => void, awaited after every batch: a pending promise pauses training, a throw cancels it
+// (train-jobs.js). toArtifacts() / copyWeights() move a model between the page and the training worker.
+// restoreBest (default on) ends fit() on the weights of the best val_loss epoch; schedule = schedules.js spec.
+// saveEvery = N calls onSave({ epoch, state }) every N epochs, resume = { state, best } continues such a run
+// (checkpoints.js); history gets lr per epoch and bestEpoch.
+
+import { focalLoss, resolveClassWeight } from './imbalance.js';
+import { binaryMetrics, column } from './metrics.js';
+import { LR_SCHEDULES, createSchedule } from './schedules.js';
+import { tf } from './tf.js';
+
+// IndexedDB key | tfjs URL | IOHandler | [model.json, weights.bin] File list -> something tf.io understands
+export function resolveIO(source) {
+  if (typeof source === 'string') return source.includes('://') ? source : `indexeddb://${source}`;
+  if (typeof source?.load === 'function' || typeof source?.save === 'function') return source;
+  const files = Array.from(source || []);
+  if (!files.length) throw new Error('Select model.json and its weights .bin file.');
+  const json = files.find(f => f.name.endsWith('.json'));
+  if (!json) throw new Error('model.json not found among selected files.');
+  return tf.io.browserFiles([json, ...files.filter(f => f !== json)]);
+}
+
+export async function readArtifacts(source) {
+  const url = resolveIO(source);
+  const handler = typeof url === 'string' ? tf.io.getLoadHandlers(url)[0] : url;
+  if (!handler?.load) throw new Error(`Cannot load from ${url}`);
+  return handler.load();
+}
+
+// Artifacts' weights as tensors in saved order (layer names differ between builds, the order does not).
+async function weightsOf(artifacts) {
+  const named = tf.io.decodeWeights(artifacts.weightData, artifacts.weightSpecs);
+  return artifacts.weightSpecs.map(s => named[s.name]);
+}
+
+export class TfClassifier {
+  static resumable = true;      // fit() can continue from a checkpoint (resume)
+
+  constructor(opts = {}) {
+    this.log = opts.log || (() => {});
+    this.model = null;
+    this.inputShape = null;
+    this.baseLr = null;
+    this.meta = null;           // userDefinedMetadata of the last loaded model (bundle)
+  }
+
+  #bestWeights = null;          // during fit(): weights of the best val_loss epoch so far
+
+  get kind() { return this.constructor.kind; }
+
+  build() { throw new Error(`${this.constructor.name}.build() is not implemented.`); }
+
+  // [N, T, F] -> model input; recurrent models keep the sequence axis, tabular ones flatten it.
+  toInput(x) { return x; }
+
+  compile(m, lr, { focal = null } = {}) {
+    this.baseLr = typeof lr === 'number' ? lr : 1e-3;   // schedules start from it on every fit()
+    const optimizer = tf.train.adam(this.baseLr);
+    m.compile({ optimizer, loss: focal ? focalLoss(focal) : 'binaryCrossentropy', metrics: ['binaryAccuracy'] });
+    if (focal) this.log(`Loss: focal (gamma=${focal.gamma}, alpha=${focal.alpha})`);
+    this.model = m;
+    return m;
+  }
+
+  async fit({ xTrain, yTrain, epochs = 45, batchSize = 16, onEpoch, classWeight = null, validationSplit = 0.2, patience = 6, checkpoint = null,
+    restoreBest = true, schedule = null, resume = null, saveEvery = 0, onSave = null }) {
+    if (!this.model) throw new Error('Build the model first.');
+    const weights = resolveClassWeight(classWeight, await column(yTrain));
+    if (weights) this.log(`Class weights: 0 → ${weights[0].toFixed(3)}, 1 → ${weights[1].toFixed(3)}`);
+    const st = resume?.state;
+    const hist = st ? { loss: st.hist.loss.slice(), val_loss: st.hist.val_loss.slice(), lr: st.hist.lr?.slice() ?? [] } : { loss: [], val_loss: [], lr: [] };
+    let best = st?.best ?? Number.POSITIVE_INFINITY, bad = st?.bad ?? 0, bestEpoch = st?.bestEpoch ?? -1;
+    const optimizer = this.model.optimizer;
+    const sched = createSchedule(schedule, this.baseLr ?? optimizer.learningRate, epochs, st?.schedule);
+    const initialEpoch = st ? st.epoch + 1 : 0;
+    this.#dropBest();
+    if (resume?.best) this.#bestWeights = await weightsOf(resume.best);
+    if (st) this.log(`Resuming at epoch ${initialEpoch + 1}/${epochs}${bestEpoch >= 0 ? ` (best val_loss ${best.toFixed(4)} at epoch ${bestEpoch + 1})` : ''}.`);
+    if (sched.type !== 'constant') this.log(`Learning-rate schedule: ${LR_SCHEDULES[sched.type].toLowerCase()}.`);
+
+    const callbacks = {
+      ...(checkpoint ? { onBatchEnd: () => checkpoint() } : {}),
+      onEpochBegin: async (epoch) => { optimizer.learningRate = sched.at(epoch); },
+      onEpochEnd: async (epoch, logs) => {
+        const L = logs.loss ?? NaN;
+        const VL = (typeof logs.val_loss === 'number') ? logs.val_loss : NaN;
+        const lr = optimizer.learningRate;
+        hist.loss.push(L); if (!Number.isNaN(VL)) hist.val_loss.push(VL); hist.lr.push(lr);
+        this.log(`Epoch ${epoch+1}/${epochs} — loss=${L?.toFixed(4)} val_loss=${Number.isFinite(VL)?VL.toFixed(4):'—'}${sched.type !== 'constant' ? ` lr=${lr.toExponential(2)}` : ''}`);
+        if (onEpoch) onEpoch(epoch, { ...logs, lr });
+
+        if (Number.isFinite(VL)) {
+          if (VL + 1e-6 < best) {
+            best = VL; bad = 0; bestEpoch = epoch;
+            if (restoreBest) { this.#dropBest(); this.#bestWeights = this.model.getWeights().map(w => w.clone()); }
+          } else { bad += 1; }
+          if (bad >= Math.max(2, patience|0)) {
+            this.log(`Early stopping (no val_loss improvement ${patience} epochs).`);
+            this.model.stopTraining = true;
+          }
+        }
+        if (sched.observe(VL)) this.log(`Val_loss plateaued: learning rate lowered to ${sched.state.lr.toExponential(2)}.`);
+        if (onSave && saveEvery > 0 && (epoch + 1) % saveEvery === 0 && epoch + 1 < epochs && !this.model.stopTraining) {
+          await onSave({ epoch, state: { epoch, hist: structuredClone(hist), best, bad, bestEpoch, schedule: sched.state } });
+        }
+        await tf.nextFrame();
+      }
+    };
+
+    const x = this.toInput(xTrain);
+    try {
+      await this.model.fit(x, yTrain, {
+        epochs: Math.max(1, epochs|0),
+        initialEpoch,
+        batchSize: Math.max(1, batchSize|0),
+        shuffle: true,
+        ...(weights ? { classWeight: weights } : {}),
+        validationSplit: Math.min(Math.max(validationSplit, 0.05), 0.4),
+        callbacks
+      });
+      if (restoreBest && this.#bestWeights && bestEpoch < hist.loss.length - 1) {
+        this.model.setWeights(this.#bestWeights);
+        this.log(`Restored the weights of epoch ${bestEpoch + 1} (best val_loss ${best.toFixed(4)}).`);
+      }
+    } finally { if (x !== xTrain) x.dispose(); this.#dropBest(); }
+    hist.bestEpoch = bestEpoch;
+    return hist; // return losses for plotting
+  }
+
+  // Best-so-far weights during fit() as tfjs artifacts (for checkpoints), null before the first val_loss.
+  async bestArtifacts() {
+    if (!this.#bestWeights) return null;
+    const { data, specs } = await tf.io.encodeWeights(this.model.weights.map((w, i) => ({ name: w.originalName, tensor: this.#bestWeights[i] })));
+    return { ...await this.toArtifacts(), weightData: data, weightSpecs: specs };
+  }
+
+  #dropBest() { this.#bestWeights?.forEach(w => w.dispose()); this.#bestWeights = null; }
+
+  predict(x) { if (!this.model) throw new Error('Model not built.'); return tf.tidy(()=>this.model.predict(this.toInput(x))); }
+
+  async evaluate({ xTest, yTest, threshold = 0.5 }) {
+    const yProb = this.predict(xTest);
+    const [p, y] = [await column(yProb), await column(yTest)];
+    yProb.dispose();
+    return binaryMetrics(y, p, threshold);
+  }
+
+  // target: IndexedDB key, tfjs URL (e.g. downloads://name) or IOHandler. meta = bundle from bundle.js.
+  async save(target='tfjs-attrition-gru', meta=null) {
+    if (!this.model) throw new Error('Build the model first.');
+    const url = resolveIO(target);
+    if (meta) this.model.setUserDefinedMetadata(meta);
+    await this.model.save(url); this.log(`Saved to ${typeof url === 'string' ? url : 'custom handler'}`);
+  }
+  // source: IndexedDB key, tfjs URL, IOHandler, or [model.json, weights.bin] File list from an <input>.
+  async load(source='tfjs-attrition-gru') {
+    const handler = resolveIO(source);
+    await this.loadArtifacts(await readArtifacts(handler));
+    this.log(`Loaded model from ${typeof handler === 'string' ? handler : 'files'}`);
+    return this.model;
+  }
+  // Topology + weights as in-memory tfjs artifacts (plus the metadata last set by save()).
+  async toArtifacts() {
+    if (!this.model) throw new Error('Build the model first.');
+    let out = null;
+    await this.model.save(tf.io.withSaveHandler(async (a) => { out = a; return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } }; }));
+    return out;
+  }
+  // Weights from artifacts of the same architecture into the built (compiled) model, so training continues from them.
+  async copyWeights(artifacts) {
+    if (!this.model) throw new Error('Build the model first.');
+    const src = await tf.loadLayersModel(tf.io.fromMemory(artifacts));
+    try { this.model.setWeights(src.getWeights()); } finally { src.dispose(); }
+  }
+  async loadArtifacts(artifacts) {
+    this.dispose();
+    this.model = await tf.loadLayersModel(tf.io.fromMemory(artifacts));
+    this.inputShape = this.model.inputs?.[0]?.shape?.slice(1);
+    this.meta = artifacts.userDefinedMetadata ?? null;
+    return this.model;
+  }
+  dispose(){ if (this.model){ this.model.optimizer?.dispose?.(); this.model.dispose(); this.model=null; } }
+}
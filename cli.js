@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+// cli.js
+// Headless train / evaluate / score (pipeline.js) for scheduled jobs and tests. Runs offline on a locally
+// installed TensorFlow.js: @tensorflow/tfjs-node (native) when present, otherwise @tensorflow/tfjs (pure JS).
+//   node cli.js train    --data hr.csv [--config config.json] [--out model]
+//   node cli.js evaluate --model model --data labelled.csv [--out metrics.json]
+//   node cli.js score    --model model --data new.csv [--out risk.csv]
+// A model directory (model-dir.js) holds model.json (topology + preprocessing bundle), weights.bin and, after training,
+// metrics.json (an experiment record as experiments.js stores them). Results go to stdout, progress to stderr.
+// config.json is a pipeline.js config (the same object the app writes into bundles and experiment records),
+// optionally with schema overrides { target, positive, meta, roles: { Column: role }, panel }, engineered
+// (expr.js spec) and rules (validation rules).
+
+import { openAsBlob } from 'node:fs';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+
+import { toCSV } from './csv.js';
+import { DataLoader } from './data-loader.js';
+import { dirIO } from './model-dir.js';
+import { datasetFingerprint, newExperimentId } from './experiments.js';
+import { disposeDataset, evaluateRows, loadBundle, scoreRows, trainModel } from './pipeline.js';
+import { setTF } from './tf.js';
+
+const USAGE = `Usage:
+  node cli.js train    --data <csv> [--config <json>] [--out <model dir>]   (default out: ./model)
+  node cli.js evaluate --model <dir> --data <labelled csv> [--out <metrics json>]
+  node cli.js score    --model <dir> --data <csv> [--out <risk list csv>]   (default: CSV on stdout)
+Options: --quiet (no progress on stderr), --help`;
+
+async function loadTF() {
+  for (const name of ['@tensorflow/tfjs-node', '@tensorflow/tfjs']) {
+    try { return await import(name); } catch (e) { if (e.code !== 'ERR_MODULE_NOT_FOUND') throw e; }
+  }
+  throw new Error('TensorFlow.js is not installed: npm install @tensorflow/tfjs-node (or @tensorflow/tfjs).');
+}
+
+// Inferred schema with the config's overrides; a different target needs its positive value spelled out.
+function schemaFrom(inferred, { target, positive, meta, roles, panel } = {}) {
+  const columns = inferred.columns.map(c => roles?.[c.name] ? { ...c, role: roles[c.name] } : c);
+  const t = target ?? inferred.target;
+  if (!t) throw new Error('No target column found: set schema.target (and schema.positive) in the config.');
+  const pos = positive ?? (t === inferred.target ? inferred.positive : null);
+  if (pos === null || pos === undefined) throw new Error(`Set schema.positive for target ${t}.`);
+  return { ...inferred, target: t, positive: String(pos), columns, meta: meta ?? inferred.meta, panel: panel === undefined ? inferred.panel : panel };
+}
+
+async function readJSON(file) {
+  try { return JSON.parse(await fs.readFile(file, 'utf8')); }
+  catch (e) { throw new Error(`Cannot read ${file}: ${e.message}`); }
+}
+
+async function writeOut(file, text) {
+  if (!file) { process.stdout.write(text.endsWith('\n') ? text : `${text}\n`); return; }
+  await fs.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+  await fs.writeFile(file, text);
+}
+
+async function train(opt, log) {
+  const config = opt.config ? await readJSON(opt.config) : {};
+  const dl = new DataLoader({ log, ...(config.engineered ? { engineered: config.engineered } : {}), ...(config.rules ? { rules: config.rules } : {}) });
+  await dl.fromFile(await openAsBlob(opt.data), { schema: (inferred) => schemaFrom(inferred, config.schema) });
+  const res = await trainModel({ dl, config, log });
+  try {
+    const out = opt.out || 'model';
+    await res.model.save(dirIO(out), res.bundle);
+    const record = {
+      id: newExperimentId(), createdAt: new Date().toISOString(), model: res.model.kind, seed: res.config.seed, config: res.config,
+      dataset: { name: path.basename(opt.data), ...datasetFingerprint(dl.headers, dl.rows), target: dl.labelKey },
+      features: res.dataset.featureOrder.slice(), history: res.history, metrics: res.metrics,
+      calibration: res.calibration?.method ?? 'none'
+    };
+    await fs.writeFile(path.join(out, 'metrics.json'), JSON.stringify(record, null, 2));
+    log(`Model, bundle and metrics written to ${out}/`);
+    await writeOut(null, JSON.stringify({ out, metrics: res.metrics }, null, 2));
+  } finally { res.model.dispose(); disposeDataset(res.dataset); }
+}
+
+async function evaluate(opt, log) {
+  const dl = new DataLoader({ log });
+  const { model, calibration, threshold, bundle } = await loadBundle({ dl, source: dirIO(opt.model), log });
+  try {
+    const { rows } = await dl.readFile(await openAsBlob(opt.data));
+    const { metrics, report } = await evaluateRows({ model, dl, rows, calibration, threshold, costs: bundle.config?.thresholdObjective ?? undefined });
+    const drift = dl.profile ? dl.drift(rows) : null;
+    if (drift) log(`Drift: ${drift.summary.message}`);
+    await writeOut(opt.out, JSON.stringify({ data: path.basename(opt.data), model: model.kind, metrics, missingColumns: [...report.missingNum, ...report.missingCat],
+      drift: drift && { ...drift.summary, features: drift.features.filter(f => f.status !== 'ok').map(f => ({ name: f.name, status: f.status, psi: f.psi })) } }, null, 2));
+  } finally { model.dispose(); }
+}
+
+async function score(opt, log) {
+  const dl = new DataLoader({ log });
+  const { model, calibration, threshold, bundle } = await loadBundle({ dl, source: dirIO(opt.model), log });
+  try {
+    const { rows } = await dl.readFile(await openAsBlob(opt.data));
+    const res = await scoreRows({ model, dl, rows, calibration, threshold, thresholdObjective: bundle.config?.thresholdObjective });
+    if (dl.profile) log(`Drift: ${dl.drift(rows).summary.message}`);
+    log(`Scored ${res.scored.length} employees, flagged ${res.flagged} at threshold ${res.threshold.toFixed(4)}.`);
+    await writeOut(opt.out, toCSV(res.scored, res.columns));
+  } finally { model.dispose(); }
+}
+
+async function main(argv) {
+  const { positionals: [cmd], values: opt } = parseArgs({ args: argv, allowPositionals: true, options: {
+    data: { type: 'string' }, config: { type: 'string' }, model: { type: 'string' }, out: { type: 'string' },
+    quiet: { type: 'boolean' }, help: { type: 'boolean', short: 'h' }
+  } });
+  const commands = { train, evaluate, score };
+  if (opt.help || !cmd) { console.log(USAGE); return; }
+  if (!commands[cmd]) throw new Error(`Unknown command: ${cmd}\n${USAGE}`);
+  if (!opt.data) throw new Error('--data <csv> is required.');
+  if (cmd !== 'train' && !opt.model) throw new Error('--model <dir> is required.');
+  setTF(await loadTF());
+  await commands[cmd](opt, opt.quiet ? () => {} : (m) => console.error(m));
+}
+
+main(process.argv.slice(2)).catch(e => { console.error(`Error: ${e.message || e}`); process.exitCode = 1; });
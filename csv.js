@@ -0,0 +1,152 @@
+// csv.js
+// RFC 4180 CSV parser: quoted fields, "" escapes, embedded delimiters/newlines, CRLF/LF/CR,
+// UTF-8 BOM, delimiter auto-detection (, ; tab |) and chunked streaming for large files.
+// Rows that do not fit the header are not dropped silently: they go to report.rejected
+// with their physical line number and a reason.
+
+const CANDIDATES = [',', ';', '\t', '|'];
+const MAX_REJECTED = 1000;   // keep the report readable; report.rejectedCount is always exact
+
+export class CSVParser {
+  constructor({ delimiter = 'auto', onRow } = {}) {
+    this.delimiter = delimiter === 'auto' ? null : delimiter;
+    this.onRow = onRow || (() => {});
+    this.headers = null;
+    this.report = { delimiter: this.delimiter, bom: false, rows: 0, rejectedCount: 0, rejected: [] };
+
+    this.pending = '';          // text buffered until the delimiter is known
+    this.started = false;       // BOM check done
+    this.state = 'start';       // start | plain | quoted | quoteInQuoted
+    this.field = ''; this.fields = []; this.error = null;
+    this.line = 1; this.rowLine = 1; this.skipLF = false;
+  }
+
+  push(text) {
+    if (!this.started && text.length) {
+      this.started = true;
+      if (text.charCodeAt(0) === 0xFEFF) { text = text.slice(1); this.report.bom = true; }
+    }
+    if (!this.delimiter) {
+      this.pending += text;
+      const nl = this.pending.search(/[\r\n]/);
+      if (nl < 0) return;
+      this.#detect(this.pending.slice(0, nl));
+      text = this.pending; this.pending = '';
+    }
+    this.#consume(text);
+  }
+
+  end() {
+    if (!this.delimiter) { this.#detect(this.pending); this.#consume(this.pending); this.pending = ''; }
+    if (this.state === 'quoted') this.error = 'unterminated quoted field';
+    if (this.state !== 'start' || this.fields.length || this.field) this.#endRow();
+    if (!this.headers) throw new Error('CSV is empty.');
+    return this.report;
+  }
+
+  #detect(headerLine) {
+    let best = ',', bestN = 0;
+    for (const d of CANDIDATES) {
+      let n = 0, q = false;
+      for (const ch of headerLine) { if (ch === '"') q = !q; else if (ch === d && !q) n++; }
+      if (n > bestN) { best = d; bestN = n; }
+    }
+    this.delimiter = best; this.report.delimiter = best;
+  }
+
+  #consume(text) {
+    const D = this.delimiter;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (this.skipLF) { this.skipLF = false; if (ch === '\n') continue; }
+
+      if (this.state === 'quoted') {
+        if (ch === '"') this.state = 'quoteInQuoted';
+        else if (ch === '\n' || ch === '\r') { this.field += '\n'; this.#newline(ch); }
+        else this.field += ch;
+        continue;
+      }
+      if (this.state === 'quoteInQuoted') {
+        if (ch === '"') { this.field += '"'; this.state = 'quoted'; continue; }
+        if (ch !== D && ch !== '\n' && ch !== '\r') { this.error ??= 'characters after closing quote'; this.field += ch; this.state = 'plain'; continue; }
+      }
+
+      if (ch === D) { this.#endField(); }
+      else if (ch === '\n' || ch === '\r') { this.#endRow(); this.#newline(ch); this.rowLine = this.line; }
+      else if (ch === '"' && this.state === 'start') { this.state = 'quoted'; }
+      else {
+        if (ch === '"') this.error ??= 'stray quote in unquoted field';
+        this.field += ch; this.state = 'plain';
+      }
+    }
+  }
+
+  #newline(ch) { this.line++; if (ch === '\r') this.skipLF = true; }
+
+  #endField() { this.fields.push(this.field); this.field = ''; this.state = 'start'; }
+
+  #endRow() {
+    this.#endField();
+    const fields = this.fields, error = this.error, line = this.rowLine;
+    this.fields = []; this.error = null;
+
+    if (fields.length === 1 && fields[0].trim() === '' && !error) return;   // blank line
+    if (!this.headers) {
+      const headers = fields.map(h => h.trim());
+      const seen = new Set();
+      for (const h of headers) {
+        if (!h) throw new Error(`CSV header has an empty column name (line ${line}).`);
+        if (seen.has(h)) throw new Error(`CSV header has duplicate column: ${h}`);
+        seen.add(h);
+      }
+      this.headers = headers;
+      return;
+    }
+    if (error) return this.#reject(line, error);
+    if (fields.length !== this.headers.length) return this.#reject(line, `expected ${this.headers.length} fields, got ${fields.length}`);
+
+    const obj = {};
+    for (let j = 0; j < this.headers.length; j++) obj[this.headers[j]] = fields[j].trim();
+    this.report.rows++;
+    this.onRow(obj);
+  }
+
+  #reject(line, reason) {
+    this.report.rejectedCount++;
+    if (this.report.rejected.length < MAX_REJECTED) this.report.rejected.push({ line, reason });
+  }
+}
+
+export function parseCSVText(text, opts = {}) {
+  const rows = [];
+  const p = new CSVParser({ ...opts, onRow: r => rows.push(r) });
+  p.push(String(text)); const report = p.end();
+  if (!rows.length) throw new Error('CSV has no data.');
+  return { headers: p.headers, rows, report };
+}
+
+// Streams the file in chunks so large exports are never held as one string.
+export async function parseCSVFile(file, opts = {}) {
+  if (!file) throw new Error('No file selected.');
+  const rows = [];
+  const p = new CSVParser({ ...opts, onRow: r => rows.push(r) });
+  const reader = file.stream().getReader();
+  const decoder = new TextDecoder('utf-8', { ignoreBOM: true });   // keep the BOM for CSVParser's report
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      p.push(decoder.decode(value, { stream: true }));
+    }
+  } catch (_e) { throw new Error('Failed to read file.'); }
+  p.push(decoder.decode());
+  const report = p.end();
+  if (!rows.length) throw new Error('CSV has no data.');
+  return { headers: p.headers, rows, report };
+}
+
+// rows (objects) + column order -> RFC 4180 text; fields holding the delimiter, a quote or a line break are quoted.
+export function toCSV(rows, cols, delimiter = ',') {
+  const cell = (v) => { const s = String(v ?? ''); return s.includes(delimiter) || /["\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s; };
+  return [cols.map(cell).join(delimiter), ...rows.map(r => cols.map(c => cell(r[c])).join(delimiter))].join('\n');
+}
@@ -0,0 +1,57 @@
+// cv.js
+// Stratified k-fold cross-validation: a fresh model per fold, trained on DataLoader.folds() output.
+// Reports per-fold metrics, mean ± std (population) and the confusion matrix summed over folds.
+// folds may be given instead of dl (any iterable of folds() items, e.g. unpacked in the training worker).
+
+import { GRUClassifier } from './gru.js';
+import { DEFAULT_SEED, withSeed } from './seed.js';
+
+export const CV_METRICS = ['prec', 'rec', 'f1', 'auc'];
+
+export async function crossValidate({
+  dl, k = 5, augment = null, threshold = 0.5, folds: source = dl.folds({ k, augment }),
+  build = {}, fit = {},
+  createModel = () => new GRUClassifier(), seed = DEFAULT_SEED,
+  log = () => {}, onFold, onEpoch
+}) {
+  const folds = [];
+  for (const ds of source) {
+    const model = createModel();
+    const xTrain = asSequences(ds.xTrain), xTest = asSequences(ds.xTest);
+    try {
+      await withSeed(seed + ds.fold, () => {
+        model.build({ ...build, timesteps: xTrain.shape[1], features: xTrain.shape[2] });
+        return model.fit({ ...fit, xTrain, yTrain: ds.yTrain, onEpoch: (e, logs) => onEpoch?.(ds.fold, e, logs) });
+      });
+      const res = await model.evaluate({ xTest, yTest: ds.yTest, threshold });
+      const row = { fold: ds.fold + 1, nTrain: ds.yTrain.shape[0], nTest: ds.yTest.shape[0], ...res };
+      folds.push(row);
+      log(`CV fold ${row.fold}/${ds.k}: F1=${res.f1.toFixed(4)} AUC=${res.auc.toFixed(4)}`);
+      onFold?.(row, ds.k);
+    } finally {
+      model.dispose();
+      for (const t of [xTrain, xTest, ds.xTrain, ds.yTrain, ds.xTest, ds.yTest]) t.dispose();
+    }
+  }
+  return { folds, summary: summarize(folds), cm: sumCm(folds) };
+}
+
+// tabular [N, F] -> [N, 1, F]; panel sequences are already [N, T, F]
+export function asSequences(x) { return x.rank === 2 ? x.expandDims(1) : x.clone(); }
+
+export function summarize(folds) {
+  const out = {};
+  for (const m of CV_METRICS) {
+    const v = folds.map(f => f[m]).filter(Number.isFinite);
+    const mean = v.reduce((a,b)=>a+b, 0) / Math.max(1, v.length);
+    const std = Math.sqrt(v.reduce((a,b)=>a + (b-mean)**2, 0) / Math.max(1, v.length));
+    out[m] = { mean, std };
+  }
+  return out;
+}
+
+function sumCm(folds) {
+  const cm = { tp: 0, tn: 0, fp: 0, fn: 0 };
+  for (const f of folds) for (const key of Object.keys(cm)) cm[key] += f.cm[key];
+  return cm;
+}
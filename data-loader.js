@@ -1,6 +1,7 @@
 // data-loader.js
 // + Feature Engineering report: created/kept/dropped attributes are shown in UI.
-// + Engineered features (numeric):
+// + Engineered features (numeric), declared as expr.js expressions in DEFAULT_ENGINEERED
+//   and editable/toggleable at runtime via setEngineeredSpec():
 //   1) TenureRatio = YearsAtCompany / max(1, TotalWorkingYears)
 //   2) NoPromotionRatio = YearsSinceLastPromotion / max(1, YearsAtCompany)
 //   3) IncomePerLevel = MonthlyIncome / max(1, JobLevel)
@@ -8,7 +9,75 @@
 //   5) TravelFreq = (BusinessTravel=='Travel_Frequently') ? 1 : 0
 //   6) IsSingle = (MaritalStatus=='Single') ? 1 : 0
 //   7) LongDistance = DistanceFromHome > 20 (threshold)
-// Removed as noisy/constant from inputs: EmployeeNumber, EmployeeCount, StandardHours, Over18.
+// Removed as noisy/constant from inputs: EmployeeNumber, EmployeeCount, StandardHours, Over18
+//   (now inferred by inferSchema(): ID-like and constant columns are dropped for any export).
+// + exportState()/importState(): fitted encoders, scaler and feature order for the model bundle.
+// + readFile()/transform(): score unlabeled rows with the fitted preprocessing (no refit).
+// + CSV via csv.js (RFC 4180, delimiter auto-detect, streaming); rejected rows kept in parseReport.
+// + Schema-agnostic: column roles, target column + positive value and meta fields from the schema.
+// + Validation & imputation: range rules, duplicate IDs, per-column imputer fitted on the train split;
+//   summarized by qualityReport().
+// + folds(): stratified k-fold generator, refitting the whole preprocessing per fold.
+// + Panel mode (schema.panel): monthly snapshots keyed by employee ID + snapshot date become padded
+//   sequences of the last seqLen snapshots, labelled "leaves within horizon months"; splits are by employee.
+// + prepareTensors({ calSplit }): stratified calibration split carved from train (fitted pipeline, no augmentation).
+// + augment = imbalance.js resampling (jitter / SMOTE / borderline-SMOTE / undersampling), seeded; one-hot
+//   groups and missing flags are never interpolated.
+// + Sensitive attributes (setSensitive): optionally excluded from featureOrder together with their one-hot
+//   columns, missing flags and engineered features built from them; split outputs carry testRows for audits.
+// + eda(): every numeric (incl. engineered) and categorical column: per-class histograms / box stats, leave rates
+//   with Wilson intervals, chi-square / Cramér's V / mutual information ranking, correlation matrix + redundant pairs.
+// + encode(): attribute rows -> scaled features without a report, for what-if edits and counterfactual search.
+// + Training profile (drift.js) fitted with the pipeline and saved in exportState(); drift(rows) compares a new file.
+// + labelsOf(rows) for evaluating a restored bundle on a labelled file; tensors come from tf.js (injectable in Node).
+// + Single-snapshot splits also carry trainRows / trainMeta and calRows / calMeta (before resampling), so
+//   predictions can be exported for every split.
+// + survivalData(rows, duration) / survivalFeatures(exclude): tenure + leaver flag and the Cox covariates
+//   (features not built from the duration, one reference level left out per one-hot block) for survival.js.
+// + Feature selection (setSelection, selection.js) on every fit's train rows: near-zero variance, correlated
+//   pairs, MI / L1 ranking, optional CV recursive elimination; chosen and rejected features with reasons are
+//   in featureReport() and exportState(). ID / constant columns are still dropped by the schema roles.
+
+import { parseCSVFile } from './csv.js';
+import { compileExpr } from './expr.js';
+import { buildProfile, driftReport } from './drift.js';
+import { association, boxStats, categoryRates, classHistogram, correlationMatrix, pearson, quantileBins, redundantPairs } from './eda.js';
+import { resample, resamplingConfig } from './imbalance.js';
+import { selectFeatures, selectionConfig } from './selection.js';
+import { DEFAULT_SEED, rng, shuffleInPlace } from './seed.js';
+import { tf } from './tf.js';
+
+// Range rules for numeric inputs; `match` is a regex over column names, first match wins.
+// Values outside [min, max] are counted as invalid and imputed like missing ones.
+export const DEFAULT_RULES = [
+  { match:'Satisfaction$|^JobInvolvement$|^WorkLifeBalance$', min:1, max:4 },
+  { match:'^Education$',                                      min:1, max:5 },
+  { match:'^PerformanceRating$',                              min:1, max:4 },
+  { match:'^Age$',                                            min:14, max:100 },
+  { match:'^Years|Years$|^NumCompaniesWorked$|^TrainingTimesLastYear$|^DistanceFromHome$', min:0 },
+  { match:'Income$|Rate$|Hike$',                              min:0 }
+];
+
+// Protected attributes for the fairness audit and the "exclude sensitive attributes" option.
+export const DEFAULT_SENSITIVE = ['Gender', 'MaritalStatus', 'Age'];
+
+const NA = /^(na|n\/a|nan|null|none)$/i;
+
+// '2024-03', '2024-03-31', '2024/3' -> months since year 0; anything else -> null
+function monthIndex(v) {
+  const m = /^(\d{4})[-/.](\d{1,2})(?:[-/.]\d{1,2})?(?:[T ].*)?$/.exec(String(v ?? '').trim());
+  return m && +m[2] >= 1 && +m[2] <= 12 ? +m[1] * 12 + (+m[2] - 1) : null;
+}
+
+export const DEFAULT_ENGINEERED = [
+  { name:'TenureRatio',       expr:'ratio(YearsAtCompany, TotalWorkingYears)',          enabled:true },
+  { name:'NoPromotionRatio',  expr:'ratio(YearsSinceLastPromotion, YearsAtCompany)',    enabled:true },
+  { name:'IncomePerLevel',    expr:'ratio(MonthlyIncome, JobLevel)',                    enabled:true },
+  { name:'OvertimeStress',    expr:"indicator(OverTime, 'Yes') * (4 - JobSatisfaction)", enabled:true },
+  { name:'TravelFreq',        expr:"indicator(BusinessTravel, 'Travel_Frequently')",    enabled:true },
+  { name:'IsSingle',          expr:"indicator(MaritalStatus, 'Single')",                enabled:true },
+  { name:'LongDistance',      expr:'threshold(DistanceFromHome, 20)',                   enabled:true }
+];
 
 export class DataLoader {
   constructor(opts = {}) {
@@ -17,141 +86,726 @@ export class DataLoader {
     this.raw = [];
     this.labelKey = 'Attrition';
     this.attritionMap = { Yes: 1, No: 0 };
+    this.positiveLabel = 'Yes';
+
+    // Column roles come from the schema (inferSchema() on load, adjustable via applySchema()).
+    // For the IBM HR export inference reproduces the classic split: 23 numerics, 7 categoricals,
+    // EmployeeNumber as ID and EmployeeCount/StandardHours/Over18 as constants.
+    this.rows = [];             // parsed rows, all columns (raw keeps only the schema's columns)
+    this.schema = null;         // { target, positive, meta:[], columns:[{name, role, distinct, missing, values?}] }
+    this.baseNum = [];          // numeric inputs
+    this.catCols = [];          // categorical inputs
+    this.dropped = [];          // id / constant / ignored columns, removed from inputs
+    this.idColumn = null;       // checked for duplicates (EmployeeNumber or first ID column)
+    this.panel = null;          // { idColumn, dateColumn, horizon, seqLen } for multi-snapshot data
+
+    // validation & imputation
+    this.rules = [];
+    this.imputeSpec = {};       // { col: {strategy:'mean'|'median'|'mode'|'constant', value?, indicator?} } from the schema
+    this.imputer = {};          // fitted on train: { col: {strategy, value, indicator} }
+    this.indicators = [];       // `${col}__missing` numeric flags for columns with indicator:true
+    this.quality = null;        // last data-quality report
+    this.dropDuplicates = opts.dropDuplicates ?? true;
+    this.seed = opts.seed ?? DEFAULT_SEED;   // split / fold shuffles (setSeed)
+    this.sensitive = (opts.sensitive || DEFAULT_SENSITIVE).slice();
+    this.excludeSensitive = false;
+    this.excluded = [];         // features left out of the last fit (sensitive ones)
+    this._keep = null;          // featureOrder -> index into the full feature vector, null = all of it
+    this.selectionCfg = null;   // feature selection settings (selection.js), null = off
+    this.selection = null;      // report of the last fit's selection: { config, kept, rejected, ranking, rfe }
+
+    // engineered spec: array of {name, expr, enabled, desc?}; compiled active ones live in _engineered
+    this.engineeredSpec = [];
+    this._engineered = [];
 
-    // numeric base (cleaned)
-    this.baseNum = [
-      'Age','DailyRate','DistanceFromHome','Education',
-      'EnvironmentSatisfaction','HourlyRate','JobInvolvement','JobLevel','JobSatisfaction',
-      'MonthlyIncome','MonthlyRate','NumCompaniesWorked','PercentSalaryHike','PerformanceRating',
-      'RelationshipSatisfaction','StockOptionLevel','TotalWorkingYears',
-      'TrainingTimesLastYear','WorkLifeBalance','YearsAtCompany','YearsInCurrentRole',
-      'YearsSinceLastPromotion','YearsWithCurrManager'
-    ];
-
-    this.dropped = ['EmployeeNumber','EmployeeCount','StandardHours','Over18']; // removed from inputs
-    this.catKnown = ['BusinessTravel','Department','EducationField','Gender','JobRole','MaritalStatus','OverTime'];
-
-    // engineered spec: array of {name, desc}
-    this.engineeredSpec = [
-      { name:'TenureRatio',       desc:'YearsAtCompany / max(1, TotalWorkingYears)' },
-      { name:'NoPromotionRatio',  desc:'YearsSinceLastPromotion / max(1, YearsAtCompany)' },
-      { name:'IncomePerLevel',    desc:'MonthlyIncome / max(1, JobLevel)' },
-      { name:'OvertimeStress',    desc:"(OverTime=='Yes') * (4 - JobSatisfaction)" },
-      { name:'TravelFreq',        desc:"BusinessTravel=='Travel_Frequently' ? 1 : 0" },
-      { name:'IsSingle',          desc:"MaritalStatus=='Single' ? 1 : 0" },
-      { name:'LongDistance',      desc:'DistanceFromHome > 20 ? 1 : 0' }
-    ];
-
-    this.catCols = [];
     this.encoders = {};         // { col: {value:index} } for real categoricals (not engineered dummies)
     this.featureOrder = [];     // numeric + engineered + one-hot categoricals
     this.scaler = null;         // { mean:[], std:[] }
-    this.metaFields = ['EmployeeNumber','JobRole','OverTime','YearsAtCompany','MonthlyIncome'];
+    this.profile = null;        // training-split feature distributions for drift checks (drift.js)
+    this.metaFields = [];       // columns carried into the predictions export
     this.metaRows = [];
+    this.parseReport = null;    // { delimiter, bom, rows, rejectedCount, rejected:[{line, reason}] }
 
     // computed lists for report
     this.kept = [];     // final numeric names + one-hot names (report prints high-level)
-    this.created = this.engineeredSpec.map(x=>x.name);
+    this.created = [];
+    this.setEngineeredSpec(opts.engineered || DEFAULT_ENGINEERED);
+    this.setRules(opts.rules || DEFAULT_RULES);
   }
 
-  async fromFile(file) {
-    if (!file) throw new Error('No file selected.');
-    const text = await this.#readFileText(file);
-    const { headers, rows } = this.#parseCSV(text);
+  // schema: the mapping to apply instead of the inferred one, or a function inferred -> schema.
+  async fromFile(file, { schema = null } = {}) {
+    const { headers, rows, report } = await parseCSVFile(file);
+    this.parseReport = report;
+    this.headers = headers;
+    this.rows = rows;
 
-    if (!headers.includes(this.labelKey)) throw new Error(`Missing required column: ${this.labelKey}`);
+    this.log(`Loaded ${rows.length} rows, ${headers.length} columns.`);
+    if (report.rejectedCount) this.log(`Rejected ${report.rejectedCount} malformed rows (first at line ${report.rejected[0].line}: ${report.rejected[0].reason}).`);
+    this.applySchema(typeof schema === 'function' ? schema(this.inferSchema()) : schema ?? this.inferSchema());
+    return this;
+  }
 
-    this.headers = headers;
-    this.catCols = headers.filter(h => this.catKnown.includes(h));
-    const allowed = new Set([...this.baseNum, ...this.catCols, this.labelKey, ...this.metaFields, ...this.dropped]);
+  // ---------- Schema (column mapping) ----------
+  inferSchema() {
+    if (!this.rows?.length) throw new Error('Load data first.');
+    const n = this.rows.length;
+    const columns = this.headers.map(name => {
+      let missing = 0, numeric = 0, integer = 0; const counts = new Map();
+      for (const r of this.rows) {
+        const v = String(r[name] ?? '').trim();
+        if (v === '' || /^(na|n\/a|nan|null|none)$/i.test(v)) { missing++; continue; }
+        const x = Number(v); if (Number.isFinite(x)) { numeric++; if (Number.isInteger(x)) integer++; }
+        counts.set(v, (counts.get(v) || 0) + 1);
+      }
+      const filled = n - missing, distinct = counts.size, unique = distinct === filled && filled > 1;
+      const nearlyUnique = filled > 1 && distinct >= 0.95 * filled;   // IDs with a few duplicates are still IDs
+      let role;
+      if (distinct <= 1) role = 'constant';
+      else if (numeric === filled) role = (nearlyUnique && integer === filled && /(id|number|code|key|no)$/i.test(name)) ? 'id' : 'numeric';
+      else role = (unique || distinct > Math.max(50, filled / 2)) ? 'id' : 'categorical';
+      const col = { name, role, distinct, missing };
+      if (distinct <= 50) col.values = [...counts.entries()].sort((a,b)=>b[1]-a[1]).map(([v])=>v);
+      return col;
+    });
 
-    this.raw = rows.map(r => {
+    // Panel data: an ISO-like snapshot date plus an ID that repeats across snapshots.
+    let panel = null;
+    const dateCol = columns.find(c => c.missing === 0 && c.distinct > 1 && this.rows.every(r => monthIndex(r[c.name]) !== null));
+    if (dateCol) {
+      const idCol = columns.find(c => c !== dateCol && c.missing === 0 && c.distinct < n && /(id|number|code|key|no)$/i.test(c.name) &&
+        new Set(this.rows.map(r => `${r[c.name]}|${monthIndex(r[dateCol.name])}`)).size >= 0.95 * n);
+      if (idCol) {
+        dateCol.role = 'date'; idCol.role = 'id';
+        panel = { id: idCol.name, date: dateCol.name, horizon: 6, seqLen: 6 };
+      }
+    }
+
+    const binary = columns.filter(c => c.distinct === 2);
+    const t = binary.find(c => c.name === this.labelKey)
+           ?? binary.find(c => /attrition|churn|left|leaver|terminat|quit|exit|status|target|label/i.test(c.name)) ?? null;
+    const positive = t ? (t.values.find(v => /^(yes|y|true|1|left)$/i.test(v)) ?? t.values.at(-1)) : null;  // else minority
+    const preferred = ['EmployeeNumber','JobRole','OverTime','YearsAtCompany','MonthlyIncome'].filter(f => this.headers.includes(f));
+    const meta = preferred.length ? preferred : columns.filter(c => c.role === 'id').map(c => c.name).slice(0, 1);
+    if (panel && !meta.includes(panel.date)) meta.push(panel.date);
+    return { target: t?.name ?? null, positive, meta, columns, panel };
+  }
+
+  // Roles: numeric | categorical | id | date | constant | ignore. The target column is never an input.
+  // panel: { id, date, horizon (months), seqLen } switches to sequences per employee, or null.
+  applySchema(schema) {
+    if (!this.rows?.length) throw new Error('Load data first.');
+    const { target = null, positive = null, meta = [], columns = [], panel = null } = schema || {};
+    if (target && !this.headers.includes(target)) throw new Error(`Unknown target column: ${target}`);
+    const tcol = columns.find(c => c.name === target);
+    if (target && !tcol?.values?.includes(String(positive))) throw new Error(`Positive value "${positive}" not found in ${target}.`);
+    if (panel) {
+      for (const c of [panel.id, panel.date]) if (!this.headers.includes(c)) throw new Error(`Unknown panel column: ${c}`);
+      if (panel.id === panel.date) throw new Error('Panel ID and date must be different columns.');
+      const bad = this.rows.find(r => monthIndex(r[panel.date]) === null);
+      if (bad) throw new Error(`${panel.date} is not a snapshot date (YYYY-MM or YYYY-MM-DD): "${bad[panel.date]}"`);
+      if (!(panel.horizon >= 1) || !(panel.seqLen >= 1)) throw new Error('Panel horizon and sequence length must be at least 1.');
+    }
+
+    this.schema = JSON.parse(JSON.stringify({ target, positive, meta, columns, panel }));
+    this.labelKey = target;
+    this.positiveLabel = target ? String(positive) : null;
+    this.attritionMap = target ? Object.fromEntries(tcol.values.map(v => [v, v === this.positiveLabel ? 1 : 0])) : {};
+
+    const keys = panel ? [panel.id, panel.date] : [];
+    const inputs = columns.filter(c => c.name !== target && this.headers.includes(c.name))
+      .map(c => keys.includes(c.name) ? { ...c, role: c.name === panel.id ? 'id' : 'date' } : c);
+    this.baseNum = inputs.filter(c => c.role === 'numeric').map(c => c.name);
+    this.catCols = inputs.filter(c => c.role === 'categorical').map(c => c.name);
+    this.dropped = inputs.filter(c => !['numeric','categorical'].includes(c.role)).map(c => c.name);
+    this.metaFields = meta.filter(f => this.headers.includes(f));
+    this.imputeSpec = Object.fromEntries(inputs.filter(c => c.impute || c.indicator)
+      .map(c => [c.name, { strategy: c.impute, value: c.fill, indicator: !!c.indicator }]));
+    const ids = columns.filter(c => c.role === 'id' && this.headers.includes(c.name)).map(c => c.name);
+    this.idColumn = panel ? panel.id : ids.includes('EmployeeNumber') ? 'EmployeeNumber' : (ids[0] ?? null);
+    this.panel = panel ? { idColumn: panel.id, dateColumn: panel.date, horizon: Math.round(panel.horizon), seqLen: Math.round(panel.seqLen) } : null;
+
+    const clash = this.created.filter(f => this.headers.includes(f));
+    if (clash.length) this.log(`Engineered feature names shadow CSV columns: ${clash.join(', ')}`);
+
+    const allowed = new Set([...this.baseNum, ...this.catCols, ...this.metaFields, ...this.dropped, ...this.#engineeredColumns()]);
+    if (target) allowed.add(target);
+    const labelled = target ? this.rows.filter(r => String(r[target] ?? '').trim() !== '') : this.rows;
+    if (labelled.length < this.rows.length) this.log(`Skipped ${this.rows.length - labelled.length} rows with empty ${target}.`);
+
+    this.raw = labelled.map(r => {
       const obj = {};
-      for (const k of headers) if (allowed.has(k)) obj[k] = r[k];
+      for (const k of this.headers) if (allowed.has(k)) obj[k] = r[k];
       return obj;
     });
-
     this.metaRows = this.raw.map(r => {
       const m = {};
       for (const f of this.metaFields) m[f] = r[f] ?? '';
       return m;
     });
 
-    this.log(`Loaded ${this.raw.length} rows (categorical=${this.catCols.length}, numeric=${this.baseNum.length}, dropped=${this.dropped.length}).`);
+    this.scaler = null; this.featureOrder = []; this.profile = null;   // any previous fit belongs to another schema
+    this.log(`Schema: target=${target ?? '—'}${target ? ` (positive=${positive})` : ''}, numeric=${this.baseNum.length}, categorical=${this.catCols.length}, dropped=${this.dropped.length}.`);
+    if (this.panel) this.log(`Panel: ${panel.id} × ${panel.date}, label = leaves within ${this.panel.horizon} months, sequences of ${this.panel.seqLen} snapshots.`);
     return this;
   }
 
-  // ---------- EDA ----------
-  eda() {
+  // ---------- EDA (eda.js) ----------
+  // Whole file, before any split: cleaned values (missing / out-of-range -> left out), engineered features
+  // evaluated on the cleaned rows (skipped where one of their inputs is missing).
+  eda({ bins = 20, redundancy = 0.8 } = {}) {
     if (!this.raw?.length) throw new Error('Load data first.');
+    if (!this.labelKey) throw new Error('Select a target column in the column mapping first.');
     const n = this.raw.length;
+    const rows = this.raw.map(r => this.#clean(r));
+    const y = this.raw.map(r => this.#label(r));
+
+    const pos = y.reduce((a, v) => a + v, 0);
+    const balance = { positive: pos, negative: n - pos, rate: pos / Math.max(1, n) };
+
+    const values = Object.fromEntries(Object.entries(this.#columnValues(rows)).filter(([, c]) => c.kind === 'numeric').map(([k, c]) => [k, c.values]));
+
+    const numeric = Object.entries(values).map(([name, x]) => ({
+      name, engineered: !this.baseNum.includes(name), missing: x.filter(v => v === null).length,
+      corr: pearson(x, y), hist: classHistogram(x, y, bins),
+      box: { pos: boxStats(x.filter((_, i) => y[i] === 1)), neg: boxStats(x.filter((_, i) => y[i] === 0)) },
+      ...association(quantileBins(x), y)
+    }));
+    const categorical = this.catCols.map(name => {
+      const x = rows.map(r => r[name]);
+      return { name, missing: x.filter(v => v === null).length, rates: categoryRates(x, y), ...association(x, y) };
+    });
+    const ranking = [...numeric.map(c => ({ ...c, kind: 'numeric' })), ...categorical.map(c => ({ ...c, kind: 'categorical' }))]
+      .map(({ name, kind, engineered, levels, chi2, df, p, cramersV, mi }) => ({ name, kind, engineered: !!engineered, levels, chi2, df, p, cramersV, mi }))
+      .sort((a, b) => b.mi - a.mi);
 
-    let pos = 0, neg = 0;
-    for (const r of this.raw) (String(r[this.labelKey]) === 'Yes') ? pos++ : neg++;
-    const balance = { positive: pos, negative: neg, rate: pos / Math.max(1, n) };
+    const corrMatrix = correlationMatrix(values);
+    const topCorr = numeric.filter(c => Number.isFinite(c.corr)).map(c => [c.name, c.corr])
+      .sort((a, b) => Math.abs(b[1]) - Math.abs(a[1])).slice(0, 8);
+    const catRates = Object.fromEntries(categorical.map(c => [c.name, c.rates.map(d => ({ k: d.level, rate: d.rate }))]));
 
-    const y = this.raw.map(r => (String(r[this.labelKey]) === 'Yes' ? 1 : 0));
-    const corr = {};
-    for (const col of this.baseNum) {
-      const x = this.raw.map(r => Number(r[col] ?? 0));
-      corr[col] = this.#pearson(x, y);
-    }
-    const topCorr = Object.entries(corr).sort((a,b)=>Math.abs(b[1])-Math.abs(a[1])).slice(0,8);
-
-    const catRates = {};
-    for (const col of ['OverTime','JobRole']) {
-      if (!this.catCols.includes(col) && col !== 'JobRole') continue;
-      const rates = {};
-      for (const r of this.raw) {
-        const k = r[col] ?? '';
-        if (!rates[k]) rates[k] = { pos:0, total:0 };
-        rates[k].pos += (String(r[this.labelKey])==='Yes') ? 1 : 0;
-        rates[k].total += 1;
-      }
-      const out = Object.entries(rates).map(([k,v]) => ({ k, rate: v.pos/Math.max(1,v.total) }))
-                                      .sort((a,b)=>b.rate-a.rate);
-      catRates[col] = out;
+    return { balance, numeric, categorical, ranking, corrMatrix, redundant: redundantPairs(corrMatrix, redundancy), redundancy, topCorr, catRates };
+  }
+
+  // ---------- Survival (survival.js) ----------
+  // Labelled rows -> time-to-event data: time from the `duration` column (cleaned and range-checked like any
+  // numeric input), event = 1 for the positive target, else censored at that time. Rows without a valid
+  // duration are skipped; index maps the kept ones back to `rows`.
+  survivalData(rows, duration) {
+    if (this.panel) throw new Error('Survival analysis needs one row per employee: panel data is not supported.');
+    if (!this.labelKey) throw new Error('Select a target column in the column mapping first.');
+    if (!rows.some(r => Object.hasOwn(r, duration))) throw new Error(`Unknown duration column: ${duration}`);
+    const time = [], event = [], index = [];
+    rows.forEach((r, i) => {
+      const v = this.#clean(r)[duration];
+      const t = v === null || v === undefined || String(v).trim() === '' ? NaN : Number(v);
+      if (!Number.isFinite(t) || t < 0) return;
+      time.push(t); event.push(this.#label(r)); index.push(i);
+    });
+    if (index.length < rows.length) this.log(`Survival: ${rows.length - index.length} rows without a valid ${duration} skipped.`);
+    if (!index.length) throw new Error(`No rows with a valid ${duration}.`);
+    return { time, event, index };
+  }
+
+  // featureOrder positions usable as Cox covariates: features built from any `exclude` column (the duration
+  // at least) are left out, and so is the first level of every one-hot block, which becomes its reference.
+  survivalFeatures(exclude) {
+    if (!this.isFitted()) throw new Error('Preprocessing is not fitted. Prepare dataset first.');
+    const reference = {}, skip = new Set();
+    for (const g of this.featureGroups()) {
+      if (g.kind !== 'categorical' || g.values.length < 2) continue;
+      reference[g.name] = g.values[0]; skip.add(g.idx[0]);
     }
+    const idx = this.featureOrder.map((_, j) => j).filter(j => !skip.has(j) && !this.#builtFrom(this.featureOrder[j], exclude));
+    return { idx, features: idx.map(j => this.featureOrder[j]), scale: idx.map(j => this.scaler.std[j]), reference };
+  }
+
+  // ---------- Drift (drift.js) ----------
+  // New raw rows vs the training profile stored at fit time (and in model bundles).
+  drift(rows) {
+    if (!this.profile) throw new Error('No training profile: prepare the dataset (or load a model saved with one) first.');
+    const present = new Set(rows.flatMap(r => Object.keys(r)));
+    const absent = [...this.baseNum, ...this.catCols].filter(c => !present.has(c));
+    const columns = this.#columnValues(rows.map(r => this.#clean(r)));
+    return driftReport(this.profile, columns, { absent: [...absent, ...this._engineered.filter(f => f.columns.some(c => absent.includes(c))).map(f => f.name)] });
+  }
 
-    return { balance, topCorr, catRates };
+  // Typed rows -> { name: { kind, values } } for numeric, engineered (null where an input is missing) and
+  // categorical columns; excluded sensitive inputs are left out when skipExcluded.
+  #columnValues(rows, { skipExcluded = false } = {}) {
+    const skip = (c) => skipExcluded && this.excluded.some(f => f === c || f.startsWith(`${c}__`));
+    const out = {};
+    for (const c of this.baseNum) if (!skip(c)) out[c] = { kind: 'numeric', values: rows.map(r => r[c]) };
+    for (const f of this._engineered) if (!skip(f.name)) out[f.name] = { kind: 'numeric', values: rows.map(r => f.columns.some(c => r[c] === null || r[c] === undefined) ? null : f.evaluate(r)) };
+    for (const c of this.catCols) if (!skip(c)) out[c] = { kind: 'categorical', values: rows.map(r => r[c]) };
+    return out;
   }
 
   // ---------- Tensors & Split ----------
-  prepareTensors({ testSplit = 0.2, augment = null }) {
+  prepareTensors({ testSplit = 0.2, calSplit = 0, augment = null }) {
     if (!this.raw?.length) throw new Error('Dataset not loaded.');
-    this._augCfg = augment || { enable:false };
+    if (!this.labelKey) throw new Error('Select a target column in the column mapping first.');
+    this._augCfg = resamplingConfig(augment);
+
+    // validate (ranges, missing, duplicates) -> stratified split -> fit imputer/encoders on train only
+    const data = this.#cleanDataset();
+    let { trainIdx, testIdx } = this.#stratifiedSplit(data.labels, testSplit), calIdx = [];
+    if (calSplit > 0) {
+      const inner = this.#stratifiedSplit(trainIdx.map(i => data.labels[i]), calSplit);
+      calIdx = inner.testIdx.map(j => trainIdx[j]); trainIdx = inner.trainIdx.map(j => trainIdx[j]);
+    }
+    const out = this.#buildSplit(data, trainIdx, testIdx, calIdx);
+    // Prepare simple high-level lists for report (not listing each one-hot)
+    this.kept = this.#keptColumns();
+    return out;
+  }
 
-    // Fit categorical encoders for *real* categoricals
-    this.#fitCategoricals(this.raw);
+  // Stratified k-fold: every fold refits imputer, encoders and scaler on its training part and
+  // augments (if enabled) only that part. The fitted state from before the loop is restored at the end,
+  // also when the consumer stops early.
+  *folds({ k = 5, augment = null } = {}) {
+    if (!this.raw?.length) throw new Error('Dataset not loaded.');
+    if (!this.labelKey) throw new Error('Select a target column in the column mapping first.');
+    const K = Math.max(2, k|0);
+    const saved = this.isFitted() ? this.exportState() : null, savedAug = this._augCfg, savedQuality = this.quality;
+    try {
+      this._augCfg = resamplingConfig(augment);
+      const data = this.#cleanDataset();
+      const posIdx = [], negIdx = [];
+      data.labels.forEach((y, i) => (y === 1 ? posIdx : negIdx).push(i));
+      if (posIdx.length < K) throw new Error(`Not enough positive rows (${posIdx.length}) for ${K} folds.`);
+      this.#shuffle(posIdx); this.#shuffle(negIdx);
+      const foldOf = new Array(data.labels.length);
+      posIdx.forEach((i, n) => foldOf[i] = n % K); negIdx.forEach((i, n) => foldOf[i] = n % K);
+
+      for (let f = 0; f < K; f++) {
+        const trainIdx = [], testIdx = [];
+        foldOf.forEach((g, i) => (g === f ? testIdx : trainIdx).push(i));
+        yield { fold: f, k: K, ...this.#buildSplit(data, trainIdx, testIdx) };
+      }
+    } finally {
+      this._augCfg = savedAug; this.quality = savedQuality;
+      if (saved) this.importState(saved); else { this.scaler = null; this.featureOrder = []; }
+    }
+  }
 
-    // Build feature order: base numerics + engineered + one-hot categoricals
-    this.featureOrder = [];
-    this.featureOrder.push(...this.baseNum);
-    this.featureOrder.push(...this.engineeredSpec.map(f=>f.name));
+  // Train/validation tensors for tuning: the test rows prepareTensors() holds out (same seeded split) are
+  // left out entirely, the rest is split stratified into train/val and fitted on train. Fitted state is restored.
+  tuningSplit({ testSplit = 0.2, valSplit = 0.2, augment = null } = {}) {
+    if (!this.raw?.length) throw new Error('Dataset not loaded.');
+    if (!this.labelKey) throw new Error('Select a target column in the column mapping first.');
+    const saved = this.isFitted() ? this.exportState() : null, savedAug = this._augCfg, savedQuality = this.quality;
+    try {
+      this._augCfg = resamplingConfig(augment);
+      const data = this.#cleanDataset();
+      const { trainIdx } = this.#stratifiedSplit(data.labels, testSplit);
+      const inner = this.#stratifiedSplit(trainIdx.map(i => data.labels[i]), valSplit);
+      return this.#buildSplit(data, inner.trainIdx.map(j => trainIdx[j]), inner.testIdx.map(j => trainIdx[j]));
+    } finally {
+      this._augCfg = savedAug; this.quality = savedQuality;
+      if (saved) this.importState(saved); else { this.scaler = null; this.featureOrder = []; }
+    }
+  }
+
+  featureReport() {
+    return {
+      kept: this.kept.slice(),
+      selection: this.selection ? JSON.parse(JSON.stringify(this.selection)) : null,
+      dropped: this.dropped.slice(),
+      created: this.created.slice(),
+      disabled: this.engineeredSpec.filter(x=>!x.enabled).map(x=>x.name),
+      createdDescriptions: Object.fromEntries(this.engineeredSpec.filter(x=>x.enabled).map(x=>[x.name, x.desc || x.expr]))
+    };
+  }
+
+  qualityReport() { return this.quality ? JSON.parse(JSON.stringify(this.quality)) : null; }
+
+  // Seed of the split and fold shuffles.
+  setSeed(seed) {
+    const s = Number(seed);
+    if (!Number.isInteger(s)) throw new Error(`Seed must be an integer, got: ${seed}`);
+    this.seed = s;
+  }
+
+  // Feature selection for the next fits (prepareTensors, folds, tuningSplit); null or { enabled: false } = off.
+  setSelection(cfg) {
+    this.selectionCfg = selectionConfig(cfg);
+    return this;
+  }
+
+  // columns: protected attributes; exclude: leave them (and features derived from them) out of the next fit.
+  setSensitive({ columns = this.sensitive, exclude = this.excludeSensitive } = {}) {
+    if (!Array.isArray(columns)) throw new Error('Sensitive attributes must be a list of column names.');
+    this.sensitive = columns.map(c => String(c).trim()).filter(Boolean);
+    this.excludeSensitive = !!exclude;
+    return this;
+  }
+
+  // Rule: { column:'Age' } (exact name) or { match:'regex' } over names, with optional min/max.
+  setRules(rules) {
+    if (!Array.isArray(rules)) throw new Error('Rules must be an array of {match|column, min?, max?}.');
+    const norm = [], compiled = [];
+    rules.forEach((r, i) => {
+      if (!r?.column && !r?.match) throw new Error(`Rule ${i+1}: needs "match" or "column".`);
+      let re = null;
+      if (!r.column) { try { re = new RegExp(r.match); } catch (_e) { throw new Error(`Rule ${i+1}: invalid regex ${r.match}`); } }
+      const item = r.column ? { column: String(r.column) } : { match: String(r.match) };
+      for (const k of ['min','max']) {
+        if (r[k] === undefined || r[k] === null) continue;
+        if (!Number.isFinite(Number(r[k]))) throw new Error(`Rule ${i+1}: ${k} must be a number.`);
+        item[k] = Number(r[k]);
+      }
+      norm.push(item);
+      compiled.push({ test: re ? (c) => re.test(c) : (c) => c === item.column, min: item.min ?? -Infinity, max: item.max ?? Infinity });
+    });
+    this.rules = norm;
+    this._rules = compiled;
+    return this;
+  }
+
+  // Valid range of a numeric column under the first matching rule (unbounded without one).
+  rangeOf(column) { const q = this._rules.find(r => r.test(column)); return { min: q?.min ?? -Infinity, max: q?.max ?? Infinity }; }
+
+  // ---------- Engineered features (expr.js) ----------
+  // Validates and compiles the whole spec before replacing the current one; takes effect on next prepare.
+  setEngineeredSpec(spec) {
+    if (!Array.isArray(spec)) throw new Error('Engineered spec must be an array of {name, expr, enabled}.');
+    const seen = new Set(), norm = [], compiled = [];
+    for (const f of spec) {
+      const name = String(f?.name ?? '').trim();
+      if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) throw new Error(`Invalid engineered feature name: "${name}"`);
+      if (seen.has(name) || this.baseNum.includes(name)) throw new Error(`Duplicate feature name: ${name}`);
+      seen.add(name);
+      let c; try { c = compileExpr(String(f.expr ?? '')); } catch (e) { throw new Error(`${name}: ${e.message}`); }
+      const item = { name, expr: String(f.expr), enabled: f.enabled !== false };
+      if (f.desc) item.desc = String(f.desc);
+      norm.push(item);
+      if (item.enabled) compiled.push({ name, columns: c.columns, evaluate: c.evaluate });
+    }
+    this.engineeredSpec = norm;
+    this._engineered = compiled;
+    this.created = compiled.map(f=>f.name);
+    return this;
+  }
+
+  // featureOrder indices grouped by source column: one-hot blocks collapse back into their categorical
+  // (JobRole__Sales Executive, JobRole__Manager, … -> JobRole). Used by explain.js.
+  featureGroups() {
+    const groups = [], byCat = new Map();
+    this.featureOrder.forEach((f, j) => {
+      const cat = this.catCols.find(c => f.startsWith(`${c}__`) && Object.hasOwn(this.encoders[c] || {}, f.slice(c.length + 2)));
+      if (!cat) return groups.push({ name: f, kind: 'numeric', idx: [j] });
+      if (!byCat.has(cat)) { const g = { name: cat, kind: 'categorical', idx: [], values: [] }; byCat.set(cat, g); groups.push(g); }
+      byCat.get(cat).idx.push(j); byCat.get(cat).values.push(f.slice(cat.length + 2));
+    });
+    return groups;
+  }
+
+  // Whether the fitted model reads column c, directly or through an engineered feature.
+  usesColumn(c) { return this.featureOrder.some(f => this.#builtFrom(f, [c])); }
+
+  // ---------- Persisted preprocessing (see bundle.js) ----------
+  isFitted() { return !!this.scaler && this.featureOrder.length === this.scaler.mean.length; }
+
+  exportState() {
+    if (!this.isFitted()) throw new Error('Preprocessing is not fitted. Prepare dataset first.');
+    const clone = (o) => JSON.parse(JSON.stringify(o));
+    return clone({
+      labelKey: this.labelKey, attritionMap: this.attritionMap, positiveLabel: this.positiveLabel,
+      baseNum: this.baseNum, catCols: this.catCols, dropped: this.dropped,
+      engineeredSpec: this.engineeredSpec, metaFields: this.metaFields,
+      rules: this.rules, imputer: this.imputer, indicators: this.indicators,
+      encoders: this.encoders, featureOrder: this.featureOrder, scaler: this.scaler, panel: this.panel,
+      excluded: this.excluded, profile: this.profile, selection: this.selection
+    });
+  }
+
+  importState(s) {
+    if (!s?.scaler || !Array.isArray(s.featureOrder)) throw new Error('Invalid preprocessing state.');
+    const clone = (o) => JSON.parse(JSON.stringify(o));
+    this.imputer = {}; this.indicators = []; this.panel = s.panel ? clone(s.panel) : null;
+    this.excluded = []; this.profile = null; this.selection = null;
+    for (const k of ['labelKey','attritionMap','positiveLabel','baseNum','catCols','dropped','metaFields','imputer','indicators','encoders','featureOrder','scaler','excluded','profile','selection'])
+      if (s[k] !== undefined) this[k] = clone(s[k]);
+    if (s.rules) this.setRules(s.rules);
+    // bundles written before expressions existed carry only {name, desc}: take the default expr by name
+    if (s.engineeredSpec) this.setEngineeredSpec(s.engineeredSpec.map(f => f.expr ? f : { ...DEFAULT_ENGINEERED.find(d=>d.name===f.name), ...f }));
+    this.kept = this.#keptColumns();
+    this.#indexFeatures();
+    this.log(`Restored preprocessing: ${this.featureOrder.length} features, ${this.catCols.length} encoders.`);
+    return this;
+  }
+
+  // ---------- Scoring (applies fitted preprocessing, never refits) ----------
+  readFile(file) { return parseCSVFile(file); }
+
+  // Values run through the same validation + fitted imputer as training (whole missing columns included);
+  // unseen categoricals get an all-zero one-hot block.
+  transform(rows) {
+    if (!this.isFitted()) throw new Error('Preprocessing is not fitted. Prepare dataset or load a model bundle first.');
+    if (this.#indexFeatures().some(j => j < 0))
+      throw new Error('Engineered features changed since fitting. Prepare dataset again.');
+    const present = new Set(rows.flatMap(r => Object.keys(r)));
+    const unused = (c) => !this.usesColumn(c);   // excluded sensitive or deselected inputs
+    const missingNum = this.baseNum.filter(c => !present.has(c) && !unused(c));
+    const missingCat = this.catCols.filter(c => !present.has(c) && !unused(c));
+    const unseen = {};   // { col: { value: count } }
+    const stats = { missing: {}, invalid: {} };
+
+    const X = [], meta = [];
+    for (const src of rows) {
+      const r = this.#impute(this.#clean(src, stats));
+      for (const c of this.catCols) {
+        if (!present.has(c) || unused(c)) continue;
+        const v = r[c];
+        if (!Object.hasOwn(this.encoders[c], v)) { unseen[c] ??= {}; unseen[c][v] = (unseen[c][v] || 0) + 1; }
+      }
+      X.push(this.#rowToFeatures(r).v);
+      const m = {}; for (const f of this.metaFields) m[f] = src[f] ?? ''; meta.push(m);
+    }
+
+    if (missingNum.length || missingCat.length) this.log(`Scoring: missing columns imputed — ${[...missingNum, ...missingCat].join(', ')}`);
+    for (const [c, vals] of Object.entries(unseen)) this.log(`Scoring: unseen ${c} values treated as unknown — ${Object.keys(vals).join(', ')}`);
+    const report = { rows: rows.length, missingNum, missingCat, unseen, invalid: stats.invalid };
+    if (this.panel) return { ...this.#latestSequences(rows, this.#applyScaler(X), meta), report };
+    return { X: this.#applyScaler(X), meta, report };
+  }
+
+  // 0/1 labels of labelled rows under the fitted target mapping (single-snapshot data; transform() keeps row order).
+  labelsOf(rows) {
+    if (!this.labelKey) throw new Error('The fitted preprocessing has no target column.');
+    if (this.panel) throw new Error('Panel labels depend on later snapshots: evaluate panel models on their prepared test split.');
+    const bad = rows.findIndex(r => !Object.hasOwn(this.attritionMap, String(r[this.labelKey] ?? '').trim()));
+    if (bad >= 0) throw new Error(`Row ${bad + 1}: ${this.labelKey} "${rows[bad][this.labelKey] ?? ''}" is not one of ${Object.keys(this.attritionMap).join(' / ')}.`);
+    return rows.map(r => this.#label(r));
+  }
+
+  // Attribute rows (raw strings or typed values) -> scaled feature rows through the same validation, imputer,
+  // engineered features and scaler as training; one row each, no report (what-if edits score many of them).
+  encode(rows) {
+    if (!this.isFitted()) throw new Error('Preprocessing is not fitted. Prepare dataset or load a model bundle first.');
+    return this.#applyScaler(rows.map(r => this.#rowToFeatures(this.#impute(this.#clean(r))).v));
+  }
+
+  // Panel scoring: one sequence per employee, ending at their latest snapshot.
+  #latestSequences(rows, X, meta) {
+    const { idColumn, dateColumn } = this.panel;
+    const byEmp = new Map();
+    rows.forEach((r, i) => {
+      const id = String(r[idColumn] ?? '').trim(), month = monthIndex(r[dateColumn]);
+      if (id === '' || month === null) throw new Error(`Scoring rows need ${idColumn} and a ${dateColumn} snapshot date (row ${i + 1}).`);
+      if (!byEmp.has(id)) byEmp.set(id, []);
+      byEmp.get(id).push({ i, month });
+    });
+    const seqs = [], out = [];
+    for (const snaps of byEmp.values()) {
+      snaps.sort((a,b) => a.month - b.month);
+      seqs.push(this.#padSequence(snaps.map(s => X[s.i]))); out.push(meta[snaps.at(-1).i]);
+    }
+    return { X: seqs, meta: out };
+  }
+
+  // ---------- helpers ----------
+  #label(r) { return this.attritionMap[String(r[this.labelKey] ?? '').trim()] ?? 0; }
+  #engineeredColumns() { return this._engineered.flatMap(f=>f.columns); }
+
+  // Raw rows -> typed rows (numbers / strings, null = missing or invalid) + quality report.
+  #cleanDataset() {
+    if (this.panel) return this.#cleanPanel();
+    const stats = { missing: {}, invalid: {} };
+    const seen = new Map(), dupValues = new Set(); let dupCount = 0;
+    const rows = [], labels = [], meta = [];
+    this.raw.forEach((r, i) => {
+      if (this.idColumn) {
+        const id = String(r[this.idColumn] ?? '').trim();
+        if (id !== '' && seen.has(id)) { dupCount++; dupValues.add(id); if (this.dropDuplicates) return; }
+        seen.set(id, i);
+      }
+      rows.push(this.#clean(r, stats)); labels.push(this.#label(r)); meta.push(this.metaRows[i]);
+    });
+
+    this.#setQuality(stats, rows.length, { column: this.idColumn, count: dupCount, values: dupValues });
+    return { rows, labels, meta };
+  }
+
+  // Panel rows -> typed snapshot rows + units (one per employee) holding their labelled sequences.
+  // A sample is anchored at every snapshot before the exit; its label is 1 when the exit (first snapshot
+  // with the positive target) is at most `horizon` months later. Anchors whose horizon reaches past the
+  // employee's last snapshot without an exit are censored (outcome unknown) and skipped.
+  #cleanPanel() {
+    const { idColumn, dateColumn, horizon, seqLen } = this.panel;
+    const stats = { missing: {}, invalid: {} };
+    const seen = new Set(), dupValues = new Set(); let dupCount = 0;
+    const byEmp = new Map(), rows = [], meta = [];
+    this.raw.forEach((r, i) => {
+      const id = String(r[idColumn] ?? '').trim(), month = monthIndex(r[dateColumn]);
+      if (id === '' || month === null) return;
+      const key = `${id} @ ${r[dateColumn]}`;
+      if (seen.has(key)) { dupCount++; dupValues.add(key); if (this.dropDuplicates) return; }
+      seen.add(key);
+      if (!byEmp.has(id)) byEmp.set(id, []);
+      byEmp.get(id).push({ k: rows.length, month, y: this.#label(r) });
+      rows.push(this.#clean(r, stats)); meta.push(this.metaRows[i]);
+    });
+
+    const units = [], labels = []; let censored = 0;
+    for (const snaps of byEmp.values()) {
+      snaps.sort((a,b) => a.month - b.month);
+      const exit = snaps.find(s => s.y === 1)?.month ?? null, last = snaps.at(-1).month;
+      const samples = [];
+      snaps.forEach((s, t) => {
+        if (exit !== null && s.month >= exit) return;
+        if (exit === null && last - s.month < horizon) { censored++; return; }
+        const label = exit !== null && exit - s.month <= horizon ? 1 : 0;
+        samples.push({ seq: snaps.slice(Math.max(0, t - seqLen + 1), t + 1).map(x => x.k), label, meta: meta[s.k] });
+      });
+      if (samples.length) { units.push(samples); labels.push(samples.some(x => x.label) ? 1 : 0); }
+    }
+    if (!units.length) throw new Error(`No labelled sequences: every snapshot is within ${horizon} months of the data end.`);
+
+    this.#setQuality(stats, rows.length, { column: `${idColumn} + ${dateColumn}`, count: dupCount, values: dupValues });
+    const n = units.reduce((a, u) => a + u.length, 0), pos = units.reduce((a, u) => a + u.filter(x => x.label).length, 0);
+    this.log(`Panel: ${byEmp.size} employees, ${n} sequences (${(100 * pos / n).toFixed(1)}% leave within ${horizon} months), ${censored} censored anchors skipped.`);
+    return { panel: true, rows, labels, units };
+  }
+
+  #setQuality(stats, kept, dup) {
+    const dupCount = dup.count;
+    this.quality = {
+      rows: this.raw.length, kept,
+      duplicates: { column: dup.column, count: dupCount, dropped: this.dropDuplicates ? dupCount : 0, values: [...dup.values].slice(0, 20) },
+      missing: stats.missing,
+      invalid: Object.fromEntries(Object.entries(stats.invalid).map(([c, n]) => {
+        const r = this._rules.find(x => x.test(c));
+        return [c, { count: n, range: `${Number.isFinite(r.min) ? r.min : '−∞'}..${Number.isFinite(r.max) ? r.max : '∞'}` }];
+      })),
+      imputed: {}, indicators: []
+    };
+    if (dupCount) this.log(`Duplicate ${dup.column}: ${dupCount} rows${this.dropDuplicates ? ' dropped (kept first)' : ''}.`);
+    const nInvalid = Object.values(stats.invalid).reduce((a,b)=>a+b, 0);
+    if (nInvalid) this.log(`Out-of-range values: ${nInvalid} (treated as missing).`);
+  }
+
+  #clean(r, stats) {
+    const out = { ...r };
+    const bump = (m, c) => { if (stats) m[c] = (m[c] || 0) + 1; };
+    for (const c of this.baseNum) {
+      const s = String(r[c] ?? '').trim();
+      let x = (s === '' || NA.test(s)) ? null : Number(s);
+      if (x !== null && !Number.isFinite(x)) x = null;
+      if (x === null) bump(stats?.missing, c);
+      else { const rule = this._rules.find(q => q.test(c)); if (rule && (x < rule.min || x > rule.max)) { bump(stats?.invalid, c); x = null; } }
+      out[c] = x;
+    }
     for (const c of this.catCols) {
-      const enc = this.encoders[c];
-      for (const v of Object.keys(enc)) this.featureOrder.push(`${c}__${v}`);
+      const s = String(r[c] ?? '').trim();
+      if (s === '' || NA.test(s)) { out[c] = null; bump(stats?.missing, c); } else out[c] = s;
     }
+    return out;
+  }
 
-    // feats + labels
-    const feats = [];
-    const labels = [];
-    for (const r of this.raw) {
-      const { v, y } = this.#rowToFeatures(r);
-      feats.push(v); labels.push(y);
+  // Mean/median apply to numerics; mode works for both; constant uses spec.value (0 / 'Missing' by default).
+  #fitImputer(rows) {
+    this.imputer = {};
+    for (const c of [...this.baseNum, ...this.catCols]) {
+      const isNum = this.baseNum.includes(c), spec = this.imputeSpec[c] || {};
+      let strategy = spec.strategy || (isNum ? 'median' : 'mode');
+      if (!isNum && (strategy === 'mean' || strategy === 'median')) strategy = 'mode';
+      const vals = rows.map(r => r[c]).filter(v => v !== null && v !== undefined);
+      let value;
+      if (strategy === 'constant') value = isNum ? (Number(spec.value) || 0) : String(spec.value ?? 'Missing');
+      else if (strategy === 'mean') value = vals.reduce((a,b)=>a+b, 0) / Math.max(1, vals.length);
+      else if (strategy === 'median') { const v = vals.slice().sort((a,b)=>a-b), m = v.length >> 1; value = v.length ? (v.length % 2 ? v[m] : (v[m-1] + v[m]) / 2) : 0; }
+      else { const cnt = new Map(); for (const v of vals) cnt.set(v, (cnt.get(v) || 0) + 1); value = [...cnt.entries()].sort((a,b)=>b[1]-a[1])[0]?.[0] ?? (isNum ? 0 : 'Missing'); }
+      this.imputer[c] = { strategy, value, indicator: !!spec.indicator };
     }
+    this.indicators = Object.entries(this.imputer).filter(([,v]) => v.indicator).map(([c]) => `${c}__missing`);
+  }
 
-    // stratified split
-    const posIdx = [], negIdx = [];
-    for (let i=0;i<feats.length;i++) (labels[i]===1 ? posIdx : negIdx).push(i);
-    const shuffle = (arr) => { let seed=1337; const rand=()=> (seed=(seed*1664525+1013904223)%2**32)/2**32;
-      for (let i=arr.length-1;i>0;i--){ const j=Math.floor(rand()*(i+1)); [arr[i],arr[j]]=[arr[j],arr[i]]; } return arr; };
-    shuffle(posIdx); shuffle(negIdx);
-    const nTest = Math.max(1, Math.floor(feats.length * Math.min(Math.max(testSplit,0.05),0.9)));
-    let testPos = Math.round(nTest * (posIdx.length / Math.max(1, feats.length)));
-    testPos = Math.max(0, Math.min(testPos, posIdx.length)); let testNeg = Math.min(nTest - testPos, negIdx.length);
-    const testIdx  = posIdx.slice(0, testPos).concat(negIdx.slice(0, testNeg));
-    const trainIdx = posIdx.slice(testPos).concat(negIdx.slice(testNeg));
+  #impute(r) {
+    const out = { ...r };
+    for (const [c, imp] of Object.entries(this.imputer)) {
+      const miss = out[c] === null || out[c] === undefined;
+      if (miss) out[c] = imp.value;
+      if (imp.indicator) out[`${c}__missing`] = miss ? 1 : 0;
+    }
+    return out;
+  }
+
+  // Train-only fit: imputer -> categorical encoders -> feature order.
+  #fitPipeline(trainRows) {
+    this.#fitImputer(trainRows);
+    this.#fitCategoricals(trainRows.map(r => this.#impute(r)));
+    const absent = [...new Set(this.#engineeredColumns())].filter(c => !this.headers.includes(c));
+    if (absent.length) this.log(`Engineered features reference missing columns (read as 0): ${absent.join(', ')}`);
+
+    const full = this.#fullFeatureOrder();
+    this.excluded = this.excludeSensitive ? full.filter(f => this.#isSensitiveFeature(f)) : [];
+    this.featureOrder = full.filter(f => !this.excluded.includes(f));
+    this.#indexFeatures();
+    if (this.excluded.length) this.log(`Sensitive attributes excluded from inputs: ${this.excluded.join(', ')}`);
+    this.profile = buildProfile(this.#columnValues(trainRows, { skipExcluded: true }));
+    if (this.quality) {
+      this.quality.imputed = Object.fromEntries(Object.entries(this.imputer).map(([c, v]) => [c, { strategy: v.strategy, value: v.value }]));
+      this.quality.indicators = this.indicators.slice();
+    }
+  }
+
+  // Feature vector layout: base numerics + engineered + missing flags + one-hot categoricals
+  #fullFeatureOrder() {
+    const order = [...this.baseNum, ...this.created, ...this.indicators];
+    for (const c of this.catCols) for (const v of Object.keys(this.encoders[c] || {})) order.push(`${c}__${v}`);
+    return order;
+  }
+
+  #isSensitiveFeature(f) { return this.#builtFrom(f, this.sensitive); }
+
+  // Input columns for the report: without the sources the last feature selection rejected entirely.
+  #keptColumns() {
+    const rejected = new Set(this.selection?.rejected.map(r => r.feature));
+    return [...this.baseNum, ...this.created, ...this.catCols].filter(c => !rejected.has(c));
+  }
+
+  // Feature selection (selection.js) on the train rows of this fit; narrows featureOrder.
+  #selectFeatures(rows, labels) {
+    this.selection = null;
+    if (!this.selectionCfg) return;
+    const before = this.featureOrder.length;
+    this.selection = selectFeatures({ X: this.#featurize(rows), y: labels, names: this.featureOrder, groups: this.featureGroups() }, this.selectionCfg, { seed: this.seed });
+    this.featureOrder = this.selection.kept.slice();
+    this.#indexFeatures();
+    const by = (step) => this.selection.rejected.filter(r => r.step === step).length;
+    this.log(`Feature selection: ${this.featureOrder.length} of ${before} features kept (rejected: ${by('variance')} low variance, ` +
+      `${by('correlation')} correlated, ${by('ranking')} by ranking, ${by('rfe')} by elimination).`);
+  }
+
+  // f is one of `columns`, their one-hot column or missing flag, or an engineered feature reading one of them.
+  #builtFrom(f, columns) {
+    if (columns.includes(f) || columns.some(c => f.startsWith(`${c}__`))) return true;
+    return this._engineered.some(e => e.name === f && e.columns.some(c => columns.includes(c)));
+  }
+
+  // featureOrder positions in the full vector (-1 = no longer produced); identity is stored as null.
+  #indexFeatures() {
+    const full = this.#fullFeatureOrder(), keep = this.featureOrder.map(f => full.indexOf(f));
+    this._keep = keep.length === full.length && keep.every((j, i) => j === i) ? null : keep;
+    return keep;
+  }
+
+  #featurize(cleanRows) { return cleanRows.map(r => this.#rowToFeatures(this.#impute(r)).v); }
+
+  // Fit on trainIdx rows, transform both sides, scale, augment train; returns tensors.
+  // In panel mode the indices are employees (units) and x tensors are [N, seqLen, F].
+  // calIdx (optional) gets the train-fitted transform like test and comes back as xCal/yCal.
+  // Train rows are reordered with #spreadClasses: the stratified split lists positives first, and fit()'s
+  // validationSplit holds out the last rows, which would otherwise be negatives only.
+  #buildSplit(data, trainIdx, testIdx, calIdx = []) {
+    trainIdx = this.#spreadClasses(trainIdx, data.panel ? (u => data.units[u].some(s => s.label === 1)) : (i => data.labels[i] === 1));
+    if (data.panel) return this.#buildPanelSplit(data, trainIdx, testIdx, calIdx);
+    const { rows, labels, meta } = data;
+    this.#fitPipeline(trainIdx.map(i => rows[i]));
+    this.#selectFeatures(trainIdx.map(i => rows[i]), trainIdx.map(i => labels[i]));
+    const feats = this.#featurize(rows);
 
     let Xtr = trainIdx.map(i => feats[i]);
     let ytr = trainIdx.map(i => [labels[i]]);
@@ -163,17 +817,14 @@ export class DataLoader {
     let XtrS = this.#applyScaler(Xtr);
     const XteS = this.#applyScaler(Xte);
 
-    // optional augmentation (after scaling)
-    if (this._augCfg.enable) {
-      const numDim = this.baseNum.length + this.engineeredSpec.length;
-      const { X, Y } = this.#augmentPositivesOnScaled(
-        XtrS, ytr,
-        numDim,
-        Math.min(Math.max(Number(this._augCfg.targetRatio) || 0.5, 0.2), 0.8),
-        Math.min(Math.max(Number(this._augCfg.noiseStd) || 0.05, 0.0), 0.2)
-      );
+    // optional resampling (after scaling)
+    if (this._augCfg.strategy !== 'none') {
+      const { X, Y, report } = resample(XtrS, ytr, this._augCfg, this.#resamplingLayout());
       XtrS = X; ytr = Y;
-      this.log(`Augmented positives to target ratio ${this._augCfg.targetRatio}; train rows: ${XtrS.length}`);
+      const { before: b, after: a } = report;
+      this.log(`Resampled train (${report.strategy}, target ratio ${this._augCfg.targetRatio}, seed ${this._augCfg.seed}): ` +
+        `${b.pos}/${b.neg} -> ${a.pos}/${a.neg} positives/negatives` +
+        (report.danger !== undefined ? `; ${report.danger} borderline seeds` : ''));
     }
 
     const xTrain = tf.tensor2d(XtrS);
@@ -181,31 +832,61 @@ export class DataLoader {
     const xTest  = tf.tensor2d(XteS);
     const yTest  = tf.tensor2d(yte);
 
-    const testMeta = testIdx.map(i => this.metaRows[i]);
-    // Prepare simple high-level lists for report (not listing each one-hot)
-    this.kept = [...this.baseNum, ...this.created, ...this.catCols];
-
-    return { xTrain, yTrain, xTest, yTest, testMeta,
+    const testMeta = testIdx.map(i => meta[i]);
+    const cal = calIdx.length ? { xCal: tf.tensor2d(this.#applyScaler(calIdx.map(i => feats[i]))), yCal: tf.tensor2d(calIdx.map(i => [labels[i]])) } : {};
+    return { xTrain, yTrain, xTest, yTest, testMeta, testRows: testIdx.map(i => rows[i]), ...cal,
+             trainMeta: trainIdx.map(i => meta[i]), trainRows: trainIdx.map(i => rows[i]),
+             calMeta: calIdx.map(i => meta[i]), calRows: calIdx.map(i => rows[i]),
              attritionMap: this.attritionMap, featureOrder: this.featureOrder.slice() };
   }
 
-  featureReport() {
+  #buildPanelSplit({ rows, units }, trainIdx, testIdx, calIdx) {
+    const train = trainIdx.flatMap(u => units[u]), test = testIdx.flatMap(u => units[u]), cal = calIdx.flatMap(u => units[u]);
+    const trainRows = [...new Set(train.flatMap(s => s.seq))];
+    this.#fitPipeline(trainRows.map(k => rows[k]));
+    this.#selectFeatures(train.map(s => rows[s.seq.at(-1)]), train.map(s => s.label));   // anchor snapshots
+    const feats = this.#featurize(rows);
+    this.#fitScaler(trainRows.map(k => feats[k]));
+    const scaled = this.#applyScaler(feats);
+    if (this._augCfg.strategy !== 'none') this.log('Resampling applies to single-snapshot data only; skipped for panel sequences.');
+
+    const seqs = (samples) => samples.map(s => this.#padSequence(s.seq.map(k => scaled[k])));
     return {
-      kept: this.kept.slice(),
-      dropped: this.dropped.slice(),
-      created: this.created.slice(),
-      createdDescriptions: Object.fromEntries(this.engineeredSpec.map(x=>[x.name, x.desc]))
+      xTrain: tf.tensor3d(seqs(train)), yTrain: tf.tensor2d(train.map(s => [s.label])),
+      xTest: tf.tensor3d(seqs(test)), yTest: tf.tensor2d(test.map(s => [s.label])),
+      testMeta: test.map(s => s.meta), testRows: test.map(s => rows[s.seq.at(-1)]),   // anchor snapshot
+      ...(cal.length ? { xCal: tf.tensor3d(seqs(cal)), yCal: tf.tensor2d(cal.map(s => [s.label])) } : {}),
+      attritionMap: this.attritionMap, featureOrder: this.featureOrder.slice()
     };
   }
 
-  // ---------- helpers ----------
-  #readFileText(file) { return new Promise((res,rej)=>{ const r=new FileReader(); r.onerror=()=>rej(new Error('Failed to read file.')); r.onload=()=>res(String(r.result)); r.readAsText(file); }); }
-  #parseCSV(text) { const lines=text.replace(/\r\n/g,'\n').replace(/\r/g,'\n').split('\n').filter(Boolean);
-    if (lines.length<2) throw new Error('CSV has no data.');
-    const headers=lines[0].split(',').map(h=>h.trim()); const rows=[];
-    for (let i=1;i<lines.length;i++){ const parts=lines[i].split(','); if (parts.length!==headers.length) continue;
-      const obj={}; for (let j=0;j<headers.length;j++) obj[headers[j]]=parts[j].trim(); rows.push(obj); }
-    return { headers, rows }; }
+  // Oldest snapshots first, front-padded with all-zero steps (masked by the GRU) up to seqLen.
+  #padSequence(steps) {
+    const T = this.panel.seqLen, pad = new Array(this.featureOrder.length).fill(0);
+    return [...Array.from({ length: Math.max(0, T - steps.length) }, () => pad), ...steps.slice(-T)];
+  }
+
+  #shuffle(arr) { return shuffleInPlace(arr, rng(this.seed)); }
+
+  // Seeded shuffle that spreads each class evenly over the order, so any tail slice has about the base rate.
+  #spreadClasses(idx, isPositive) {
+    const rand = rng(this.seed), byClass = [[], []];
+    shuffleInPlace(idx.slice(), rand).forEach(i => byClass[isPositive(i) ? 1 : 0].push(i));
+    return byClass.flatMap(g => g.map((i, k) => ({ i, key: (k + rand()) / g.length })))
+      .sort((a, b) => a.key - b.key).map(o => o.i);
+  }
+
+  #stratifiedSplit(labels, testSplit) {
+    const posIdx = [], negIdx = [];
+    for (let i=0;i<labels.length;i++) (labels[i]===1 ? posIdx : negIdx).push(i);
+    this.#shuffle(posIdx); this.#shuffle(negIdx);
+    const nTest = Math.max(1, Math.floor(labels.length * Math.min(Math.max(testSplit,0.05),0.9)));
+    let testPos = Math.round(nTest * (posIdx.length / Math.max(1, labels.length)));
+    testPos = Math.max(0, Math.min(testPos, posIdx.length)); let testNeg = Math.min(nTest - testPos, negIdx.length);
+    const testIdx  = posIdx.slice(0, testPos).concat(negIdx.slice(0, testNeg));
+    const trainIdx = posIdx.slice(testPos).concat(negIdx.slice(testNeg));
+    return { trainIdx, testIdx };
+  }
 
   #fitCategoricals(rows) {
     this.encoders = {};
@@ -223,27 +904,10 @@ export class DataLoader {
       const v = Number(r[col] ?? 0);
       feat.push(Number.isFinite(v) ? v : 0);
     }
-    // engineered
-    const YA = Math.max(1, Number(r['YearsAtCompany'] ?? 0));
-    const TW = Math.max(1, Number(r['TotalWorkingYears'] ?? 0));
-    const YP = Number(r['YearsSinceLastPromotion'] ?? 0);
-    const JL = Math.max(1, Number(r['JobLevel'] ?? 1));
-    const MI = Number(r['MonthlyIncome'] ?? 0);
-    const JS = Number(r['JobSatisfaction'] ?? 0);
-    const DF = Number(r['DistanceFromHome'] ?? 0);
-    const OT = String(r['OverTime'] ?? '') === 'Yes' ? 1 : 0;
-    const BT = String(r['BusinessTravel'] ?? '');
-    const MS = String(r['MaritalStatus'] ?? '');
-
-    const TenureRatio      = (Number(r['YearsAtCompany'] ?? 0)) / TW;
-    const NoPromotionRatio = YP / YA;
-    const IncomePerLevel   = MI / JL;
-    const OvertimeStress   = OT * (4 - JS);
-    const TravelFreq       = (BT === 'Travel_Frequently') ? 1 : 0;
-    const IsSingle         = (MS === 'Single') ? 1 : 0;
-    const LongDistance     = DF > 20 ? 1 : 0;
-
-    feat.push(TenureRatio, NoPromotionRatio, IncomePerLevel, OvertimeStress, TravelFreq, IsSingle, LongDistance);
+    // engineered (compiled expressions, in spec order)
+    for (const f of this._engineered) feat.push(f.evaluate(r));
+    // missing-value flags
+    for (const name of this.indicators) feat.push(r[name] ?? 0);
 
     // one-hot categoricals
     for (const c of this.catCols) {
@@ -254,8 +918,7 @@ export class DataLoader {
       feat.push(...vec);
     }
 
-    const y = this.attritionMap[String(r[this.labelKey] || 'No')] ?? 0;
-    return { v: feat, y };
+    return { v: this._keep ? this._keep.map(j => feat[j]) : feat, y: this.#label(r) };
   }
 
   #fitScaler(X) {
@@ -266,23 +929,13 @@ export class DataLoader {
   }
   #applyScaler(X) { const {mean,std}=this.scaler; return X.map(row=>row.map((v,j)=>(v-mean[j])/std[j])); }
 
-  #pearson(x, y) {
-    const n=Math.min(x.length,y.length); let sx=0,sy=0,sxx=0,syy=0,sxy=0;
-    for (let i=0;i<n;i++){ const xi=+x[i]; const yi=+y[i]; sx+=xi; sy+=yi; sxx+=xi*xi; syy+=yi*yi; sxy+=xi*yi; }
-    const cov = sxy/n - (sx/n)*(sy/n), vx=sxx/n - (sx/n)**2, vy=syy/n - (sy/n)**2;
-    return cov/Math.sqrt(Math.max(vx*vy,1e-12));
-  }
-
-  #augmentPositivesOnScaled(Xtr, ytr, numDim, targetRatio=0.5, noiseStd=0.05) {
-    const posIdx=[], negIdx=[]; for (let i=0;i<ytr.length;i++) (ytr[i][0]===1?posIdx:negIdx).push(i);
-    const P=posIdx.length, N=negIdx.length; if (P===0) return {X:Xtr, Y:ytr};
-    const wantPos = Math.floor((targetRatio * N) / (1 - targetRatio));
-    const need = Math.max(0, wantPos - P); if (need<=0) return {X:Xtr, Y:ytr};
-    const outX=Xtr.slice(), outY=ytr.slice();
-    const gauss=()=>{ let u=0,v=0; while(u===0)u=Math.random(); while(v===0)v=Math.random(); return Math.sqrt(-2*Math.log(u))*Math.cos(2*Math.PI*v); };
-    for (let k=0;k<need;k++){ const j=posIdx[k%P]; const base=Xtr[j]; const clone=base.slice();
-      for (let d=0; d<numDim; d++) clone[d]=base[d]+gauss()*noiseStd;
-      outX.push(clone); outY.push([1]); }
-    return { X: outX, Y: outY };
+  // Feature columns by how resampling may treat them: continuous ones are interpolated, each missing flag
+  // and each one-hot group is a block copied whole from one parent.
+  #resamplingLayout() {
+    const continuous = [], blocks = [];
+    for (const g of this.featureGroups()) {
+      if (g.kind === 'categorical' || this.indicators.includes(g.name)) blocks.push(g.idx); else continuous.push(...g.idx);
+    }
+    return { continuous, blocks };
   }
 }
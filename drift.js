@@ -0,0 +1,147 @@
+// drift.js
+// Training-time feature profile (stored with the model) and drift checks for new files:
+//   numeric      — decile bins (+ a missing bin) for PSI, a 101-point quantile sketch for the two-sample
+//                  Kolmogorov–Smirnov statistic, mean/std for the shift in training standard deviations
+//   categorical  — level frequencies (+ missing) for PSI; levels never seen in training / not seen any more
+// PSI reading: < 0.1 stable, 0.1–0.25 moderate shift, ≥ 0.25 significant shift. Below minRows new values the
+// binned shares are mostly sampling noise, so PSI then counts only where a test agrees (KS for numerics, a
+// chi-square goodness-of-fit against the training shares for categoricals).
+// columns = { name: { kind: 'numeric' | 'categorical', values } }, missing values as null.
+
+import { chiSquareSurvival } from './eda.js';
+
+export const PSI_WARN = 0.1, PSI_ALERT = 0.25;
+
+const MISSING = '(missing)';
+const isMissing = (v) => v === null || v === undefined || (typeof v === 'number' && !Number.isFinite(v));
+
+function quantileAt(sorted, q) {
+  const pos = (sorted.length - 1) * q, lo = Math.floor(pos), hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+// Shares per bin: (-∞, e0], (e0, e1], …, (e_last, ∞), then the missing share last.
+function binShares(values, edges) {
+  const c = new Array(edges.length + 2).fill(0);
+  for (const v of values) {
+    if (isMissing(v)) { c[c.length - 1]++; continue; }
+    const k = edges.findIndex(e => +v <= e);
+    c[k < 0 ? edges.length : k]++;
+  }
+  return c.map(k => values.length ? k / values.length : 0);
+}
+
+function levelShares(values) {
+  const freq = {};
+  for (const v of values) { const k = isMissing(v) ? MISSING : String(v); freq[k] = (freq[k] || 0) + 1; }
+  for (const k of Object.keys(freq)) freq[k] /= Math.max(1, values.length);
+  return freq;
+}
+
+export function buildProfile(columns, { bins = 10 } = {}) {
+  const features = {};
+  let rows = 0;
+  for (const [name, { kind, values }] of Object.entries(columns)) {
+    rows = Math.max(rows, values.length);
+    const missing = values.filter(isMissing).length / Math.max(1, values.length);
+    if (kind === 'categorical') { features[name] = { kind, n: values.length, missing, freq: levelShares(values) }; continue; }
+    const s = values.filter(v => !isMissing(v)).map(Number).sort((a, b) => a - b);
+    if (!s.length) { features[name] = { kind, n: values.length, missing, empty: true }; continue; }
+    const mean = s.reduce((a, v) => a + v, 0) / s.length;
+    const std = Math.sqrt(s.reduce((a, v) => a + (v - mean) ** 2, 0) / s.length);
+    const edges = [...new Set(Array.from({ length: bins - 1 }, (_, k) => quantileAt(s, (k + 1) / bins)))];
+    features[name] = {
+      kind, n: values.length, missing, mean, std, edges, hist: binShares(values, edges),
+      quantiles: Array.from({ length: 101 }, (_, k) => quantileAt(s, k / 100))
+    };
+  }
+  return { createdAt: new Date().toISOString(), rows, features };
+}
+
+export function psi(expected, actual, eps = 1e-4) {
+  let out = 0;
+  for (let k = 0; k < expected.length; k++) {
+    const e = Math.max(expected[k], eps), a = Math.max(actual[k], eps);
+    out += (a - e) * Math.log(a / e);
+  }
+  return out;
+}
+
+// Training CDF from the quantile sketch: P(X ≤ x), interpolated between sketch points, exact steps on ties.
+function sketchCdf(q, x) {
+  if (x < q[0]) return 0;
+  if (x >= q[q.length - 1]) return 1;
+  let k = 0;
+  while (k + 1 < q.length && q[k + 1] <= x) k++;
+  if (q[k] === x) return k / (q.length - 1);
+  return (k + (x - q[k]) / (q[k + 1] - q[k])) / (q.length - 1);
+}
+
+// New level counts vs the training shares (levels seen in training only; new levels are reported separately).
+export function goodnessOfFit(freq, values) {
+  const counts = {};
+  for (const v of values) { const k = isMissing(v) ? MISSING : String(v); counts[k] = (counts[k] || 0) + 1; }
+  const levels = Object.keys(freq).filter(l => freq[l] > 0), n = levels.reduce((a, l) => a + (counts[l] || 0), 0);
+  if (levels.length < 2 || !n) return { chi2: NaN, df: 0, p: NaN };
+  const chi2 = levels.reduce((a, l) => a + ((counts[l] || 0) - n * freq[l]) ** 2 / (n * freq[l]), 0);
+  return { chi2, df: levels.length - 1, p: chiSquareSurvival(chi2, levels.length - 1) };
+}
+
+// Two-sample KS statistic against the sketch; p from the asymptotic Kolmogorov distribution.
+export function ksTest(quantiles, trainN, values) {
+  const s = values.filter(v => !isMissing(v)).map(Number).sort((a, b) => a - b);
+  if (!s.length || !quantiles?.length) return { d: NaN, p: NaN };
+  const points = [...new Set([...s, ...quantiles])].sort((a, b) => a - b);
+  let d = 0, j = 0;
+  for (const x of points) {
+    while (j < s.length && s[j] <= x) j++;
+    d = Math.max(d, Math.abs(j / s.length - sketchCdf(quantiles, x)));
+  }
+  const ne = trainN * s.length / (trainN + s.length), lambda = (Math.sqrt(ne) + 0.12 + 0.11 / Math.sqrt(ne)) * d;
+  let p = 0;
+  for (let k = 1; k <= 100; k++) { const t = 2 * (-1) ** (k - 1) * Math.exp(-2 * k * k * lambda * lambda); p += t; if (Math.abs(t) < 1e-10) break; }
+  return { d, p: Math.min(1, Math.max(0, lambda < 1e-3 ? 1 : p)) };
+}
+
+// New columns vs the stored profile -> per-feature statistics, a status each and an overall verdict.
+// absent = columns the new file does not have at all (their values are all null in columns).
+export function driftReport(profile, columns, { absent = [], ksAlpha = 0.01, ksMin = 0.1, warnShare = 0.2, minRows = 100 } = {}) {
+  if (!profile?.features) throw new Error('No training profile to compare with.');
+  const features = [];
+  for (const [name, ref] of Object.entries(profile.features)) {
+    const values = columns[name]?.values;
+    if (!values) continue;
+    const out = { name, kind: ref.kind, n: values.length, missingTrain: ref.missing,
+      missingNew: values.filter(isMissing).length / Math.max(1, values.length), absent: absent.includes(name) };
+    if (ref.kind === 'categorical') {
+      const now = levelShares(values), levels = [...new Set([...Object.keys(ref.freq), ...Object.keys(now)])];
+      out.psi = psi(levels.map(l => ref.freq[l] || 0), levels.map(l => now[l] || 0));
+      out.newLevels = Object.keys(now).filter(l => l !== MISSING && !(l in ref.freq));
+      out.missingLevels = out.absent ? [] : Object.keys(ref.freq).filter(l => l !== MISSING && !(l in now));
+      out.chi2P = goodnessOfFit(ref.freq, values).p;
+    } else if (!ref.empty) {
+      out.psi = psi(ref.hist, binShares(values, ref.edges));
+      const { d, p } = ksTest(ref.quantiles, ref.n * (1 - ref.missing), values);
+      out.ks = d; out.ksP = p;
+      const s = values.filter(v => !isMissing(v)).map(Number);
+      out.meanShift = s.length && ref.std > 0 ? (s.reduce((a, v) => a + v, 0) / s.length - ref.mean) / ref.std : NaN;
+    }
+    out.smallSample = values.length < minRows;
+    const shift = out.smallSample && !((ref.kind === 'categorical' ? out.chi2P : out.ksP) < ksAlpha) ? 0 : out.psi;
+    out.status = out.absent || shift >= PSI_ALERT ? 'alert'
+      : shift >= PSI_WARN || (out.ksP < ksAlpha && out.ks >= ksMin) || out.newLevels?.length ? 'warn' : 'ok';
+    features.push(out);
+  }
+  const rank = { alert: 0, warn: 1, ok: 2 };
+  features.sort((a, b) => rank[a.status] - rank[b.status] || (b.psi || 0) - (a.psi || 0));
+  const alerts = features.filter(f => f.status === 'alert'), warns = features.filter(f => f.status === 'warn');
+  const retrain = alerts.length > 0 || warns.length >= Math.max(1, Math.ceil(warnShare * features.length));
+  return {
+    rows: features[0]?.n ?? 0, trainRows: profile.rows, features,
+    summary: { retrain, alerts: alerts.length, warnings: warns.length, stable: features.length - alerts.length - warns.length,
+      message: retrain
+        ? `Retraining advisable: ${alerts.length} feature(s) with significant drift or missing, ${warns.length} with moderate drift.`
+        : warns.length ? `Minor drift in ${warns.length} feature(s); the model should still apply.` : 'No drift detected.',
+      smallSample: (features[0]?.n ?? 0) < minRows, minRows }
+  };
+}
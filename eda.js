@@ -0,0 +1,159 @@
+// eda.js
+// Exploratory statistics against a 0/1 label (pure functions, no DOM):
+//   numeric      — per-class histograms on shared bin edges, box-plot summaries (quartiles, 1.5·IQR whiskers)
+//   categorical  — leave rate per level with a Wilson 95% interval
+//   association  — chi-square test of independence, Cramér's V and mutual information (bits); numeric columns
+//                  are cut at their quantiles first, so every column is ranked on the same scale
+//   redundancy   — feature × feature Pearson matrix; pairs with |r| ≥ threshold are flagged
+// Missing values (null / non-finite numbers) are left out per column, pairwise for correlations.
+
+const present = (v) => v !== null && v !== undefined && (typeof v !== 'number' || Number.isFinite(v));
+
+function quantile(sorted, q) {
+  const pos = (sorted.length - 1) * q, lo = Math.floor(pos), hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+// Pearson r over the rows where both values are present; NaN when either side is constant.
+export function pearson(x, y) {
+  let n = 0, sx = 0, sy = 0, sxx = 0, syy = 0, sxy = 0;
+  for (let i = 0; i < x.length; i++) {
+    if (!present(x[i]) || !present(y[i])) continue;
+    const a = +x[i], b = +y[i];
+    n++; sx += a; sy += b; sxx += a * a; syy += b * b; sxy += a * b;
+  }
+  if (n < 2) return NaN;
+  const cov = sxy / n - (sx / n) * (sy / n), vx = sxx / n - (sx / n) ** 2, vy = syy / n - (sy / n) ** 2;
+  return vx > 1e-12 && vy > 1e-12 ? cov / Math.sqrt(vx * vy) : NaN;
+}
+
+export function boxStats(xs) {
+  const s = xs.filter(present).map(Number).sort((a, b) => a - b);
+  if (!s.length) return { n: 0 };
+  const q1 = quantile(s, 0.25), q3 = quantile(s, 0.75), iqr = q3 - q1;
+  const inside = s.filter(v => v >= q1 - 1.5 * iqr && v <= q3 + 1.5 * iqr);
+  return {
+    n: s.length, min: s[0], q1, median: quantile(s, 0.5), q3, max: s.at(-1),
+    mean: s.reduce((a, v) => a + v, 0) / s.length,
+    whiskerLo: inside[0], whiskerHi: inside.at(-1), outliers: s.length - inside.length
+  };
+}
+
+// Shared edges for both classes; counts are returned as shares of each class so the shapes compare
+// despite the imbalance. Integer columns with few values get one bin per value.
+export function classHistogram(x, y, bins = 20) {
+  const pos = [], neg = [];
+  x.forEach((v, i) => { if (present(v)) (y[i] === 1 ? pos : neg).push(+v); });
+  const all = [...pos, ...neg];
+  if (!all.length) return { edges: [], pos: [], neg: [] };
+  let lo = Math.min(...all), hi = Math.max(...all);
+  const distinct = new Set(all).size;
+  if (all.every(Number.isInteger) && distinct <= bins && hi - lo + 1 <= bins) { bins = hi - lo + 1; lo -= 0.5; hi += 0.5; }
+  else if (hi === lo) { bins = 1; lo -= 0.5; hi += 0.5; }
+  const width = (hi - lo) / bins, edges = Array.from({ length: bins + 1 }, (_, k) => lo + k * width);
+  const count = (vals) => {
+    const c = new Array(bins).fill(0);
+    for (const v of vals) c[Math.min(bins - 1, Math.floor((v - lo) / width))]++;
+    return c.map(k => vals.length ? k / vals.length : 0);
+  };
+  return { edges, pos: count(pos), neg: count(neg), n: { pos: pos.length, neg: neg.length } };
+}
+
+export function wilson(k, n, z = 1.96) {
+  if (!n) return { lo: NaN, hi: NaN };
+  const p = k / n, d = 1 + z * z / n, c = p + z * z / (2 * n), h = z * Math.sqrt(p * (1 - p) / n + z * z / (4 * n * n));
+  return { lo: Math.max(0, (c - h) / d), hi: Math.min(1, (c + h) / d) };
+}
+
+// One label per row (null = missing) -> [{ level, n, pos, rate, lo, hi }], highest rate first.
+export function categoryRates(levels, y, z = 1.96) {
+  const by = new Map();
+  levels.forEach((l, i) => {
+    const k = present(l) ? String(l) : '(missing)';
+    const t = by.get(k) || { n: 0, pos: 0 }; t.n++; t.pos += y[i] === 1 ? 1 : 0; by.set(k, t);
+  });
+  return [...by.entries()].map(([level, { n, pos }]) => ({ level, n, pos, rate: pos / n, ...wilson(pos, n, z) }))
+    .sort((a, b) => b.rate - a.rate);
+}
+
+// Numeric values -> quantile-bin labels (missing stays null); ties collapse bins, so there may be fewer.
+export function quantileBins(x, bins = 5) {
+  const s = x.filter(present).map(Number).sort((a, b) => a - b);
+  if (!s.length) return x.map(() => null);
+  const cuts = [...new Set(Array.from({ length: bins - 1 }, (_, k) => quantile(s, (k + 1) / bins)))];
+  return x.map(v => present(v) ? `q${cuts.filter(c => +v > c).length}` : null);
+}
+
+// Level labels vs 0/1 label: chi-square test of independence, Cramér's V and mutual information in bits.
+// Missing labels form their own level.
+export function association(levels, y) {
+  const table = new Map();
+  levels.forEach((l, i) => {
+    const k = present(l) ? String(l) : '(missing)';
+    const t = table.get(k) || [0, 0]; t[y[i] === 1 ? 1 : 0]++; table.set(k, t);
+  });
+  const cells = [...table.values()], n = levels.length;
+  const col = [0, 1].map(j => cells.reduce((a, c) => a + c[j], 0));
+  let chi2 = 0, mi = 0;
+  for (const c of cells) {
+    const row = c[0] + c[1];
+    for (const j of [0, 1]) {
+      const e = row * col[j] / n;
+      if (e > 0) chi2 += (c[j] - e) ** 2 / e;
+      if (c[j] > 0) mi += (c[j] / n) * Math.log2(c[j] * n / (row * col[j]));
+    }
+  }
+  const df = (cells.length - 1) * (col.filter(Boolean).length - 1);
+  return {
+    levels: cells.length, chi2, df, p: df > 0 ? chiSquareSurvival(chi2, df) : NaN,
+    cramersV: df > 0 ? Math.sqrt(chi2 / n) : 0, mi: Math.max(0, mi)
+  };
+}
+
+// P(X ≥ chi2) for X ~ χ²(df) = regularized upper incomplete gamma Q(df/2, chi2/2).
+export function chiSquareSurvival(chi2, df) {
+  const a = df / 2, x = chi2 / 2;
+  if (x <= 0) return 1;
+  if (x < a + 1) {
+    let sum = 1 / a, term = sum;
+    for (let k = 1; k < 500 && Math.abs(term) > Math.abs(sum) * 1e-14; k++) { term *= x / (a + k); sum += term; }
+    return Math.max(0, 1 - sum * Math.exp(-x + a * Math.log(x) - lnGamma(a)));
+  }
+  // Lentz continued fraction
+  let b = x + 1 - a, c = 1 / 1e-300, d = 1 / b, h = d;
+  for (let k = 1; k < 500; k++) {
+    const an = -k * (k - a); b += 2;
+    d = an * d + b; if (Math.abs(d) < 1e-300) d = 1e-300;
+    c = b + an / c; if (Math.abs(c) < 1e-300) c = 1e-300;
+    d = 1 / d; const del = d * c; h *= del;
+    if (Math.abs(del - 1) < 1e-14) break;
+  }
+  return Math.min(1, Math.exp(-x + a * Math.log(x) - lnGamma(a)) * h);
+}
+
+function lnGamma(z) {
+  const g = [76.18009172947146, -86.50532032941677, 24.01409824083091, -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  let x = z, t = z + 5.5, s = 1.000000000190015;
+  t -= (z + 0.5) * Math.log(t);
+  for (const c of g) s += c / ++x;
+  return -t + Math.log(2.5066282746310005 * s / z);
+}
+
+// { name: values[] } -> { names, r } with r[i][j] the pairwise Pearson correlation.
+export function correlationMatrix(columns) {
+  const names = Object.keys(columns);
+  const r = names.map(() => new Array(names.length).fill(NaN));
+  names.forEach((a, i) => {
+    r[i][i] = 1;
+    for (let j = i + 1; j < names.length; j++) r[i][j] = r[j][i] = pearson(columns[a], columns[names[j]]);
+  });
+  return { names, r };
+}
+
+export function redundantPairs({ names, r }, threshold = 0.8) {
+  const out = [];
+  for (let i = 0; i < names.length; i++)
+    for (let j = i + 1; j < names.length; j++)
+      if (Math.abs(r[i][j]) >= threshold) out.push({ a: names[i], b: names[j], r: r[i][j] });
+  return out.sort((x, y) => Math.abs(y.r) - Math.abs(x.r));
+}
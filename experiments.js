@@ -0,0 +1,79 @@
+// experiments.js
+// Run history in IndexedDB: one record per train → evaluate cycle.
+//   { id, createdAt, model, seed, config, dataset: { name, rows, columns, target, hash }, features,
+//     history: { loss, val_loss }, metrics: { prec, rec, f1, auc, cm, threshold, brier, ece }, calibration }
+// config is the App's config object as used for the run (splits, imbalance, hyperparameters, threshold),
+// so applying it back to the UI and re-running with the same data reproduces the run.
+
+const DB_NAME = 'attrition-experiments', STORE = 'runs';
+
+function openDB() {
+  if (typeof indexedDB === 'undefined') return Promise.reject(new Error('IndexedDB is not available in this browser.'));
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: 'id' });
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function tx(mode, fn) {
+  const db = await openDB();
+  try {
+    return await new Promise((resolve, reject) => {
+      const t = db.transaction(STORE, mode), req = fn(t.objectStore(STORE));
+      t.oncomplete = () => resolve(req?.result);
+      t.onerror = () => reject(t.error);
+      t.onabort = () => reject(t.error || new Error('IndexedDB transaction aborted.'));
+    });
+  } finally { db.close(); }
+}
+
+// Insert or replace (re-evaluating the same trained model updates its record).
+export function saveExperiment(record) {
+  if (!record?.id) throw new Error('Experiment record needs an id.');
+  return tx('readwrite', s => s.put(JSON.parse(JSON.stringify(record))));
+}
+export async function listExperiments() {
+  const all = await tx('readonly', s => s.getAll());
+  return (all || []).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+export function deleteExperiment(id) { return tx('readwrite', s => s.delete(id)); }
+export function clearExperiments() { return tx('readwrite', s => s.clear()); }
+
+export function newExperimentId(date = new Date()) { return `run-${date.getTime().toString(36)}`; }
+
+// FNV-1a over headers and cell values: same file content -> same hash, independent of file name.
+export function datasetFingerprint(headers, rows) {
+  let h = 0x811c9dc5;
+  const add = (str) => { for (let i = 0; i < str.length; i++) { h ^= str.charCodeAt(i); h = Math.imul(h, 0x01000193) >>> 0; } h ^= 0x1f; };
+  for (const c of headers) add(String(c));
+  for (const r of rows) for (const c of headers) add(String(r[c] ?? ''));
+  return { rows: rows.length, columns: headers.length, hash: h.toString(16).padStart(8, '0') };
+}
+
+// Flattened { 'config.units': v } views of two records -> keys whose values differ.
+// features are compared as sets: a/b hold the names only that run had.
+export function diffExperiments(a, b) {
+  const flat = (o, pre = '', out = {}) => {
+    for (const [k, v] of Object.entries(o ?? {})) {
+      const key = pre ? `${pre}.${k}` : k;
+      if (v && typeof v === 'object' && !Array.isArray(v)) flat(v, key, out); else out[key] = v;
+    }
+    return out;
+  };
+  const pick = (r) => flat({ model: r.model, seed: r.seed, config: r.config, dataset: r.dataset, metrics: r.metrics,
+    epochsRun: r.history?.loss?.length });
+  const A = pick(a), B = pick(b);
+  const out = [...new Set([...Object.keys(A), ...Object.keys(B)])].sort()
+    .filter(k => JSON.stringify(A[k]) !== JSON.stringify(B[k]))
+    .map(k => ({ key: k, a: A[k], b: B[k] }));
+  const fa = new Set(a.features || []), fb = new Set(b.features || []);
+  const onlyA = [...fa].filter(f => !fb.has(f)), onlyB = [...fb].filter(f => !fa.has(f));
+  if (onlyA.length || onlyB.length) out.push({ key: 'features', a: onlyA, b: onlyB });
+  return out;
+}
+
+export function exportExperiments(records) {
+  return JSON.stringify({ format: 'attrition-experiments', version: 1, exportedAt: new Date().toISOString(), runs: records }, null, 2);
+}
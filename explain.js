@@ -0,0 +1,92 @@
+// explain.js
+// Model-agnostic explanations over DataLoader.featureGroups() (one-hot blocks count as one feature):
+//   permutationImportance — global: AUC drop when a group's columns are shuffled across rows
+//   shapleyContributions  — per employee: sampling Shapley values (Štrumbelj & Kononenko) in probability
+//                           space against the average employee (all-zero scaled row); per row they add up
+//                           exactly to p(employee) − p(average); with `calibrate` (p[] -> p[], e.g. the fitted
+//                           calibrator) p is the calibrated probability the app shows and exports
+// Works for every zoo model: only predict() is used. X is the scaled 2D feature matrix.
+
+import { rocAuc } from './metrics.js';
+import { DEFAULT_SEED, rng, shuffleInPlace } from './seed.js';
+import { tf } from './tf.js';
+
+// Batched model probabilities for plain rows; reshapes to the model's [timesteps, features] input.
+export function probabilities(model, X, batch = 4096) {
+  const shape = model.inputShape || [1, X[0].length];
+  const out = new Float32Array(X.length);
+  for (let s = 0; s < X.length; s += batch) {
+    const chunk = X.slice(s, s + batch);
+    const p = tf.tidy(() => model.predict(tf.tensor2d(chunk).reshape([chunk.length, ...shape])));
+    out.set(p.dataSync(), s); p.dispose();
+  }
+  return out;
+}
+
+function shuffled(n, rand) { return shuffleInPlace(Array.from({ length: n }, (_, i) => i), rand); }
+
+export async function permutationImportance({ model, X, y, groups, repeats = 3, seed = DEFAULT_SEED, onProgress }) {
+  const rand = rng(seed);
+  const base = rocAuc(y, Array.from(probabilities(model, X)));
+  const out = [];
+  for (let g = 0; g < groups.length; g++) {
+    const drops = [];
+    for (let r = 0; r < repeats; r++) {
+      const perm = shuffled(X.length, rand);
+      const Xp = X.map((row, i) => { const c = row.slice(); for (const j of groups[g].idx) c[j] = X[perm[i]][j]; return c; });
+      drops.push(base - rocAuc(y, Array.from(probabilities(model, Xp))));
+    }
+    const mean = drops.reduce((a,b)=>a+b, 0) / repeats;
+    const std = Math.sqrt(drops.reduce((a,b)=>a + (b-mean)**2, 0) / repeats);
+    out.push({ name: groups[g].name, importance: mean, std });
+    onProgress?.((g + 1) / groups.length);
+    await tf.nextFrame();
+  }
+  return { baseAuc: base, features: out.sort((a,b) => b.importance - a.importance) };
+}
+
+// Returns { base, rows: [{ prob, contrib: Float64Array(groups.length) }] }.
+export async function shapleyContributions({ model, X, groups, samples = 16, seed = DEFAULT_SEED, calibrate = null, onProgress }) {
+  const rand = rng(seed);
+  const F = X[0].length, G = groups.length;
+  const prob = (rows) => calibrate ? calibrate(probabilities(model, rows)) : probabilities(model, rows);
+  const baseline = new Array(F).fill(0);
+  const base = prob([baseline])[0];
+  const rows = [];
+  for (let i = 0; i < X.length; i++) {
+    // samples permutations × (G+1) coalitions, walked from the baseline towards the employee's row
+    const batch = [], orders = [];
+    for (let s = 0; s < samples; s++) {
+      const order = shuffled(G, rand); orders.push(order);
+      const cur = baseline.slice(); batch.push(cur.slice());
+      for (const g of order) { for (const j of groups[g].idx) cur[j] = X[i][j]; batch.push(cur.slice()); }
+    }
+    const p = prob(batch);
+    const contrib = new Float64Array(G);
+    orders.forEach((order, s) => { const o = s * (G + 1); order.forEach((g, k) => { contrib[g] += (p[o+k+1] - p[o+k]) / samples; }); });
+    rows.push({ prob: p[G], contrib });
+    if (i % 8 === 7) { onProgress?.((i + 1) / X.length); await tf.nextFrame(); }
+  }
+  onProgress?.(1);
+  return { base, rows };
+}
+
+// "OverTime=Yes (+0.081); MonthlyIncome=2100 (+0.034)" — the k strongest risk-raising groups of one row.
+// rawRow = unscaled features, to show values instead of z-scores.
+export function topDrivers(contrib, groups, rawRow, k = 3) {
+  return [...contrib].map((v, g) => ({ v, g })).filter(d => d.v > 0).sort((a,b) => b.v - a.v).slice(0, k)
+    .map(({ v, g }) => `${driverLabel(groups[g], rawRow)} (+${v.toFixed(3)})`).join('; ');
+}
+
+export function driverLabel(group, rawRow) {
+  if (!rawRow) return group.name;
+  if (group.kind === 'categorical') {
+    const hot = group.idx.findIndex(j => rawRow[j] > 0.5);
+    return `${group.name}=${hot >= 0 ? group.values[hot] : '?'}`;
+  }
+  const v = rawRow[group.idx[0]];
+  return `${group.name}=${+v.toFixed(2)}`;
+}
+
+// Scaled rows back to original units via the fitted scaler.
+export function unscale(X, scaler) { return X.map(r => r.map((v, j) => v * scaler.std[j] + scaler.mean[j])); }
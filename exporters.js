@@ -0,0 +1,81 @@
+// exporters.js
+// Tabular exports of row objects over a chosen column list:
+//   csv  — RFC 4180 (csv.js toCSV: fields with delimiters, quotes or newlines are quoted, "" escapes)
+//   json — array of objects with exactly those columns
+//   xlsx — a single-sheet Office Open XML workbook (stored zip, inline strings, numbers as numbers), no library
+// exportRows() returns { content, type, ext } for App's file download.
+
+import { toCSV } from './csv.js';
+
+export const EXPORT_FORMATS = { csv: 'CSV', json: 'JSON', xlsx: 'Excel (.xlsx)' };
+
+export function exportRows(rows, cols, format = 'csv', { sheet = 'Predictions' } = {}) {
+  if (!cols.length) throw new Error('Select at least one column to export.');
+  if (format === 'csv') return { content: toCSV(rows, cols), type: 'text/csv', ext: 'csv' };
+  if (format === 'json') return { content: JSON.stringify(rows.map(r => Object.fromEntries(cols.map(c => [c, r[c] ?? null]))), null, 2), type: 'application/json', ext: 'json' };
+  if (format === 'xlsx') return { content: toXLSX(rows, cols, sheet), type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', ext: 'xlsx' };
+  throw new Error(`Unknown export format: ${format}`);
+}
+
+const xml = (v) => String(v).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');   // not allowed in XML 1.0
+
+// A1-style column letters for a 0-based index
+const colName = (i) => { let s = ''; for (i += 1; i > 0; i = Math.floor((i - 1) / 26)) s = String.fromCharCode(65 + (i - 1) % 26) + s; return s; };
+
+function sheetXML(rows, cols) {
+  const cell = (v, ref) => {
+    if (v === null || v === undefined || v === '') return '';
+    // canonical numeric strings ("15", "0.2") become numbers; "007" or "1e3" stay text
+    const num = typeof v === 'number' ? v : (typeof v === 'string' && String(Number(v)) === v ? Number(v) : NaN);
+    if (Number.isFinite(num)) return `<c r="${ref}"><v>${num}</v></c>`;
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xml(v)}</t></is></c>`;
+  };
+  const row = (vals, r) => `<row r="${r}">${vals.map((v, i) => cell(v, `${colName(i)}${r}`)).join('')}</row>`;
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+    + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>'
+    + row(cols, 1) + rows.map((r, k) => row(cols.map(c => r[c]), k + 2)).join('')
+    + '</sheetData></worksheet>';
+}
+
+export function toXLSX(rows, cols, sheet = 'Sheet1') {
+  const name = xml(sheet.replace(/[\\/?*[\]:]/g, ' ').slice(0, 31) || 'Sheet1');
+  const files = {
+    '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+      + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/>'
+      + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+      + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/></Types>',
+    '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>',
+    'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" '
+      + `xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="${name}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+    'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/></Relationships>',
+    'xl/worksheets/sheet1.xml': sheetXML(rows, cols)
+  };
+  return zipStore(Object.entries(files).map(([path, text]) => ({ path, data: new TextEncoder().encode(text) })));
+}
+
+// ---------- zip (store, no compression) ----------
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => { let c = n; for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1; return c >>> 0; });
+function crc32(bytes) { let c = 0xFFFFFFFF; for (const b of bytes) c = CRC_TABLE[(c ^ b) & 0xFF] ^ (c >>> 8); return (c ^ 0xFFFFFFFF) >>> 0; }
+
+function zipStore(entries) {
+  const enc = new TextEncoder(), parts = [], central = [];
+  let offset = 0;
+  const header = (size, fields) => { const b = new DataView(new ArrayBuffer(size)); fields.forEach(([at, v, w]) => w === 4 ? b.setUint32(at, v, true) : b.setUint16(at, v, true)); return new Uint8Array(b.buffer); };
+  for (const { path, data } of entries) {
+    const name = enc.encode(path), crc = crc32(data);
+    const common = [[10, 0, 2], [12, 0x21, 2], [14, crc, 4], [18, data.length, 4], [22, data.length, 4], [26, name.length, 2]];   // stored, 1980-01-01
+    const local = header(30, [[0, 0x04034b50, 4], [4, 20, 2], [6, 0x0800, 2], [8, 0, 2], ...common]);
+    parts.push(local, name, data);
+    central.push(header(46, [[0, 0x02014b50, 4], [4, 20, 2], [6, 20, 2], [8, 0x0800, 2], ...common.map(([at, v, w]) => [at + 2, v, w]), [42, offset, 4]]), name);
+    offset += local.length + name.length + data.length;
+  }
+  const size = central.reduce((s, b) => s + b.length, 0);
+  const end = header(22, [[0, 0x06054b50, 4], [8, entries.length, 2], [10, entries.length, 2], [12, size, 4], [16, offset, 4]]);
+  const out = new Uint8Array(offset + size + end.length);
+  let at = 0;
+  for (const b of [...parts, ...central, end]) { out.set(b, at); at += b.length; }
+  return out;
+}
@@ -0,0 +1,161 @@
+// expr.js
+// Safe expression language for engineered features (no eval / Function).
+// Grammar: numbers, 'strings' / "strings", column names (bare identifiers or [Column With Spaces]),
+//   + - * /, comparisons == != < <= > >=, && || !, cond ? a : b, parentheses, whitelisted calls.
+// Column values come from CSV as strings: numeric-looking values are numbers, missing ones are 0/'',
+// comparisons with a non-numeric side are done as strings. Non-finite results evaluate to 0.
+
+const FUNCS = {
+  max:       { min: 1, max: Infinity, fn: (...a) => Math.max(...a.map(num)) },
+  min:       { min: 1, max: Infinity, fn: (...a) => Math.min(...a.map(num)) },
+  abs:       { min: 1, max: 1, fn: (x) => Math.abs(num(x)) },
+  sqrt:      { min: 1, max: 1, fn: (x) => Math.sqrt(num(x)) },
+  log1p:     { min: 1, max: 1, fn: (x) => Math.log1p(num(x)) },
+  // a / max(floor, b): the guarded division used by TenureRatio & co.
+  ratio:     { min: 2, max: 3, fn: (a, b, floor = 1) => num(a) / Math.max(num(floor), num(b)) },
+  // 1 if column equals one of the values (string compare), else 0
+  indicator: { min: 2, max: Infinity, fn: (x, ...vals) => vals.some(v => String(x) === String(v)) ? 1 : 0 },
+  // 1 if x > t (or x >= t when inclusive is truthy), else 0
+  threshold: { min: 2, max: 3, fn: (x, t, inclusive = 0) => (inclusive ? num(x) >= num(t) : num(x) > num(t)) ? 1 : 0 },
+  clip:      { min: 3, max: 3, fn: (x, lo, hi) => Math.min(Math.max(num(x), num(lo)), num(hi)) }
+};
+
+export const EXPR_FUNCTIONS = Object.keys(FUNCS);
+
+function num(v) { if (typeof v === 'number') return v; const n = Number(v); return Number.isFinite(n) ? n : 0; }
+function val(v) {
+  if (v === undefined || v === null) return 0;
+  if (typeof v === 'number') return v;
+  const s = String(v).trim();
+  if (s === '') return 0;
+  const n = Number(s); return Number.isFinite(n) ? n : s;
+}
+
+function tokenize(src) {
+  const out = []; let i = 0;
+  const err = (msg) => { throw new Error(`Expression error at ${i + 1}: ${msg}`); };
+  while (i < src.length) {
+    const ch = src[i];
+    if (/\s/.test(ch)) { i++; continue; }
+    const start = i;
+    if (/[0-9.]/.test(ch)) {
+      const m = /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i.exec(src.slice(i)); if (!m) err('bad number');
+      out.push({ t: 'num', v: Number(m[0]), at: start }); i += m[0].length; continue;
+    }
+    if (ch === '"' || ch === "'") {
+      let j = i + 1, s = '';
+      while (j < src.length && src[j] !== ch) { if (src[j] === '\\' && j + 1 < src.length) j++; s += src[j++]; }
+      if (j >= src.length) err('unterminated string');
+      out.push({ t: 'str', v: s, at: start }); i = j + 1; continue;
+    }
+    if (ch === '[') {
+      const j = src.indexOf(']', i); if (j < 0) err('unterminated [column]');
+      out.push({ t: 'id', v: src.slice(i + 1, j).trim(), at: start }); i = j + 1; continue;
+    }
+    if (/[A-Za-z_]/.test(ch)) {
+      const m = /^[A-Za-z_][A-Za-z0-9_]*/.exec(src.slice(i));
+      out.push({ t: 'id', v: m[0], at: start }); i += m[0].length; continue;
+    }
+    const two = src.slice(i, i + 2);
+    if (['==','!=','<=','>=','&&','||'].includes(two)) { out.push({ t: 'op', v: two, at: start }); i += 2; continue; }
+    if ('+-*/<>!?:(),'.includes(ch)) { out.push({ t: 'op', v: ch, at: start }); i++; continue; }
+    err(`unexpected '${ch}'`);
+  }
+  out.push({ t: 'end', at: src.length });
+  return out;
+}
+
+// Binding powers for binary operators (higher binds tighter).
+const BP = { '||': 1, '&&': 2, '==': 3, '!=': 3, '<': 4, '<=': 4, '>': 4, '>=': 4, '+': 5, '-': 5, '*': 6, '/': 6 };
+
+function parse(tokens) {
+  let k = 0;
+  const peek = () => tokens[k];
+  const err = (tok, msg) => { throw new Error(`Expression error at ${tok.at + 1}: ${msg}`); };
+  const expect = (v) => { const tok = tokens[k]; if (tok.t !== 'op' || tok.v !== v) err(tok, `expected '${v}'`); k++; };
+
+  const primary = () => {
+    const tok = tokens[k++];
+    if (tok.t === 'num' || tok.t === 'str') return { type: 'lit', value: tok.v };
+    if (tok.t === 'id') {
+      if (peek().t === 'op' && peek().v === '(') {
+        const f = Object.hasOwn(FUNCS, tok.v) ? FUNCS[tok.v] : null; if (!f) err(tok, `unknown function ${tok.v}()`);
+        k++; const args = [];
+        if (!(peek().t === 'op' && peek().v === ')')) {
+          for (;;) { args.push(expr(0)); if (peek().t === 'op' && peek().v === ',') { k++; continue; } break; }
+        }
+        expect(')');
+        if (args.length < f.min || args.length > f.max) err(tok, `${tok.v}() takes ${f.min === f.max ? f.min : `${f.min}..${f.max === Infinity ? 'n' : f.max}`} arguments`);
+        return { type: 'call', name: tok.v, args };
+      }
+      return { type: 'col', name: tok.v };
+    }
+    if (tok.t === 'op' && tok.v === '(') { const e = expr(0); expect(')'); return e; }
+    if (tok.t === 'op' && (tok.v === '-' || tok.v === '!')) return { type: 'unary', op: tok.v, arg: primary() };
+    err(tok, tok.t === 'end' ? 'unexpected end' : `unexpected '${tok.v}'`);
+  };
+
+  const expr = (minBp) => {
+    let left = primary();
+    for (;;) {
+      const tok = peek();
+      if (tok.t !== 'op') break;
+      if (tok.v === '?' && minBp === 0) {
+        k++; const a = expr(0); expect(':'); const b = expr(0);
+        left = { type: 'cond', test: left, a, b }; continue;
+      }
+      const bp = BP[tok.v]; if (!bp || bp <= minBp) break;
+      k++; left = { type: 'bin', op: tok.v, left, right: expr(bp) };
+    }
+    return left;
+  };
+
+  const ast = expr(0);
+  if (peek().t !== 'end') err(peek(), `unexpected '${peek().v}'`);
+  return ast;
+}
+
+function columnsOf(node, acc = new Set()) {
+  if (node.type === 'col') acc.add(node.name);
+  for (const c of [node.left, node.right, node.arg, node.test, node.a, node.b, ...(node.args || [])]) if (c) columnsOf(c, acc);
+  return acc;
+}
+
+function evaluate(node, row) {
+  switch (node.type) {
+    case 'lit': return node.value;
+    case 'col': return val(row[node.name]);
+    case 'unary': { const v = evaluate(node.arg, row); return node.op === '-' ? -num(v) : (v ? 0 : 1); }
+    case 'cond': return evaluate(node.test, row) ? evaluate(node.a, row) : evaluate(node.b, row);
+    case 'call': return FUNCS[node.name].fn(...node.args.map(a => evaluate(a, row)));
+    case 'bin': {
+      const a = evaluate(node.left, row), b = evaluate(node.right, row);
+      const asStr = typeof a === 'string' || typeof b === 'string';
+      switch (node.op) {
+        case '+': return num(a) + num(b);
+        case '-': return num(a) - num(b);
+        case '*': return num(a) * num(b);
+        case '/': return num(a) / num(b);
+        case '==': return (asStr ? String(a) === String(b) : a === b) ? 1 : 0;
+        case '!=': return (asStr ? String(a) !== String(b) : a !== b) ? 1 : 0;
+        case '<':  return (asStr ? String(a) <  String(b) : a <  b) ? 1 : 0;
+        case '<=': return (asStr ? String(a) <= String(b) : a <= b) ? 1 : 0;
+        case '>':  return (asStr ? String(a) >  String(b) : a >  b) ? 1 : 0;
+        case '>=': return (asStr ? String(a) >= String(b) : a >= b) ? 1 : 0;
+        case '&&': return (a && b) ? 1 : 0;
+        case '||': return (a || b) ? 1 : 0;
+      }
+    }
+  }
+  return 0;
+}
+
+// compileExpr('ratio(YearsAtCompany, TotalWorkingYears)') -> { columns:[...], evaluate(row) -> number }
+export function compileExpr(src) {
+  if (typeof src !== 'string' || !src.trim()) throw new Error('Expression is empty.');
+  const ast = parse(tokenize(src));
+  return {
+    columns: [...columnsOf(ast)],
+    evaluate: (row) => { const v = num(evaluate(ast, row)); return Number.isFinite(v) ? v : 0; }
+  };
+}
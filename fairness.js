@@ -0,0 +1,70 @@
+// fairness.js
+// Group fairness audit on scored test rows (y = 0/1 labels, p = probabilities, one group label per row):
+//   per group   — selection rate, TPR, FPR, precision at the threshold; mean predicted probability vs the
+//                 observed leave rate (calibration within the group)
+//   gaps        — demographic parity (max − min selection rate), disparate impact (min / max selection rate),
+//                 equalized odds (larger of the TPR and FPR ranges)
+// Gaps only compare groups with at least minGroup rows; smaller groups are listed but flagged.
+
+// Fixed bin edges per column; other numeric columns with many distinct values are cut at their quartiles.
+export const DEFAULT_BINS = { Age: [30, 40, 50] };
+
+// rows (objects) + column -> one label per row; numeric columns with > maxLevels distinct values are binned.
+export function groupLabels(rows, column, { edges = DEFAULT_BINS[column], maxLevels = 8 } = {}) {
+  const vals = rows.map(r => r[column]);
+  const present = vals.filter(v => v !== null && v !== undefined && String(v).trim() !== '');
+  const numeric = present.length > 0 && present.every(v => Number.isFinite(Number(v)));
+  const distinct = new Set(present.map(String));
+  const missing = (v) => v === null || v === undefined || String(v).trim() === '';
+  if (!numeric || distinct.size <= maxLevels) return vals.map(v => missing(v) ? '(missing)' : String(v));
+
+  const cuts = edges?.length ? edges.slice().sort((a, b) => a - b) : quartiles(present.map(Number));
+  const label = (x) => {
+    const k = cuts.findIndex(c => x < c);
+    if (k === 0) return `< ${fmt(cuts[0])}`;
+    if (k === -1) return `≥ ${fmt(cuts.at(-1))}`;
+    return `${fmt(cuts[k - 1])}–<${fmt(cuts[k])}`;
+  };
+  return vals.map(v => missing(v) ? '(missing)' : label(Number(v)));
+}
+
+function quartiles(xs) {
+  const s = xs.slice().sort((a, b) => a - b);
+  return [...new Set([0.25, 0.5, 0.75].map(q => s[Math.min(s.length - 1, Math.floor(q * s.length))]))];
+}
+const fmt = (v) => Number.isInteger(v) ? String(v) : v.toFixed(2);
+
+export function fairnessReport({ y, p, groups, threshold = 0.5, minGroup = 10 }) {
+  if (y.length !== p.length || y.length !== groups.length) throw new Error('Fairness audit needs one label, probability and group per row.');
+  const by = new Map();
+  groups.forEach((g, i) => { if (!by.has(g)) by.set(g, []); by.get(g).push(i); });
+
+  const rows = [...by.entries()].map(([group, idx]) => {
+    let tp = 0, fp = 0, fn = 0, tn = 0, sumP = 0;
+    for (const i of idx) {
+      const pred = p[i] >= threshold ? 1 : 0; sumP += p[i];
+      if (y[i] === 1) pred ? tp++ : fn++; else pred ? fp++ : tn++;
+    }
+    const n = idx.length, pos = tp + fn, neg = fp + tn;
+    return {
+      group, n, small: n < minGroup, cm: { tp, fp, fn, tn },
+      baseRate: pos / n, selectionRate: (tp + fp) / n,
+      tpr: pos ? tp / pos : NaN, fpr: neg ? fp / neg : NaN, prec: tp + fp ? tp / (tp + fp) : NaN,
+      meanP: sumP / n, calGap: sumP / n - pos / n
+    };
+  }).sort((a, b) => b.n - a.n);
+
+  const big = rows.filter(r => !r.small);
+  const range = (k) => { const v = big.map(r => r[k]).filter(Number.isFinite); return v.length > 1 ? Math.max(...v) - Math.min(...v) : NaN; };
+  const sel = big.map(r => r.selectionRate);
+  const tprGap = range('tpr'), fprGap = range('fpr');
+  return {
+    threshold, minGroup, groups: rows,
+    gaps: {
+      demographicParity: range('selectionRate'),
+      disparateImpact: sel.length > 1 && Math.max(...sel) > 0 ? Math.min(...sel) / Math.max(...sel) : NaN,
+      tprGap, fprGap,
+      equalizedOdds: [tprGap, fprGap].some(Number.isFinite) ? Math.max(...[tprGap, fprGap].filter(Number.isFinite)) : NaN
+    }
+  };
+}
@@ -0,0 +1,123 @@
+// imbalance.js
+// Class-imbalance strategies, one selectable at a time:
+//   none        — train on the data as is
+//   weights     — "balanced" class weights n / (2·n_class) in the loss (fit({ classWeight: 'balanced' }))
+//   focal       — focal loss (Lin et al. 2017) instead of binary cross-entropy (build({ focal: { gamma, alpha } }))
+//   noise       — random oversampling of positives with Gaussian jitter on the continuous columns
+//   smote       — SMOTE: synthetic positives interpolated towards one of the k nearest positive neighbours
+//   borderline  — Borderline-SMOTE1: only positives whose neighbourhood is mostly (not all) negative are seeds
+//   undersample — random undersampling of negatives
+// Resampling runs on the scaled training rows only. Continuous columns are interpolated; discrete blocks
+// (one-hot groups, missing flags) are copied whole from one parent so every synthetic row stays valid.
+// Everything random is drawn from a seeded LCG (seed.js), so the same seed gives the same training set.
+
+import { DEFAULT_SEED, rng, shuffleInPlace as shuffle } from './seed.js';
+import { tf } from './tf.js';
+
+export const RESAMPLING_STRATEGIES = ['noise', 'smote', 'borderline', 'undersample'];
+export const IMBALANCE_STRATEGIES = ['none', 'weights', 'focal', ...RESAMPLING_STRATEGIES];
+
+function gaussian(rand) { let u = 0, v = 0; while (u === 0) u = rand(); while (v === 0) v = rand(); return Math.sqrt(-2*Math.log(u)) * Math.cos(2*Math.PI*v); }
+
+// prepareTensors({ augment }) config -> { strategy, targetRatio, noiseStd, k, seed }; strategy 'none' when
+// nothing is resampled. Accepts the older { enable, targetRatio, noiseStd } shape (jitter oversampling).
+export function resamplingConfig(augment) {
+  const a = augment || {};
+  const strategy = a.strategy ?? (a.enable ? 'noise' : 'none');
+  return {
+    strategy: RESAMPLING_STRATEGIES.includes(strategy) ? strategy : 'none',
+    targetRatio: Math.min(Math.max(Number(a.targetRatio) || 0.5, 0.05), 0.8),
+    noiseStd: Math.min(Math.max(Number(a.noiseStd) || 0.05, 0), 0.2),
+    k: Math.max(1, Number(a.k) | 0 || 5),
+    seed: Number.isFinite(Number(a.seed)) ? Number(a.seed) : DEFAULT_SEED
+  };
+}
+
+// labels (0/1 numbers) + 'balanced' | { 0: w0, 1: w1 } | null -> tfjs classWeight object or null
+export function resolveClassWeight(classWeight, labels) {
+  if (!classWeight) return null;
+  if (classWeight !== 'balanced') return classWeight;
+  const n = labels.length, pos = labels.reduce((a, v) => a + (v === 1 ? 1 : 0), 0);
+  if (!pos || pos === n) return null;
+  return { 0: n / (2 * (n - pos)), 1: n / (2 * pos) };
+}
+
+// Binary focal loss, per sample: -α_t (1 - p_t)^γ log p_t. alpha weights the positive class.
+export function focalLoss({ gamma = 2, alpha = 0.75 } = {}) {
+  const g = Math.max(0, Number(gamma) || 0), a = Math.min(Math.max(Number(alpha) || 0.5, 0), 1);
+  return (yTrue, yPred) => tf.tidy(() => {
+    const p = tf.clipByValue(yPred, 1e-7, 1 - 1e-7);
+    const pt = tf.add(tf.mul(yTrue, p), tf.mul(tf.sub(1, yTrue), tf.sub(1, p)));
+    const at = tf.add(tf.mul(yTrue, a), tf.mul(tf.sub(1, yTrue), 1 - a));
+    return tf.mean(tf.mul(tf.neg(at), tf.mul(tf.pow(tf.sub(1, pt), g), tf.log(pt))), -1);
+  });
+}
+
+// X: scaled rows, y: [[0|1]] rows. layout.continuous = column indices that may be interpolated/jittered,
+// layout.blocks = index groups copied whole from one parent. Returns { X, Y, report } with rows shuffled,
+// so a validation split taken from the end of the training set is not made of synthetic rows.
+export function resample(X, y, cfg, layout) {
+  const { strategy, targetRatio, noiseStd, k, seed } = resamplingConfig(cfg);
+  const rand = rng(seed);
+  const posIdx = [], negIdx = [];
+  y.forEach((r, i) => (r[0] === 1 ? posIdx : negIdx).push(i));
+  const P = posIdx.length, N = negIdx.length;
+  const report = { strategy, before: { pos: P, neg: N }, synthetic: 0, removed: 0 };
+  if (strategy === 'none' || !P || !N) return { X, Y: y, report: { ...report, after: report.before } };
+
+  let outX, outY;
+  if (strategy === 'undersample') {
+    const keepNeg = Math.min(N, Math.max(1, Math.round(P * (1 - targetRatio) / targetRatio)));
+    const kept = shuffle(negIdx.slice(), rand).slice(0, keepNeg);
+    const idx = [...posIdx, ...kept];
+    outX = idx.map(i => X[i]); outY = idx.map(i => y[i]);
+    report.removed = N - keepNeg;
+  } else {
+    const need = Math.max(0, Math.floor(targetRatio * N / (1 - targetRatio)) - P);
+    const synth = strategy === 'noise' ? jitter(X, posIdx, need, noiseStd, layout, rand)
+      : smote(X, posIdx, negIdx, need, k, layout, rand, strategy === 'borderline', report);
+    outX = [...X, ...synth]; outY = [...y, ...synth.map(() => [1])];
+    report.synthetic = synth.length;
+  }
+  const order = shuffle(outX.map((_, i) => i), rand);
+  const Y = order.map(i => outY[i]);
+  const pos = Y.reduce((a, r) => a + r[0], 0);
+  return { X: order.map(i => outX[i]), Y, report: { ...report, after: { pos, neg: Y.length - pos } } };
+}
+
+function jitter(X, posIdx, need, noiseStd, { continuous }, rand) {
+  const out = [];
+  for (let n = 0; n < need; n++) {
+    const row = X[posIdx[n % posIdx.length]].slice();
+    for (const d of continuous) row[d] += gaussian(rand) * noiseStd;
+    out.push(row);
+  }
+  return out;
+}
+
+function smote(X, posIdx, negIdx, need, k, { continuous, blocks }, rand, borderline, report) {
+  const dist = (a, b) => { let s = 0; for (const d of continuous) s += (a[d] - b[d]) ** 2; return s; };
+  const nearest = (i, pool, m) => pool.filter(j => j !== i).map(j => [j, dist(X[i], X[j])])
+    .sort((a, b) => a[1] - b[1]).slice(0, m).map(([j]) => j);
+
+  let seeds = posIdx;
+  if (borderline) {
+    // DANGER: at least half of the k nearest rows (either class) are negative, but not all of them (noise)
+    const all = [...posIdx, ...negIdx], neg = new Set(negIdx);
+    seeds = posIdx.filter(i => { const m = nearest(i, all, k).filter(j => neg.has(j)).length; return m * 2 >= k && m < k; });
+    report.danger = seeds.length;
+    if (!seeds.length) seeds = posIdx;
+  }
+  const neighbours = new Map(seeds.map(i => [i, nearest(i, posIdx, k)]));
+
+  const out = [];
+  for (let n = 0; n < need; n++) {
+    const i = seeds[n % seeds.length], nb = neighbours.get(i);
+    const j = nb.length ? nb[Math.floor(rand() * nb.length)] : i;
+    const gap = rand(), a = X[i], b = X[j], row = a.slice();
+    for (const d of continuous) row[d] = a[d] + gap * (b[d] - a[d]);
+    for (const block of blocks) { const src = rand() < 0.5 ? a : b; for (const d of block) row[d] = src[d]; }
+    out.push(row);
+  }
+  return out;
+}
@@ -0,0 +1,55 @@
+// metrics.js
+// Binary classification metrics on plain arrays (shared by every classifier and the CV runner).
+
+export function confusion(yTrue, yProb, threshold = 0.5) {
+  let tp=0, tn=0, fp=0, fn=0;
+  for (let i=0;i<yTrue.length;i++){
+    const pred = yProb[i] >= threshold ? 1 : 0, gt = yTrue[i];
+    if (pred===1 && gt===1) tp++; else if (pred===0 && gt===0) tn++; else if (pred===1) fp++; else fn++;
+  }
+  return { tp, tn, fp, fn };
+}
+
+// ROC points from the strictest threshold down; [{thr, fpr, tpr}] starting at (0,0), ending at (1,1).
+// Tied probabilities flip together (one step, a diagonal segment for mixed ties), so input order never
+// matters: a constant predictor gets AUC 0.5.
+export function rocCurve(yTrue, yProb) {
+  const pairs = yProb.map((p,i)=>({p,y:yTrue[i]})).sort((a,b)=>b.p-a.p);
+  let tp=0, fp=0; const P=yTrue.reduce((s,v)=>s+(v===1?1:0),0), N=yTrue.length-P;
+  const roc=[{thr:1,fpr:0,tpr:0}];
+  pairs.forEach(({p,y}, k) => {
+    if(y===1) tp++; else fp++;
+    if (k + 1 < pairs.length && pairs[k + 1].p === p) return;   // ties flip together
+    roc.push({thr:p, fpr:fp/Math.max(1,N), tpr:tp/Math.max(1,P)});
+  });
+  roc.push({thr:0,fpr:1,tpr:1}); return roc;
+}
+
+export function rocAuc(yTrue, yProb) {
+  const roc = rocCurve(yTrue, yProb); let auc=0;
+  for(let i=1;i<roc.length;i++){ const a=roc[i-1], b=roc[i]; auc+=(b.fpr-a.fpr)*(a.tpr+b.tpr)/2; }
+  return Math.max(0, Math.min(1, auc));
+}
+
+// Precision-recall points from the strictest threshold down: [{thr, rec, prec}] (tied probabilities as one point).
+export function prCurve(yTrue, yProb) {
+  const pairs = yProb.map((p,i)=>({p,y:yTrue[i]})).sort((a,b)=>b.p-a.p);
+  const P = yTrue.reduce((s,v)=>s+(v===1?1:0),0); let tp=0, fp=0; const out=[];
+  pairs.forEach(({p,y}, k) => {
+    if (y===1) tp++; else fp++;
+    if (k + 1 < pairs.length && pairs[k + 1].p === p) return;
+    out.push({ thr:p, rec: tp/Math.max(1,P), prec: tp/(tp+fp) });
+  });
+  return out;
+}
+
+export function binaryMetrics(yTrue, yProb, threshold = 0.5) {
+  const cm = confusion(yTrue, yProb, threshold);
+  const prec = cm.tp / Math.max(1, cm.tp + cm.fp);
+  const rec  = cm.tp / Math.max(1, cm.tp + cm.fn);
+  const f1   = 2 * prec * rec / Math.max(1e-9, (prec + rec));
+  return { prec, rec, f1, auc: rocAuc(yTrue, yProb), cm };
+}
+
+// [[p], [p], ...] tensors/arrays -> flat number[]
+export async function column(t) { return (await t.array()).map(r => Array.isArray(r) ? r[0] : r); }
@@ -0,0 +1,36 @@
+// model-dir.js
+// tfjs IOHandler for a model directory (model.json + weights.bin) on the local file system, used by cli.js;
+// works with either backend (tfjs-node or pure-JS tfjs).
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+export function dirIO(dir) {
+  return {
+    async save(a) {
+      await fs.mkdir(dir, { recursive: true });
+      const weights = Array.isArray(a.weightData) ? Buffer.concat(a.weightData.map(b => Buffer.from(b))) : Buffer.from(a.weightData ?? new ArrayBuffer(0));
+      const json = {
+        modelTopology: a.modelTopology, format: a.format, generatedBy: a.generatedBy, convertedBy: a.convertedBy,
+        weightsManifest: [{ paths: ['weights.bin'], weights: a.weightSpecs ?? [] }],
+        ...(a.trainingConfig ? { trainingConfig: a.trainingConfig } : {}),
+        ...(a.userDefinedMetadata ? { userDefinedMetadata: a.userDefinedMetadata } : {})
+      };
+      await fs.writeFile(path.join(dir, 'model.json'), JSON.stringify(json));
+      await fs.writeFile(path.join(dir, 'weights.bin'), weights);
+      return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON', weightDataBytes: weights.length } };
+    },
+    async load() {
+      let json;
+      try { json = JSON.parse(await fs.readFile(path.join(dir, 'model.json'), 'utf8')); }
+      catch (e) { throw new Error(`Cannot read ${path.join(dir, 'model.json')}: ${e.message}`); }
+      const groups = json.weightsManifest ?? [];
+      const data = Buffer.concat(await Promise.all(groups.flatMap(g => g.paths).map(p => fs.readFile(path.join(dir, p)))));
+      return {
+        modelTopology: json.modelTopology, format: json.format, generatedBy: json.generatedBy, convertedBy: json.convertedBy,
+        trainingConfig: json.trainingConfig, userDefinedMetadata: json.userDefinedMetadata,
+        weightSpecs: groups.flatMap(g => g.weights), weightData: data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength)
+      };
+    }
+  };
+}
@@ -0,0 +1,261 @@
+// models.js
+// Baseline model zoo behind the TfClassifier interface (classifier.js), all trained on prepareTensors() output:
+//   gru      — GRUClassifier (gru.js)
+//   logistic — logistic regression (single sigmoid unit, L2)
+//   mlp      — dense ReLU network (units/layers from the build panel)
+//   boost    — gradient-boosted decision stumps in plain JS (histogram splits, logistic loss)
+// loadClassifier() restores any of them from a saved bundle.
+// Class weights work for all of them; focal loss for the Keras ones (boosted stumps keep the logistic loss).
+
+import { TfClassifier, readArtifacts, resolveIO } from './classifier.js';
+import { GRUClassifier } from './gru.js';
+import { resolveClassWeight } from './imbalance.js';
+import { createSchedule } from './schedules.js';
+import { DEFAULT_SEED, shuffleInPlace, withSeed } from './seed.js';
+import { tf } from './tf.js';
+
+// [N, T, F] -> [N, T*F]
+const flatten = (x) => x.rank > 2 ? x.reshape([x.shape[0], x.shape.slice(1).reduce((a,b)=>a*b, 1)]) : x;
+
+export class LogisticClassifier extends TfClassifier {
+  static kind = 'logistic';
+
+  build({ timesteps = 1, features, lr = 1e-2, focal = null }) {
+    if (!Number.isInteger(features) || features < 1) throw new Error(`Invalid features: ${features}`);
+    this.dispose();
+    this.inputShape = [timesteps, features];
+    const m = tf.sequential();
+    m.add(tf.layers.dense({ units: 1, activation: 'sigmoid', inputShape: [timesteps * features],
+      kernelRegularizer: tf.regularizers.l2({ l2: 1e-4 }) }));
+    this.compile(m, lr, { focal });
+    this.log(`Built logistic regression: ${timesteps * features} inputs`);
+    return this.model;
+  }
+
+  toInput(x) { return flatten(x); }
+}
+
+export class MLPClassifier extends TfClassifier {
+  static kind = 'mlp';
+
+  build({ timesteps = 1, features, units = 64, layers = 2, lr = 1e-3, focal = null }) {
+    if (!Number.isInteger(features) || features < 1) throw new Error(`Invalid features: ${features}`);
+    this.dispose();
+    this.inputShape = [timesteps, features];
+    const m = tf.sequential();
+    const U = Math.max(8, units|0), L = Math.max(1, layers|0);
+    for (let i = 0; i < L; i++) {
+      m.add(tf.layers.dense({ units: Math.max(8, U >> i), activation: 'relu', kernelInitializer: 'heNormal',
+        ...(i === 0 ? { inputShape: [timesteps * features] } : {}) }));
+      m.add(tf.layers.dropout({ rate: 0.2 }));
+    }
+    m.add(tf.layers.dense({ units: 1, activation: 'sigmoid' }));
+    this.compile(m, lr, { focal });
+    this.log(`Built MLP: ${timesteps * features} inputs, units=${U}, layers=${L}`);
+    return this.model;
+  }
+
+  toInput(x) { return flatten(x); }
+}
+
+// Gradient-boosted stumps. One "epoch" adds roundsPerEpoch stumps so the App's epochs/patience/progress
+// controls keep their meaning; restoreBest truncates the ensemble to the best validation logloss and a
+// learning-rate schedule (schedules.js) scales the shrinkage per epoch. No resumable checkpoints: it refits in seconds.
+// Saved through the same tfjs IO handlers as the Keras models (topology JSON, no weights).
+export class StumpBoostClassifier extends TfClassifier {
+  static kind = 'boost';
+  static FORMAT = 'stump-boost';
+  static resumable = false;
+
+  build({ timesteps = 1, features, shrinkage = 0.1, bins = 32, lambda = 1, roundsPerEpoch = 5, focal = null }) {
+    if (!Number.isInteger(features) || features < 1) throw new Error(`Invalid features: ${features}`);
+    if (focal) this.log('Focal loss is not available for boosted stumps; using logistic loss.');
+    this.dispose();
+    this.inputShape = [timesteps, features];
+    this.model = { format: StumpBoostClassifier.FORMAT, inputShape: this.inputShape, shrinkage, bins, lambda, roundsPerEpoch, base: 0, stumps: [] };
+    this.log(`Built boosted stumps: ${timesteps * features} inputs, shrinkage=${shrinkage}, ${roundsPerEpoch} stumps/epoch`);
+    return this.model;
+  }
+
+  async fit({ xTrain, yTrain, epochs = 45, onEpoch, classWeight = null, validationSplit = 0.2, patience = 6, checkpoint = null, restoreBest = true, schedule = null }) {
+    if (!this.model) throw new Error('Build the model first.');
+    const { shrinkage, bins, lambda, roundsPerEpoch } = this.model;
+    const X = flatten(xTrain), Xa = X.arraySync(); if (X !== xTrain) X.dispose();
+    const Y = yTrain.arraySync().map(r => r[0]);
+    const cw = resolveClassWeight(classWeight, Y);
+
+    // stratified validation holdout, the same share of each class; drawn from Math.random, which
+    // every caller seeds with withSeed() around fit()
+    const vs = Math.min(Math.max(validationSplit, 0.05), 0.4), trIdx = [], vaIdx = [];
+    for (const cls of [0, 1]) {
+      const idx = shuffleInPlace(Y.flatMap((v, i) => v === cls ? [i] : []), Math.random);
+      const nVa = Math.min(Math.round(idx.length * vs), Math.max(0, idx.length - 1));
+      vaIdx.push(...idx.slice(0, nVa)); trIdx.push(...idx.slice(nVa));
+    }
+    trIdx.sort((a, b) => a - b); vaIdx.sort((a, b) => a - b);
+    const tr = trIdx.map(i => Xa[i]), va = vaIdx.map(i => Xa[i]), yTr = trIdx.map(i => Y[i]), yVa = vaIdx.map(i => Y[i]);
+    const W = cw ? yTr.map(v => cw[v]) : null;
+    const F = tr[0].length;
+
+    const edges = [], binned = [];
+    for (let f = 0; f < F; f++) {
+      const vals = [...new Set(tr.map(r => r[f]))].sort((a,b)=>a-b);
+      const cut = vals.length <= bins ? vals.slice(0, -1)
+        : [...new Set(Array.from({ length: bins - 1 }, (_, i) => vals[Math.floor((i + 1) * vals.length / bins)]))];
+      edges.push(cut);
+      binned.push(Uint8Array.from(tr, r => bucket(cut, r[f])));
+    }
+
+    const pos = yTr.reduce((s,v)=>s+v, 0);
+    const p0 = Math.min(Math.max(pos / yTr.length, 1e-4), 1 - 1e-4);
+    this.model.base = Math.log(p0 / (1 - p0));
+    this.model.stumps = [];
+    const fTr = new Float64Array(tr.length).fill(this.model.base);
+    const fVa = new Float64Array(va.length).fill(this.model.base);
+
+    const hist = { loss: [], val_loss: [], lr: [] };
+    const sched = createSchedule(schedule, shrinkage, epochs);
+    let best = Number.POSITIVE_INFINITY, bestLen = 0, bestEpoch = -1, bad = 0;
+    for (let epoch = 0; epoch < Math.max(1, epochs|0); epoch++) {
+      const eta = sched.at(epoch);
+      for (let r = 0; r < roundsPerEpoch; r++) {
+        const g = new Float64Array(tr.length), h = new Float64Array(tr.length);
+        let G = 0, H = 0;
+        for (let i = 0; i < tr.length; i++) {
+          const p = sigmoid(fTr[i]), w = W ? W[i] : 1;
+          g[i] = (p - yTr[i]) * w; h[i] = Math.max(p * (1 - p), 1e-6) * w; G += g[i]; H += h[i];
+        }
+        let split = null;
+        for (let f = 0; f < F; f++) {
+          const nb = edges[f].length + 1; if (nb < 2) continue;
+          const gb = new Float64Array(nb), hb = new Float64Array(nb), b = binned[f];
+          for (let i = 0; i < tr.length; i++) { gb[b[i]] += g[i]; hb[b[i]] += h[i]; }
+          let GL = 0, HL = 0;
+          for (let k = 0; k < nb - 1; k++) {
+            GL += gb[k]; HL += hb[k];
+            const GR = G - GL, HR = H - HL;
+            const gain = GL*GL/(HL+lambda) + GR*GR/(HR+lambda) - G*G/(H+lambda);
+            if (!split || gain > split.gain) split = { gain, f, k, GL, HL, GR, HR };
+          }
+        }
+        if (!split || split.gain <= 1e-9) break;
+        const stump = { f: split.f, thr: edges[split.f][split.k],
+          left: -eta * split.GL / (split.HL + lambda), right: -eta * split.GR / (split.HR + lambda) };
+        this.model.stumps.push(stump);
+        for (let i = 0; i < tr.length; i++) fTr[i] += tr[i][stump.f] <= stump.thr ? stump.left : stump.right;
+        for (let i = 0; i < va.length; i++) fVa[i] += va[i][stump.f] <= stump.thr ? stump.left : stump.right;
+      }
+
+      const L = logloss(yTr, fTr), VL = va.length ? logloss(yVa, fVa) : NaN;
+      hist.loss.push(L); if (!Number.isNaN(VL)) hist.val_loss.push(VL); hist.lr.push(eta);
+      this.log(`Epoch ${epoch+1}/${epochs} — loss=${L.toFixed(4)} val_loss=${Number.isFinite(VL)?VL.toFixed(4):'—'} (${this.model.stumps.length} stumps)`);
+      if (onEpoch) onEpoch(epoch, { loss: L, val_loss: VL, lr: eta });
+      if (Number.isFinite(VL)) {
+        if (VL + 1e-6 < best) { best = VL; bestLen = this.model.stumps.length; bestEpoch = epoch; bad = 0; } else { bad += 1; }
+        if (bad >= Math.max(2, patience|0)) {
+          this.log(`Early stopping (no val_loss improvement ${patience} epochs).`);
+          break;
+        }
+      }
+      if (sched.observe(VL)) this.log(`Val_loss plateaued: shrinkage lowered to ${sched.state.lr.toExponential(2)}.`);
+      await tf.nextFrame();
+      await checkpoint?.();
+    }
+    if (restoreBest && bestEpoch >= 0 && bestLen < this.model.stumps.length) {
+      this.model.stumps.length = bestLen;
+      this.log(`Kept the ${bestLen} stumps of epoch ${bestEpoch + 1} (best val_loss ${best.toFixed(4)}).`);
+    }
+    hist.bestEpoch = bestEpoch;
+    return hist;
+  }
+
+  predict(x) {
+    if (!this.model) throw new Error('Model not built.');
+    const X = flatten(x), rows = X.arraySync(); if (X !== x) X.dispose();
+    const { base, stumps } = this.model;
+    return tf.tensor2d(rows.map(r => [sigmoid(stumps.reduce((s, st) => s + (r[st.f] <= st.thr ? st.left : st.right), base))]));
+  }
+
+  async save(target='tfjs-attrition-gru', meta=null) {
+    if (!this.model) throw new Error('Build the model first.');
+    const url = resolveIO(target);
+    const handler = typeof url === 'string' ? tf.io.getSaveHandlers(url)[0] : url;
+    if (!handler) throw new Error(`Cannot save to ${url}`);
+    await handler.save({ ...await this.toArtifacts(), userDefinedMetadata: meta || undefined });
+    this.log(`Saved to ${typeof url === 'string' ? url : 'custom handler'}`);
+  }
+
+  async toArtifacts() {
+    if (!this.model) throw new Error('Build the model first.');
+    return { modelTopology: this.model, weightSpecs: [], weightData: new ArrayBuffer(0),
+      format: StumpBoostClassifier.FORMAT, generatedBy: 'attrition-app', convertedBy: null };
+  }
+  // fit() grows the ensemble from scratch, so there is nothing to carry over.
+  async copyWeights() {}
+
+  async loadArtifacts(artifacts) {
+    this.dispose();
+    if (artifacts.modelTopology?.format !== StumpBoostClassifier.FORMAT) throw new Error('Not a boosted-stumps model.');
+    this.model = artifacts.modelTopology;
+    this.inputShape = this.model.inputShape;
+    this.meta = artifacts.userDefinedMetadata ?? null;
+    return this.model;
+  }
+
+  dispose() { this.model = null; }
+}
+
+function bucket(edges, v) { let lo = 0, hi = edges.length; while (lo < hi) { const m = (lo + hi) >> 1; if (v <= edges[m]) hi = m; else lo = m + 1; } return lo; }
+function sigmoid(z) { return 1 / (1 + Math.exp(-z)); }
+function logloss(y, f) {
+  let s = 0; for (let i = 0; i < y.length; i++) { const p = Math.min(Math.max(sigmoid(f[i]), 1e-7), 1 - 1e-7); s -= y[i] ? Math.log(p) : Math.log(1 - p); }
+  return s / Math.max(1, y.length);
+}
+
+export const MODEL_ZOO = {
+  gru:      { label: 'GRU',                  create: (o) => new GRUClassifier(o) },
+  logistic: { label: 'Logistic regression',  create: (o) => new LogisticClassifier(o) },
+  mlp:      { label: 'MLP',                  create: (o) => new MLPClassifier(o) },
+  boost:    { label: 'Boosted stumps',       create: (o) => new StumpBoostClassifier(o) }
+};
+
+export function createClassifier(kind = 'gru', opts = {}) {
+  const entry = MODEL_ZOO[kind];
+  if (!entry) throw new Error(`Unknown model type: ${kind}`);
+  return entry.create(opts);
+}
+
+// Restores whichever zoo model a bundle was saved from: boosted stumps by topology format,
+// Keras models by the bundle's config.model (saves without one are GRUs).
+export async function loadClassifier(source, opts = {}) {
+  const url = resolveIO(source);
+  const artifacts = await readArtifacts(url);
+  const kind = artifacts.modelTopology?.format === StumpBoostClassifier.FORMAT ? 'boost'
+    : (artifacts.userDefinedMetadata?.config?.model || 'gru');
+  const clf = createClassifier(kind, opts);
+  await clf.loadArtifacts(artifacts);
+  clf.log?.(`Loaded ${MODEL_ZOO[kind].label} from ${typeof url === 'string' ? url : 'files'}`);
+  return clf;
+}
+
+// Trains every zoo model on the same split; rows sorted by AUC.
+export async function runLeaderboard({ dataset, kinds = Object.keys(MODEL_ZOO), build = {}, fit = {}, threshold = 0.5, seed = DEFAULT_SEED, log = () => {}, onModel }) {
+  const rows = [];
+  const [timesteps, features] = dataset.xTrain.shape.slice(1);
+  for (const kind of kinds) {
+    const clf = createClassifier(kind);
+    try {
+      const t0 = performance.now();
+      await withSeed(seed, () => {
+        clf.build({ ...build, timesteps, features });
+        return clf.fit({ ...fit, xTrain: dataset.xTrain, yTrain: dataset.yTrain });
+      });
+      const seconds = (performance.now() - t0) / 1000;
+      const res = await clf.evaluate({ xTest: dataset.xTest, yTest: dataset.yTest, threshold });
+      rows.push({ kind, label: MODEL_ZOO[kind].label, seconds, ...res });
+      log(`Leaderboard: ${MODEL_ZOO[kind].label} AUC=${res.auc.toFixed(4)} F1=${res.f1.toFixed(4)} (${seconds.toFixed(1)}s)`);
+      onModel?.(rows.length, kinds.length);
+    } finally { clf.dispose(); }
+  }
+  return rows.sort((a,b) => b.auc - a.auc);
+}
@@ -0,0 +1,149 @@
+// pipeline.js
+// Headless prepare → build → fit → calibrate → evaluate → score on top of the core modules, no DOM.
+// Driven by one config object of the same shape App keeps in this.config and writes into model bundles,
+// so a config taken from a bundle or an experiment record reproduces that run here:
+//   { model, testSplit, calSplit, seed, sensitive: { columns, exclude }, imbalance: { strategy, targetRatio,
+//     noiseStd, k, gamma, alpha }, units, layers, lr, epochs, batchSize, validationSplit, patience, restoreBest,
+//     schedule: { type, every, factor, patience, minLr } (schedules.js), calibration, threshold,
+//     thresholdObjective: { objective, costLeave, costIntervention, targetRecall, capacity },
+//     selection: { enabled, freqRatio, uniqueShare, correlation, rank, keep, l1, rfe, folds } (selection.js) }
+// The DataLoader passed in must have its data loaded and schema applied (fromFile + applySchema).
+
+import { makeBundle, readBundle } from './bundle.js';
+import { applyCalibrator, brierScore, expectedCalibrationError, fitCalibrator } from './calibrate.js';
+import { RESAMPLING_STRATEGIES } from './imbalance.js';
+import { rocAuc } from './metrics.js';
+import { createClassifier, loadClassifier } from './models.js';
+import { DEFAULT_SEED, withSeed } from './seed.js';
+import { tf } from './tf.js';
+import { atThreshold, capacityThreshold, chooseThreshold } from './threshold.js';
+
+// Same defaults as the controls in index.html.
+export const DEFAULT_CONFIG = {
+  model: 'gru', testSplit: 0.2, calSplit: 0.15, seed: DEFAULT_SEED, sensitive: null,
+  imbalance: { strategy: 'none', targetRatio: 0.5, noiseStd: 0.05, k: 5, gamma: 2, alpha: 0.75 },
+  units: 128, layers: 1, lr: 1e-3, epochs: 45, batchSize: 16, validationSplit: 0.2, patience: 6, restoreBest: true, schedule: null,
+  calibration: 'platt', threshold: 0.5, thresholdObjective: null, selection: null
+};
+
+// Defaults filled in; focal / classWeight / augment derived from the imbalance strategy like App does.
+// Older configs with augment: { enable, ... } map to jitter oversampling.
+export function resolveConfig(config = {}) {
+  const c = { ...DEFAULT_CONFIG, ...config };
+  const legacy = config.augment && !config.imbalance ? { ...config.augment, strategy: config.augment.strategy ?? (config.augment.enable ? 'noise' : 'none') } : null;
+  const imbalance = { ...DEFAULT_CONFIG.imbalance, ...(legacy || config.imbalance) };
+  const { strategy, targetRatio, noiseStd, k, gamma, alpha } = imbalance;
+  return {
+    ...c, imbalance,
+    augment: { strategy: RESAMPLING_STRATEGIES.includes(strategy) ? strategy : 'none', targetRatio, noiseStd, k, seed: c.seed },
+    focal: strategy === 'focal' ? { gamma: Math.max(0, Number(gamma) || 0), alpha: Math.min(Math.max(Number(alpha) || 0.5, 0), 1) } : null,
+    classWeight: strategy === 'weights' ? 'balanced' : null
+  };
+}
+
+// prepareTensors() output with x tensors as [N, T, F] model inputs.
+export function prepareDataset(dl, config) {
+  const c = resolveConfig(config);
+  dl.setSeed(c.seed);
+  if (c.sensitive) dl.setSensitive(c.sensitive);
+  dl.setSelection(c.selection);
+  const ds = dl.prepareTensors({ testSplit: c.testSplit, calSplit: c.calSplit, augment: c.augment });
+  for (const k of ['xTrain', 'xTest', 'xCal']) if (ds[k]?.rank === 2) { const x3 = ds[k].expandDims(1); ds[k].dispose(); ds[k] = x3; }
+  return ds;
+}
+
+export function disposeDataset(ds) { for (const k of ['xTrain', 'yTrain', 'xTest', 'yTest', 'xCal', 'yCal']) ds?.[k]?.dispose?.(); }
+
+// Calibrated (unless calibration is null) probabilities of a zoo model for an [N, T, F] tensor.
+export async function predictProbabilities(model, x, calibration = null) {
+  const t = model.predict(x);
+  const raw = Array.from(await t.data()); t.dispose();
+  return applyCalibrator(calibration, raw);
+}
+
+// The metrics App shows and records per run, at one threshold.
+export function evaluationMetrics(y, p, threshold, costs) {
+  const op = atThreshold(y, p, threshold, costs);
+  return { prec: op.prec, rec: op.rec, f1: op.f1, auc: rocAuc(y, p), cm: { tp: op.tp, fp: op.fp, fn: op.fn, tn: op.tn },
+    threshold, flagged: op.flagged, cost: op.cost, brier: brierScore(y, p), ece: expectedCalibrationError(y, p), rows: y.length };
+}
+
+// Full training run. Returns { model, dataset, calibration, threshold, metrics, history, config, bundle };
+// the caller owns model and dataset (dispose them when done).
+export async function trainModel({ dl, config = {}, log = () => {}, onEpoch }) {
+  const c = resolveConfig(config);
+  const ds = prepareDataset(dl, c);
+  let model = null;
+  try {
+    const [, timesteps, features] = ds.xTrain.shape;
+    model = createClassifier(c.model, { log });
+    withSeed(c.seed, () => model.build({ timesteps, features, units: c.units, layers: c.layers, lr: c.lr, focal: c.focal }));
+    const history = await withSeed(c.seed, () => model.fit({
+      xTrain: ds.xTrain, yTrain: ds.yTrain, epochs: c.epochs, batchSize: c.batchSize,
+      validationSplit: c.validationSplit, patience: c.patience, classWeight: c.classWeight,
+      restoreBest: c.restoreBest, schedule: c.schedule, onEpoch
+    }));
+
+    let calibration = null;
+    if (ds.xCal && c.calibration && c.calibration !== 'none') {
+      const yCal = Array.from(ds.yCal.dataSync());
+      calibration = fitCalibrator(c.calibration, await predictProbabilities(model, ds.xCal), yCal);
+      log(`Calibration: ${c.calibration} on ${yCal.length} held-out rows.`);
+    }
+
+    const y = Array.from(ds.yTest.dataSync()), p = await predictProbabilities(model, ds.xTest, calibration);
+    let threshold = Number(c.threshold) || 0.5;
+    if (c.thresholdObjective) threshold = Math.floor(chooseThreshold(y, p, c.thresholdObjective).thr * 1e6) / 1e6;
+    const metrics = evaluationMetrics(y, p, threshold, c.thresholdObjective || undefined);
+
+    const runConfig = { ...c, model: model.kind, timesteps, features, sensitive: { columns: dl.sensitive.slice(), exclude: dl.excludeSensitive },
+      calibration: calibration?.method ?? 'none', threshold };
+    return {
+      model, dataset: ds, calibration, threshold, metrics,
+      history: { loss: history.loss.slice(), val_loss: history.val_loss.slice(), lr: history.lr.slice(), bestEpoch: history.bestEpoch },
+      config: runConfig, bundle: makeBundle({ dl, threshold, config: runConfig, calibration })
+    };
+  } catch (e) { model?.dispose(); disposeDataset(ds); throw e; }
+}
+
+// Model + preprocessing restored from a saved bundle into dl. Returns { model, bundle, calibration, threshold }.
+export async function loadBundle({ dl, source, log = () => {} }) {
+  const model = await loadClassifier(source, { log });
+  const bundle = readBundle(model.meta);
+  if (!bundle) { model.dispose(); throw new Error('This model was saved without its preprocessing bundle; it cannot be used headless.'); }
+  dl.importState(bundle.preprocessing);
+  return { model, bundle, calibration: bundle.calibration ?? null, threshold: bundle.threshold };
+}
+
+// Raw rows -> model input tensor through the fitted preprocessing, checked against the model's input shape.
+function toInput(model, dl, rows) {
+  const { X, meta, report } = dl.transform(rows);
+  const expected = model.inputShape, width = dl.panel ? X[0]?.[0]?.length : X[0]?.length;
+  if (expected && width !== expected.at(-1)) throw new Error(`Feature mismatch: model expects ${expected.at(-1)}, pipeline produced ${width}.`);
+  const x = dl.panel ? tf.tensor3d(X) : tf.tensor3d(X.map(v => [v]));
+  return { x, meta, report };
+}
+
+// Labelled rows scored by a restored bundle -> evaluationMetrics at the bundle's threshold (or `threshold`).
+export async function evaluateRows({ model, dl, rows, calibration = null, threshold = 0.5, costs }) {
+  const y = dl.labelsOf(rows);
+  const { x, report } = toInput(model, dl, rows);
+  try {
+    const p = await predictProbabilities(model, x, calibration);
+    return { metrics: evaluationMetrics(y, p, threshold, costs), report };
+  } finally { x.dispose(); }
+}
+
+// Unlabelled rows -> ranked risk list (meta fields + Probability + Predicted). An HR capacity objective flags
+// the top N of this list instead of applying the test-set threshold.
+export async function scoreRows({ model, dl, rows, calibration = null, threshold = 0.5, thresholdObjective = null }) {
+  const { x, meta, report } = toInput(model, dl, rows);
+  let p;
+  try { p = await predictProbabilities(model, x, calibration); } finally { x.dispose(); }
+  const thr = thresholdObjective?.objective === 'capacity' ? capacityThreshold(p, thresholdObjective.capacity) : threshold;
+  const scored = meta.map((m, i) => ({ ...m, Probability: +p[i].toFixed(6), Predicted: p[i] >= thr ? 'Yes' : 'No' }))
+    .sort((a, b) => b.Probability - a.Probability)
+    .map((r, i) => ({ Rank: i + 1, ...r }));
+  return { scored, threshold: thr, flagged: scored.filter(r => r.Predicted === 'Yes').length, report,
+    columns: ['Rank', ...dl.metaFields, 'Probability', 'Predicted'] };
+}
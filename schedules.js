@@ -0,0 +1,38 @@
+// schedules.js
+// Learning-rate schedules for TfClassifier.fit() (boosted stumps apply them to their shrinkage). The rate is
+// set at the start of every epoch from the rate the model was built with:
+//   constant · step (× factor every `every` epochs) · cosine (annealed to minLr over the run)
+//   · plateau (× factor after `patience` epochs without a val_loss improvement, not below minLr)
+// The schedule's state is plain data, so a training checkpoint (checkpoints.js) can carry it.
+
+export const LR_SCHEDULES = { constant: 'Constant', step: 'Step decay', cosine: 'Cosine', plateau: 'Reduce on plateau' };
+export const DEFAULT_SCHEDULE = { type: 'constant', every: 10, factor: 0.5, patience: 3, minLr: 1e-5 };
+
+// spec: { type, every, factor, patience, minLr } (null = constant); base: initial rate; state: from a checkpoint.
+export function createSchedule(spec, base, epochs, state = null) {
+  const s = { ...DEFAULT_SCHEDULE, ...spec };
+  if (!LR_SCHEDULES[s.type]) throw new Error(`Unknown learning-rate schedule: ${s.type}`);
+  const factor = Math.min(Math.max(Number(s.factor) || 0.5, 0.01), 1), minLr = Math.min(Math.max(Number(s.minLr) || 0, 0), base);
+  const st = state ? { ...state } : { lr: base, best: null, wait: 0 };
+  return {
+    type: s.type,
+    get state() { return { ...st }; },
+    // rate for a 0-based epoch
+    at(epoch) {
+      if (s.type === 'step') st.lr = base * factor ** Math.floor(epoch / Math.max(1, s.every | 0));
+      else if (s.type === 'cosine') st.lr = minLr + (base - minLr) * (1 + Math.cos(Math.PI * epoch / Math.max(1, epochs - 1))) / 2;
+      return st.lr;
+    },
+    // after every epoch; true when the plateau rule lowered the rate
+    observe(valLoss) {
+      if (s.type !== 'plateau' || !Number.isFinite(valLoss)) return false;
+      if (st.best === null || valLoss + 1e-6 < st.best) { st.best = valLoss; st.wait = 0; return false; }
+      if (++st.wait < Math.max(1, s.patience | 0)) return false;
+      const next = Math.max(minLr, st.lr * factor);
+      st.wait = 0;
+      if (next >= st.lr) return false;
+      st.lr = next;
+      return true;
+    }
+  };
+}
@@ -0,0 +1,134 @@
+// search.js
+// Hyperparameter search over build (units, layers, lr), fit (epochs, batchSize, patience) and augmentation
+// (augRatio, augNoise) settings. Strategies: grid, random, successive halving. Every trial is trained on
+// DataLoader.tuningSplit() and scored on its validation part — the test split is never looked at.
+// A space maps each key to its candidate values; augRatio 0 turns resampling off, other values use the
+// base config's resampling strategy (imbalance.js; jitter oversampling if it has none). Loss-side imbalance
+// settings (class weights, focal loss) in base apply to every trial.
+// split(augment) can stand in for dl.tuningSplit(), e.g. with the splits searchAugments() lists computed up front.
+
+import { asSequences } from './cv.js';
+import { RESAMPLING_STRATEGIES } from './imbalance.js';
+import { DEFAULT_SEED, rng, withSeed } from './seed.js';
+
+export const DEFAULT_SPACE = {
+  units: [32, 64, 128], layers: [1, 2], lr: [0.003, 0.001],
+  batchSize: [16, 32], epochs: [40], patience: [6],
+  augRatio: [0, 0.3, 0.5], augNoise: [0.05]
+};
+export const SEARCH_KEYS = Object.keys(DEFAULT_SPACE);
+export const SEARCH_STRATEGIES = ['grid', 'random', 'halving'];
+
+export function normalizeSpace(space) {
+  if (!space || typeof space !== 'object' || Array.isArray(space)) throw new Error('Search space must be a JSON object of { key: [values] }.');
+  const out = {};
+  for (const [k, v] of Object.entries(space)) {
+    if (!SEARCH_KEYS.includes(k)) throw new Error(`Unknown search key: ${k} (use ${SEARCH_KEYS.join(', ')})`);
+    const vals = (Array.isArray(v) ? v : [v]).map(Number);
+    if (!vals.length || vals.some(x => !Number.isFinite(x))) throw new Error(`Search key ${k} needs a list of numbers.`);
+    out[k] = vals;
+  }
+  for (const k of SEARCH_KEYS) out[k] ??= DEFAULT_SPACE[k].slice(0, 1);
+  return out;
+}
+
+export function gridTrials(space) {
+  let combos = [{}];
+  for (const [k, vals] of Object.entries(space)) combos = combos.flatMap(c => vals.map(v => ({ ...c, [k]: v })));
+  return combos;
+}
+
+export function randomTrials(space, n, seed = DEFAULT_SEED) {
+  const rand = rng(seed);
+  const seen = new Set(), out = [], total = Object.values(space).reduce((a, v) => a * v.length, 1);
+  while (out.length < Math.min(n, total)) {
+    const p = Object.fromEntries(Object.entries(space).map(([k, vals]) => [k, vals[Math.floor(rand() * vals.length)]]));
+    const key = JSON.stringify(p); if (seen.has(key)) continue;
+    seen.add(key); out.push(p);
+  }
+  return out;
+}
+
+// Trial params (+ base { build, fit, augment }) -> the App's { build, fit, augment } config shapes.
+export function trialConfig(p, base = {}) {
+  const strategy = RESAMPLING_STRATEGIES.includes(base.augment?.strategy) ? base.augment.strategy : 'noise';
+  return {
+    build: { ...base.build, units: p.units, layers: p.layers, lr: p.lr },
+    fit: { ...base.fit, epochs: p.epochs, batchSize: p.batchSize, patience: p.patience },
+    augment: p.augRatio > 0 ? { ...base.augment, strategy, targetRatio: p.augRatio, noiseStd: p.augNoise } : { strategy: 'none' }
+  };
+}
+
+// Distinct resampling settings a search over space trains with (one tuning split each).
+export function searchAugments(space, base = {}) {
+  const S = normalizeSpace(space), out = new Map();
+  for (const p of gridTrials({ augRatio: S.augRatio, augNoise: S.augNoise })) {
+    const { augment } = trialConfig(p, base);
+    out.set(JSON.stringify(augment), augment);
+  }
+  return [...out.values()];
+}
+
+export async function runSearch({
+  dl, createModel, space = DEFAULT_SPACE, strategy = 'random', trials = 12, metric = 'auc',
+  testSplit = 0.2, valSplit = 0.2, eta = 3, threshold = 0.5, base = {}, seed = DEFAULT_SEED, log = () => {}, onTrial,
+  split = (augment) => dl.tuningSplit({ testSplit, valSplit, augment })
+}) {
+  if (!SEARCH_STRATEGIES.includes(strategy)) throw new Error(`Unknown search strategy: ${strategy}`);
+  if (!['auc', 'f1'].includes(metric)) throw new Error(`Unknown search metric: ${metric}`);
+  const S = normalizeSpace(space);
+  const results = [];
+  const splits = new Map();   // augmentation settings -> tuning split (refitting per trial is wasted work)
+
+  // budget: epochs for this run (halving rungs train with fewer than params.epochs)
+  const runTrial = async (params, rung = 0, budget = params.epochs) => {
+    const cfg = trialConfig({ ...params, epochs: budget }, base);
+    const key = JSON.stringify(cfg.augment);
+    if (!splits.has(key)) splits.set(key, split(cfg.augment));
+    const ds = splits.get(key);
+    const model = createModel();
+    const xTrain = asSequences(ds.xTrain), xVal = asSequences(ds.xTest);
+    try {
+      const t0 = performance.now();
+      // every trial starts from the same seed, so an adopted trial retrains to the same weights
+      const hist = await withSeed(seed, () => {
+        model.build({ ...cfg.build, timesteps: xTrain.shape[1], features: xTrain.shape[2] });
+        return model.fit({ ...cfg.fit, xTrain, yTrain: ds.yTrain });
+      });
+      const res = await model.evaluate({ xTest: xVal, yTest: ds.yTest, threshold });
+      const row = { id: results.length + 1, rung, params, score: res[metric], ...res,
+        budget, epochsRun: hist.loss.length, seconds: (performance.now() - t0) / 1000 };
+      results.push(row);
+      log(`Trial ${row.id}${strategy === 'halving' ? ` (rung ${rung})` : ''}: ${metric}=${row.score.toFixed(4)} ${JSON.stringify(params)}`);
+      onTrial?.(row, results);
+      return row;
+    } finally { model.dispose(); xTrain.dispose(); xVal.dispose(); }
+  };
+
+  try {
+    if (strategy === 'grid') {
+      for (const p of gridTrials(S)) await runTrial(p);
+    } else if (strategy === 'random') {
+      for (const p of randomTrials(S, Math.max(1, trials|0), seed)) await runTrial(p);
+    } else {
+      // successive halving: all candidates on a small epoch budget, the best 1/eta move on with eta× the epochs
+      let pool = randomTrials(S, Math.max(2, trials|0), seed);
+      const rungs = Math.max(1, Math.floor(Math.log(pool.length) / Math.log(eta)) + 1);
+      for (let r = 0; r < rungs && pool.length; r++) {
+        const scored = [];
+        for (const p of pool) scored.push(await runTrial(p, r, Math.max(1, Math.round(p.epochs / eta ** (rungs - 1 - r)))));
+        scored.sort((a, b) => b.score - a.score);
+        pool = scored.length > 1 ? scored.slice(0, Math.max(1, Math.floor(scored.length / eta))).map(t => t.params) : [];
+      }
+    }
+  } finally {
+    for (const ds of splits.values()) for (const t of [ds.xTrain, ds.yTrain, ds.xTest, ds.yTest]) t.dispose();
+  }
+  return { trials: results, best: bestTrial(results) };
+}
+
+// Highest score; among halving rungs only the last (full-budget) one counts.
+export function bestTrial(results) {
+  const top = Math.max(...results.map(r => r.rung));
+  return results.filter(r => r.rung === top).reduce((b, r) => (!b || r.score > b.score ? r : b), null);
+}
@@ -0,0 +1,28 @@
+// seed.js
+// One seed for every random draw in a run. Our own code (splits, resampling, search sampling,
+// explanations) takes explicit LCG generators; TF.js (weight init, dropout masks, fit shuffling)
+// only reads Math.random, so withSeed() swaps that in for the duration of a build/fit.
+
+export const DEFAULT_SEED = 1337;
+
+export function rng(seed = DEFAULT_SEED) {
+  let s = (Number(seed) | 0) >>> 0;
+  return () => (s = (s * 1664525 + 1013904223) % 2**32) / 2**32;
+}
+
+export function shuffleInPlace(arr, rand) {
+  for (let i = arr.length - 1; i > 0; i--) { const j = Math.floor(rand() * (i + 1)); [arr[i], arr[j]] = [arr[j], arr[i]]; }
+  return arr;
+}
+
+// Runs fn with Math.random replaced by rng(seed); restored when fn returns or its promise settles.
+// Nested calls restore in order. Anything else drawing Math.random meanwhile shares the seeded stream.
+export function withSeed(seed, fn) {
+  const saved = Math.random;
+  Math.random = rng(seed);
+  let out;
+  try { out = fn(); } catch (e) { Math.random = saved; throw e; }
+  if (typeof out?.then === 'function') return out.finally(() => { Math.random = saved; });
+  Math.random = saved;
+  return out;
+}
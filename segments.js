@@ -0,0 +1,67 @@
+// segments.js
+// Risk segmentation of scored rows (y = 0/1 labels, p = probabilities, same order):
+//   liftTable    — risk deciles (highest first): leave rate, lift over the base rate, cumulative gain / lift
+//   cohortTable  — predicted vs actual attrition per group: mean probability vs leave rate, expected vs
+//                  actual leavers, share flagged at the threshold
+//   topAtRisk    — the N highest-risk rows after an optional column filter and minimum probability
+// Group labels come from fairness.js groupLabels(); tenure columns use TENURE_BANDS instead of quartiles.
+
+import { groupLabels } from './fairness.js';
+
+export const COHORT_COLUMNS = ['Department', 'JobRole', 'YearsAtCompany'];
+export const TENURE_BANDS = { YearsAtCompany: [1, 3, 5, 10], YearsInCurrentRole: [1, 3, 5, 10], YearsWithCurrManager: [1, 3, 5, 10] };
+
+// rows + column -> group label per row (tenure columns banded, other numerics by quartile)
+export const cohortLabels = (rows, column) => groupLabels(rows, column, TENURE_BANDS[column] ? { edges: TENURE_BANDS[column] } : {});
+
+export function liftTable(y, p, bins = 10) {
+  const n = y.length;
+  if (!n || n !== p.length) throw new Error('Lift needs one label and probability per row.');
+  const order = p.map((_, i) => i).sort((a, b) => p[b] - p[a]);
+  const total = y.reduce((s, v) => s + v, 0), base = total / n;
+  const deciles = [];
+  let cumN = 0, cumPos = 0;
+  for (let d = 0; d < bins; d++) {
+    const idx = order.slice(Math.floor(d * n / bins), Math.floor((d + 1) * n / bins));
+    if (!idx.length) continue;
+    const pos = idx.reduce((s, i) => s + y[i], 0), rate = pos / idx.length;
+    cumN += idx.length; cumPos += pos;
+    deciles.push({
+      decile: d + 1, n: idx.length, positives: pos, rate,
+      meanP: idx.reduce((s, i) => s + p[i], 0) / idx.length, minP: p[idx.at(-1)], maxP: p[idx[0]],
+      lift: base > 0 ? rate / base : NaN,
+      population: cumN / n, gain: total > 0 ? cumPos / total : NaN, cumLift: base > 0 ? (cumPos / cumN) / base : NaN
+    });
+  }
+  return { deciles, base, positives: total, n };
+}
+
+// Decile (1 = riskiest) of every row, as ranked by liftTable.
+export function decileOf(p, bins = 10) {
+  const order = p.map((_, i) => i).sort((a, b) => p[b] - p[a]), out = new Array(p.length);
+  order.forEach((i, r) => { out[i] = Math.floor(r * bins / p.length) + 1; });
+  return out;
+}
+
+export function cohortTable({ y, p, groups, threshold = 0.5 }) {
+  if (y.length !== p.length || y.length !== groups.length) throw new Error('Cohorts need one label, probability and group per row.');
+  const by = new Map();
+  groups.forEach((g, i) => {
+    const c = by.get(g) ?? { group: g, n: 0, leavers: 0, expected: 0, flagged: 0 };
+    c.n += 1; c.leavers += y[i]; c.expected += p[i]; c.flagged += p[i] >= threshold ? 1 : 0;
+    by.set(g, c);
+  });
+  return [...by.values()]
+    .map(c => ({ ...c, actual: c.leavers / c.n, predicted: c.expected / c.n, flaggedShare: c.flagged / c.n, gap: (c.expected - c.leavers) / c.n }))
+    .sort((a, b) => b.predicted - a.predicted);
+}
+
+// rows carry Probability; filter = { column, value } against `groups` (labels of filter.column per row).
+export function topAtRisk(rows, { n = 20, minProbability = 0, filter = null, groups = null } = {}) {
+  return rows
+    .map((r, i) => ({ r, i }))
+    .filter(({ r, i }) => r.Probability >= minProbability && (!filter?.value || groups?.[i] === filter.value))
+    .sort((a, b) => b.r.Probability - a.r.Probability)
+    .slice(0, Math.max(1, n | 0))
+    .map(({ r, i }, k) => ({ ...r, Rank: k + 1, index: i }));
+}
@@ -0,0 +1,207 @@
+// selection.js
+// Feature selection on the training rows of a split. DataLoader runs it inside prepareTensors, folds and
+// tuningSplit once the pipeline is fitted, so CV and search folds select on their own training part only.
+// It works on feature groups (a numeric / engineered feature or missing flag alone, a categorical with its
+// whole one-hot block) in four steps:
+//   1. variance    — near-zero variance: constant, or the most common value more than `freqRatio` times as
+//                    frequent as the runner-up while under `uniqueShare` of the values are distinct
+//   2. correlation — of two numeric features with |r| ≥ `correlation`, the one with less mutual information goes
+//   3. ranking     — mutual information with the label ('mi', numerics in quantile bins) or the size of the
+//                    L1-penalized logistic coefficients ('l1', all-zero groups go); keep > 0 keeps the top N
+//   4. rfe         — optional recursive elimination: an L2 logistic model is cross-validated (stratified, seeded)
+//                    on the survivors, the weakest group is dropped, and the size with the best mean AUC wins
+// Every rejected group comes back with its step and reason; the report is stored in featureReport() and bundles.
+
+import { association, quantileBins } from './eda.js';
+import { rocAuc } from './metrics.js';
+import { DEFAULT_SEED, rng, shuffleInPlace } from './seed.js';
+
+export const SELECTION_RANKINGS = { mi: 'Mutual information', l1: 'L1 logistic coefficients' };
+export const DEFAULT_SELECTION = { enabled: false, freqRatio: 19, uniqueShare: 0.1, correlation: 0.9, rank: 'mi', keep: 0, l1: 0.01, rfe: false, folds: 5 };
+
+// UI / bundle config -> normalized settings, or null when selection is off.
+export function selectionConfig(cfg) {
+  const c = { ...DEFAULT_SELECTION, ...cfg };
+  if (!cfg || !c.enabled) return null;
+  return {
+    enabled: true,
+    freqRatio: Math.max(1, Number(c.freqRatio) || DEFAULT_SELECTION.freqRatio),
+    uniqueShare: Math.min(Math.max(Number(c.uniqueShare) || 0, 0), 1),
+    correlation: Math.min(Math.max(Number(c.correlation) || DEFAULT_SELECTION.correlation, 0.5), 1),
+    rank: SELECTION_RANKINGS[c.rank] ? c.rank : 'mi',
+    keep: Math.max(0, Number(c.keep) | 0),
+    l1: Math.max(0, Number(c.l1) || 0),
+    rfe: !!c.rfe,
+    folds: Math.min(Math.max(Number(c.folds) | 0 || 5, 2), 10)
+  };
+}
+
+// X: feature rows (columns = names), y: 0/1 labels, groups: DataLoader.featureGroups() over the same names.
+// Returns { config, kept: [feature names], rejected: [{ feature, features, step, reason }],
+//           ranking: [{ feature, score }] (best first), rfe: { sizes: [{ n, auc, sd }], best, folds } | null }
+export function selectFeatures({ X, y, names, groups }, cfg, { seed = DEFAULT_SEED } = {}) {
+  const config = selectionConfig(cfg);
+  if (!config) throw new Error('Feature selection is not enabled.');
+  if (!X.length || X.length !== y.length) throw new Error('Feature selection needs one label per training row.');
+  const col = (j) => X.map(r => r[j]);
+  const rejected = [];
+  const reject = (g, step, reason) => rejected.push({ feature: g.name, features: g.idx.map(j => names[j]), step, reason });
+
+  // values a group takes per row: the number itself, or the hot level of a one-hot block
+  const levels = (g) => g.kind === 'categorical' ? X.map(r => { const k = g.idx.findIndex(j => r[j] === 1); return k < 0 ? '(none)' : g.values[k]; }) : col(g.idx[0]);
+  const mi = new Map(groups.map(g => [g, association(g.kind === 'categorical' ? levels(g) : quantileBins(col(g.idx[0])), y).mi]));
+
+  // 1. near-zero variance
+  let alive = groups.filter(g => {
+    const counts = new Map();
+    for (const v of levels(g)) counts.set(v, (counts.get(v) || 0) + 1);
+    const [top = 0, second = 0] = [...counts.values()].sort((a, b) => b - a);
+    if (counts.size <= 1) { reject(g, 'variance', 'constant on the training rows'); return false; }
+    const ratio = top / second, unique = counts.size / X.length;
+    if (ratio > config.freqRatio && unique < config.uniqueShare) {
+      reject(g, 'variance', `near-zero variance: most common value ${ratio.toFixed(1)}× the next, ${(100 * unique).toFixed(1)}% distinct`);
+      return false;
+    }
+    return true;
+  });
+
+  // 2. correlation among numeric features, the more informative one of a pair stays
+  const kept = [], stats = new Map();
+  for (const g of alive.slice().sort((a, b) => mi.get(b) - mi.get(a))) {
+    if (g.kind === 'categorical') { kept.push(g); continue; }
+    const x = col(g.idx[0]); stats.set(g, moments(x));
+    const twin = kept.filter(h => h.kind !== 'categorical').map(h => ({ h, r: correlation(x, col(h.idx[0]), stats.get(g), stats.get(h)) }))
+      .find(({ r }) => Math.abs(r) >= config.correlation);
+    if (twin) reject(g, 'correlation', `|r| = ${Math.abs(twin.r).toFixed(2)} with ${twin.h.name}, which carries more information`);
+    else kept.push(g);
+  }
+  alive = alive.filter(g => kept.includes(g));
+
+  // 3. ranking
+  let score = mi;
+  if (config.rank === 'l1') {
+    const idx = alive.flatMap(g => g.idx), { w } = logistic(standardize(X, idx), y, { l1: config.l1 });
+    score = new Map(alive.map(g => [g, g.idx.reduce((s, j) => s + Math.abs(w[idx.indexOf(j)]), 0)]));
+  }
+  const ranked = alive.slice().sort((a, b) => score.get(b) - score.get(a));
+  const ranking = ranked.map(g => ({ feature: g.name, score: score.get(g) }));
+  alive = ranked.filter((g, k) => {
+    if (config.rank === 'l1' && score.get(g) === 0 && k > 0) { reject(g, 'ranking', `L1 coefficient 0 at λ = ${config.l1}`); return false; }
+    if (config.keep && k >= config.keep) { reject(g, 'ranking', `rank ${k + 1} by ${config.rank === 'l1' ? '|L1 coefficient|' : 'mutual information'}, outside the top ${config.keep}`); return false; }
+    return true;
+  });
+
+  // 4. recursive elimination with cross-validation
+  let rfe = null;
+  if (config.rfe && alive.length > 1) {
+    const folds = stratifiedFolds(y, config.folds, seed), sizes = [];
+    let current = alive.slice();
+    while (current.length) {
+      const idx = current.flatMap(g => g.idx), Z = standardize(X, idx);
+      const aucs = folds.map(test => {
+        const inTest = new Set(test), train = y.map((_, i) => i).filter(i => !inTest.has(i));
+        const { w, b } = logistic(train.map(i => Z[i]), train.map(i => y[i]), { l2: 0.01 });
+        return rocAuc(test.map(i => y[i]), test.map(i => sigmoid(dot(Z[i], w) + b)));
+      }).filter(Number.isFinite);
+      const auc = aucs.reduce((s, v) => s + v, 0) / Math.max(1, aucs.length);
+      sizes.push({ n: current.length, auc, sd: Math.sqrt(aucs.reduce((s, v) => s + (v - auc) ** 2, 0) / Math.max(1, aucs.length - 1)), groups: current });
+      if (current.length === 1) break;
+      const { w } = logistic(Z, y, { l2: 0.01 });
+      const weight = (g) => g.idx.reduce((s, j) => s + Math.abs(w[idx.indexOf(j)]), 0);
+      const weakest = current.reduce((a, g) => weight(g) < weight(a) ? g : a);
+      current = current.filter(g => g !== weakest);
+    }
+    const best = sizes.reduce((a, s) => s.auc >= a.auc - 1e-9 ? s : a);   // ties go to the smaller set
+    for (const g of alive.filter(g => !best.groups.includes(g)))
+      reject(g, 'rfe', `recursive elimination: dropped once ${sizes.find(s => !s.groups.includes(g)).n + 1} remained (best CV AUC ${best.auc.toFixed(3)} with ${best.n})`);
+    alive = alive.filter(g => best.groups.includes(g));
+    rfe = { sizes: sizes.map(({ n, auc, sd }) => ({ n, auc, sd })), best: best.n, folds: config.folds };
+  }
+
+  // never leave the model without inputs
+  if (!alive.length && groups.length) {
+    const top = ranked[0] ?? groups[0], k = rejected.findIndex(r => r.feature === top.name);
+    if (k >= 0) rejected.splice(k, 1);
+    alive = [top];
+  }
+  const keep = new Set(alive.flatMap(g => g.idx));
+  return { config, kept: names.filter((_, j) => keep.has(j)), rejected, ranking, rfe };
+}
+
+// ---------- helpers ----------
+const dot = (a, b) => { let s = 0; for (let j = 0; j < a.length; j++) s += a[j] * b[j]; return s; };
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+
+function moments(x) {
+  const n = x.length, mean = x.reduce((s, v) => s + v, 0) / n;
+  return { mean, sd: Math.sqrt(x.reduce((s, v) => s + (v - mean) ** 2, 0) / n) };
+}
+
+function correlation(x, z, mx, mz) {
+  if (!(mx.sd > 0) || !(mz.sd > 0)) return 0;
+  let c = 0;
+  for (let i = 0; i < x.length; i++) c += (x[i] - mx.mean) * (z[i] - mz.mean);
+  return c / (x.length * mx.sd * mz.sd);
+}
+
+// Columns idx of X, each centred and scaled to unit variance (constant ones become 0).
+function standardize(X, idx) {
+  const m = idx.map(j => moments(X.map(r => r[j])));
+  return X.map(r => idx.map((j, k) => m[k].sd > 0 ? (r[j] - m[k].mean) / m[k].sd : 0));
+}
+
+// Logistic regression on standardized rows by FISTA (proximal gradient): mean log-loss + l2/2·|w|² + l1·|w|₁,
+// intercept unpenalized. Returns { w, b }.
+function logistic(Z, y, { l1 = 0, l2 = 0, iters = 500, tol = 1e-6 } = {}) {
+  const n = Z.length, p = Z[0]?.length ?? 0;
+  const step = 1 / (0.25 * 1.05 * topEigen(Z) + l2);   // 1 / Lipschitz constant of the smooth part's gradient
+  let w = new Array(p).fill(0), b = 0, vw = w.slice(), vb = 0, t = 1;
+  for (let it = 0; it < iters; it++) {
+    const gw = new Array(p).fill(0);
+    let gb = 0;
+    for (let i = 0; i < n; i++) {
+      const e = sigmoid(dot(Z[i], vw) + vb) - y[i];
+      gb += e;
+      for (let j = 0; j < p; j++) gw[j] += e * Z[i][j];
+    }
+    const nw = vw.map((v, j) => {
+      const u = v - step * (gw[j] / n + l2 * v);
+      return Math.sign(u) * Math.max(0, Math.abs(u) - step * l1);
+    });
+    const nb = vb - step * gb / n;
+    const tn = (1 + Math.sqrt(1 + 4 * t * t)) / 2, mom = (t - 1) / tn;
+    const change = Math.max(Math.abs(nb - b), ...nw.map((v, j) => Math.abs(v - w[j])));
+    vw = nw.map((v, j) => v + mom * (v - w[j])); vb = nb + mom * (nb - b);
+    w = nw; b = nb; t = tn;
+    if (change < tol) break;
+  }
+  return { w, b };
+}
+
+// Largest eigenvalue of [Z 1]ᵀ[Z 1] / n by power iteration.
+function topEigen(Z, iters = 30) {
+  const n = Z.length, p = (Z[0]?.length ?? 0) + 1;
+  let v = new Array(p).fill(1 / Math.sqrt(p)), lambda = 1;
+  for (let it = 0; it < iters; it++) {
+    const u = new Array(p).fill(0);
+    for (const r of Z) {
+      const zv = dot(r, v) + v[p - 1];
+      for (let j = 0; j < p - 1; j++) u[j] += zv * r[j] / n;
+      u[p - 1] += zv / n;
+    }
+    lambda = Math.sqrt(u.reduce((s, x) => s + x * x, 0));
+    if (!(lambda > 0)) return 1;
+    v = u.map(x => x / lambda);
+  }
+  return lambda;
+}
+
+// k test folds of row indices, stratified by label, shuffled with the seed.
+function stratifiedFolds(y, k, seed) {
+  const rand = rng(seed), folds = Array.from({ length: k }, () => []);
+  for (const label of [1, 0]) {
+    const idx = shuffleInPlace(y.flatMap((v, i) => v === label ? [i] : []), rand);
+    idx.forEach((i, n) => folds[n % k].push(i));
+  }
+  return folds.filter(f => f.length);
+}
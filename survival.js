@@ -0,0 +1,289 @@
+// survival.js
+// Time-to-attrition analysis on (time, event) pairs: time = tenure (e.g. YearsAtCompany), event = 1 for a
+// leaver, 0 for an employee still there (censored at their current tenure).
+//   kaplanMeier   — product-limit survival curve with Greenwood / log-log 95% intervals and the median
+//   logRank       — k-group log-rank test (χ² with k − 1 df)
+//   fitCox        — Cox proportional hazards by Newton–Raphson on the Efron partial likelihood, with a small
+//                   ridge penalty; constant and duplicated columns are dropped first. Wald SEs from the
+//                   inverse information, Efron baseline cumulative hazard for predictions
+//   stayProbabilities — P(still employed k more years | employed at the current tenure) per employee
+//   concordance   — Harrell's C of a risk score (higher = leaves sooner)
+
+import { chiSquareSurvival } from './eda.js';
+
+export const DEFAULT_DURATION = 'YearsAtCompany';
+export const SURVIVAL_HORIZONS = [1, 2, 5];
+// Measured at the same time as tenure and bounded by it, so they leak the duration into a Cox model.
+export const TENURE_BOUNDED = ['YearsInCurrentRole', 'YearsWithCurrManager', 'YearsSinceLastPromotion'];
+
+const Z95 = 1.959964;
+
+// Distinct times ascending, each with its rows.
+function byTime(time) {
+  const groups = new Map();
+  time.forEach((t, i) => { if (!groups.has(t)) groups.set(t, []); groups.get(t).push(i); });
+  return [...groups.entries()].sort((a, b) => a[0] - b[0]);
+}
+
+export function kaplanMeier(time, event) {
+  if (time.length !== event.length) throw new Error('Survival data needs one event flag per duration.');
+  let atRisk = time.length, s = 1, greenwood = 0, median = null;
+  const steps = [];
+  for (const [t, idx] of byTime(time)) {
+    const d = idx.filter(i => event[i]).length, c = idx.length - d;
+    if (d) {
+      s *= 1 - d / atRisk;
+      greenwood += atRisk > d ? d / (atRisk * (atRisk - d)) : 0;
+    }
+    let lo = s, hi = s;
+    if (s > 0 && s < 1) {
+      const se = Math.sqrt(greenwood) / Math.abs(Math.log(s));
+      lo = s ** Math.exp(Z95 * se); hi = s ** Math.exp(-Z95 * se);
+    }
+    if (median === null && s <= 0.5) median = t;
+    steps.push({ t, atRisk, events: d, censored: c, s, lo, hi });
+    atRisk -= idx.length;
+  }
+  return { steps, n: time.length, events: event.reduce((a, v) => a + (v ? 1 : 0), 0), median };
+}
+
+// { s, lo, hi } at time t from a kaplanMeier() curve; null past the last observed time.
+export function survivalAt({ steps }, t) {
+  if (!steps.length || t > steps.at(-1).t) return null;
+  let at = { s: 1, lo: 1, hi: 1 };
+  for (const st of steps) { if (st.t > t) break; at = { s: st.s, lo: st.lo, hi: st.hi }; }
+  return at;
+}
+
+// groups: one label per row. Returns null with fewer than two groups.
+export function logRank(time, event, groups) {
+  const levels = [...new Set(groups)].sort();
+  const k = levels.length;
+  if (k < 2) return null;
+  const g = groups.map(v => levels.indexOf(v));
+  const atRisk = levels.map((_, j) => g.filter(x => x === j).length);
+  const O = new Array(k).fill(0), E = new Array(k).fill(0);
+  const V = Array.from({ length: k }, () => new Array(k).fill(0));
+  for (const [, idx] of byTime(time)) {
+    const n = atRisk.reduce((a, b) => a + b, 0), dj = new Array(k).fill(0);
+    for (const i of idx) if (event[i]) dj[g[i]]++;
+    const d = dj.reduce((a, b) => a + b, 0);
+    if (d) {
+      for (let a = 0; a < k; a++) {
+        O[a] += dj[a]; E[a] += d * atRisk[a] / n;
+        if (n > 1) for (let b = 0; b < k; b++) V[a][b] += d * (n - d) / (n - 1) * (atRisk[a] / n) * ((a === b ? 1 : 0) - atRisk[b] / n);
+      }
+    }
+    for (const i of idx) atRisk[g[i]]--;
+  }
+  const diff = O.slice(0, k - 1).map((o, a) => o - E[a]);
+  const x = solve(V.slice(0, k - 1).map(r => r.slice(0, k - 1)), diff);
+  const chi2 = x ? diff.reduce((s, v, a) => s + v * x[a], 0) : NaN;
+  return {
+    chi2, df: k - 1, p: Number.isFinite(chi2) ? chiSquareSurvival(chi2, k - 1) : NaN,
+    groups: levels.map((level, a) => ({ group: level, observed: O[a], expected: E[a] }))
+  };
+}
+
+// X: rows of covariates (already scaled), time, event. Returns the fitted model:
+//   { beta (0 for dropped columns), se, columns (kept indices), dropped: [{ index, reason, of? }],
+//     loglik, nullLoglik, lrChi2, lrP, iterations, converged, l2, baseline: [{ t, H }], lastEvent, n, events }
+export function fitCox(X, time, event, { l2 = 0.01, maxIter = 50, tol = 1e-9 } = {}) {
+  const n = X.length, p = X[0]?.length ?? 0;
+  if (!n || n !== time.length || n !== event.length) throw new Error('Cox model needs one duration and event flag per row.');
+  const events = event.reduce((a, v) => a + (v ? 1 : 0), 0);
+  if (!events) throw new Error('No events (leavers) to fit a Cox model on.');
+
+  const { columns, dropped } = usableColumns(X, p);
+  if (!columns.length) throw new Error('No usable covariates for the Cox model.');
+  const Z = X.map(r => columns.map(j => r[j])), q = columns.length;
+  const groups = byTime(time).reverse();   // descending: the risk set grows as we go
+
+  const penalized = (b, f) => f.loglik - l2 / 2 * b.reduce((s, v) => s + v * v, 0);
+  let beta = new Array(q).fill(0), fit = efron(Z, event, beta, groups);
+  const nullLoglik = fit.loglik;
+  let iterations = 0, converged = false, current = penalized(beta, fit);
+  for (; iterations < maxIter && !converged; iterations++) {
+    const grad = fit.grad.map((g, j) => g - l2 * beta[j]);
+    const info = fit.info.map((r, j) => r.map((v, k) => v + (j === k ? l2 : 0)));
+    const step = solve(info, grad);
+    if (!step) throw new Error('Cox model: information matrix is singular; raise the ridge penalty.');
+    let scale = 1, next, nextFit, value;
+    for (let h = 0; h < 30; h++, scale /= 2) {
+      next = beta.map((b, j) => b + scale * step[j]);
+      nextFit = efron(Z, event, next, groups);
+      value = penalized(next, nextFit);
+      if (Number.isFinite(value) && value >= current - 1e-12) break;
+    }
+    converged = Math.abs(value - current) <= tol * (Math.abs(current) + 0.1);
+    beta = next; fit = nextFit; current = value;
+  }
+
+  const info = fit.info.map((r, j) => r.map((v, k) => v + (j === k ? l2 : 0)));
+  const cov = invert(info);
+  const full = new Array(p).fill(0), se = new Array(p).fill(NaN);
+  columns.forEach((j, a) => { full[j] = beta[a]; se[j] = cov ? Math.sqrt(Math.max(0, cov[a][a])) : NaN; });
+
+  // Efron baseline cumulative hazard at the event times
+  const w = Z.map(r => Math.exp(dot(r, beta)));
+  const baseline = [];
+  let S0 = 0;
+  for (const [t, idx] of groups) {
+    for (const i of idx) S0 += w[i];
+    const dead = idx.filter(i => event[i]), d = dead.length;
+    if (!d) continue;
+    const D0 = dead.reduce((s, i) => s + w[i], 0);
+    let dH = 0;
+    for (let l = 0; l < d; l++) dH += 1 / (S0 - l / d * D0);
+    baseline.push({ t, dH });
+  }
+  baseline.reverse();
+  let H = 0;
+  const cumulative = baseline.map(({ t, dH }) => ({ t, H: (H += dH) }));
+
+  const lrChi2 = 2 * (fit.loglik - nullLoglik);
+  return {
+    beta: full, se, columns, dropped, l2, n, events, iterations, converged,
+    loglik: fit.loglik, nullLoglik, lrChi2, lrP: chiSquareSurvival(Math.max(0, lrChi2), q),
+    baseline: cumulative, lastEvent: cumulative.at(-1)?.t ?? 0
+  };
+}
+
+// Efron partial log-likelihood, gradient and information (negative Hessian) at beta.
+function efron(Z, event, beta, groups) {
+  const q = beta.length, eta = Z.map(r => dot(r, beta));
+  const shift = Math.max(...eta), w = eta.map(e => Math.exp(e - shift));   // the likelihood is shift-invariant
+  const S1 = new Array(q).fill(0), S2 = Array.from({ length: q }, () => new Array(q).fill(0));
+  const grad = new Array(q).fill(0), info = Array.from({ length: q }, () => new Array(q).fill(0));
+  let S0 = 0, loglik = 0;
+  for (const [, idx] of groups) {
+    for (const i of idx) addOuter(Z[i], w[i], S1, S2), S0 += w[i];
+    const dead = idx.filter(i => event[i]), d = dead.length;
+    if (!d) continue;
+    const D1 = new Array(q).fill(0), D2 = Array.from({ length: q }, () => new Array(q).fill(0));
+    let D0 = 0;
+    for (const i of dead) {
+      addOuter(Z[i], w[i], D1, D2); D0 += w[i];
+      loglik += eta[i];
+      for (let j = 0; j < q; j++) grad[j] += Z[i][j];
+    }
+    for (let l = 0; l < d; l++) {
+      const a = l / d, s0 = S0 - a * D0, s1 = S1.map((v, j) => v - a * D1[j]);
+      loglik -= Math.log(s0) + shift;
+      for (let j = 0; j < q; j++) {
+        grad[j] -= s1[j] / s0;
+        for (let k = 0; k <= j; k++) info[j][k] += (S2[j][k] - a * D2[j][k]) / s0 - s1[j] * s1[k] / (s0 * s0);
+      }
+    }
+  }
+  for (let j = 0; j < q; j++) for (let k = 0; k < j; k++) info[k][j] = info[j][k];
+  return { loglik, grad, info };
+}
+
+function addOuter(z, w, S1, S2) {
+  for (let j = 0; j < z.length; j++) {
+    const wz = w * z[j];
+    S1[j] += wz;
+    for (let k = 0; k <= j; k++) S2[j][k] += wz * z[k];
+  }
+}
+
+// Leave out constant columns and exact duplicates (|r| ≈ 1 with an earlier kept column).
+function usableColumns(X, p) {
+  const n = X.length, mean = new Array(p).fill(0), sd = new Array(p).fill(0);
+  for (const r of X) for (let j = 0; j < p; j++) mean[j] += r[j] / n;
+  for (const r of X) for (let j = 0; j < p; j++) sd[j] += (r[j] - mean[j]) ** 2 / n;
+  for (let j = 0; j < p; j++) sd[j] = Math.sqrt(sd[j]);
+  const columns = [], dropped = [];
+  for (let j = 0; j < p; j++) {
+    if (sd[j] < 1e-9) { dropped.push({ index: j, reason: 'constant' }); continue; }
+    const dup = columns.find(k => {
+      let c = 0;
+      for (const r of X) c += (r[j] - mean[j]) * (r[k] - mean[k]);
+      return Math.abs(c / (n * sd[j] * sd[k])) > 1 - 1e-9;
+    });
+    if (dup !== undefined) dropped.push({ index: j, reason: 'duplicate', of: dup });
+    else columns.push(j);
+  }
+  return { columns, dropped };
+}
+
+// Linear predictor (log relative hazard) per row.
+export const coxRisk = (model, X) => X.map(r => dot(r, model.beta));
+
+// Baseline cumulative hazard H0(t) (flat past the last event).
+export function cumulativeHazard({ baseline }, t) {
+  let lo = 0, hi = baseline.length;
+  while (lo < hi) { const m = (lo + hi) >> 1; if (baseline[m].t <= t) lo = m + 1; else hi = m; }
+  return lo ? baseline[lo - 1].H : 0;
+}
+
+// P(T > from + k | T > from) for each horizon k; beyond = the horizon ends past the last observed event, where
+// the baseline hazard is flat and the probability an upper bound.
+export function stayProbabilities(model, eta, from, horizons = SURVIVAL_HORIZONS) {
+  const h0 = cumulativeHazard(model, from), r = Math.exp(eta);
+  return horizons.map(k => ({
+    horizon: k, p: Math.exp(-(cumulativeHazard(model, from + k) - h0) * r), beyond: from + k > model.lastEvent
+  }));
+}
+
+// Per-feature hazard ratios: per unit of the covariate as given (one SD for scaled features) and, with
+// `scale` (the scaler's SDs), per raw unit (for a one-hot column: in that category vs the reference level).
+export function hazardRatios(model, names, scale = null) {
+  return model.columns.map(j => {
+    const b = model.beta[j], se = model.se[j], z = b / se;
+    return {
+      feature: names[j], beta: b, se, z, p: Number.isFinite(z) ? chiSquareSurvival(z * z, 1) : NaN,
+      hr: Math.exp(b), lo: Math.exp(b - Z95 * se), hi: Math.exp(b + Z95 * se),
+      hrUnit: scale ? Math.exp(b / scale[j]) : NaN
+    };
+  });
+}
+
+// Harrell's C: among pairs where the shorter time is an event (a tie with a censored time counts as shorter),
+// the share where that employee has the higher risk; tied risks count half.
+export function concordance(time, event, risk) {
+  const n = time.length;
+  if (n !== event.length || n !== risk.length) throw new Error('Concordance needs one duration, event and risk per row.');
+  let comparable = 0, concordant = 0, tied = 0;
+  for (let i = 0; i < n; i++) {
+    if (!event[i]) continue;
+    for (let j = 0; j < n; j++) {
+      if (i === j || !(time[i] < time[j] || (time[i] === time[j] && !event[j]))) continue;
+      comparable++;
+      if (risk[i] > risk[j]) concordant++; else if (risk[i] === risk[j]) tied++;
+    }
+  }
+  return { c: comparable ? (concordant + tied / 2) / comparable : NaN, comparable, concordant, tied };
+}
+
+// ---------- linear algebra (small, symmetric positive definite) ----------
+const dot = (a, b) => { let s = 0; for (let j = 0; j < a.length; j++) s += a[j] * b[j]; return s; };
+
+function cholesky(A) {
+  const n = A.length, L = Array.from({ length: n }, () => new Array(n).fill(0));
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let s = A[i][j];
+      for (let k = 0; k < j; k++) s -= L[i][k] * L[j][k];
+      if (i === j) { if (!(s > 1e-12)) return null; L[i][i] = Math.sqrt(s); } else L[i][j] = s / L[j][j];
+    }
+  }
+  return L;
+}
+
+function cholSolve(L, b) {
+  const n = L.length, y = new Array(n), x = new Array(n);
+  for (let i = 0; i < n; i++) { let s = b[i]; for (let k = 0; k < i; k++) s -= L[i][k] * y[k]; y[i] = s / L[i][i]; }
+  for (let i = n - 1; i >= 0; i--) { let s = y[i]; for (let k = i + 1; k < n; k++) s -= L[k][i] * x[k]; x[i] = s / L[i][i]; }
+  return x;
+}
+
+function solve(A, b) { const L = cholesky(A); return L ? cholSolve(L, b) : null; }
+
+function invert(A) {
+  const L = cholesky(A);
+  if (!L) return null;
+  const cols = A.map((_, j) => cholSolve(L, A.map((__, i) => (i === j ? 1 : 0))));
+  return A.map((_, i) => cols.map(c => c[i]));
+}
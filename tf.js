@@ -0,0 +1,11 @@
+// tf.js
+// The TensorFlow.js instance the core modules use. In the browser it is the global from the <script> tag;
+// headless callers (cli.js, tests) install their own with setTF() — tfjs-node or plain tfjs — before training.
+// Importers hold a live binding, so the swap reaches every module.
+
+export let tf = globalThis.tf;
+
+export function setTF(lib) {
+  if (!lib?.tensor || !lib?.io) throw new Error('setTF() needs a TensorFlow.js module.');
+  tf = lib;
+}
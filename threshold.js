@@ -0,0 +1,62 @@
+// threshold.js
+// Operating-point selection on scored rows (y = 0/1 labels, p = probabilities):
+//   f1        — maximize F1
+//   cost      — minimize expected cost: FN × cost of losing an employee + flagged × cost of an intervention
+//   recall    — highest threshold that still reaches the target recall (fewest interventions)
+//   capacity  — flag at most N employees (HR capacity): threshold at the N-th highest probability
+// A threshold t flags p >= t. sweep() evaluates every distinct probability as a candidate.
+
+import { confusion } from './metrics.js';
+
+export const OBJECTIVES = ['f1', 'cost', 'recall', 'capacity'];
+
+// Candidates from strict (nobody flagged) to lenient (everybody flagged), with their confusion matrices.
+export function sweep(y, p) {
+  const order = p.map((v, i) => i).sort((a, b) => p[b] - p[a]);
+  const P = y.reduce((a, v) => a + v, 0), N = y.length - P;
+  const out = [{ thr: 1 + 1e-9, tp: 0, fp: 0, fn: P, tn: N }];
+  let tp = 0, fp = 0;
+  for (let k = 0; k < order.length; k++) {
+    if (y[order[k]] === 1) tp++; else fp++;
+    if (k + 1 < order.length && p[order[k + 1]] === p[order[k]]) continue;   // ties flip together
+    out.push({ thr: p[order[k]], tp, fp, fn: P - tp, tn: N - fp });
+  }
+  return out.map(c => ({ ...c, ...rates(c) }));
+}
+
+function rates({ tp, fp, fn, tn }) {
+  const prec = tp / Math.max(1, tp + fp), rec = tp / Math.max(1, tp + fn);
+  return { prec, rec, fpr: fp / Math.max(1, fp + tn), f1: 2 * prec * rec / Math.max(1e-9, prec + rec), flagged: tp + fp };
+}
+
+export function expectedCost({ tp, fp, fn }, { costLeave = 0, costIntervention = 0 } = {}) {
+  return fn * costLeave + (tp + fp) * costIntervention;
+}
+
+// Returns { thr, ...confusion, prec, rec, f1, flagged, cost } for the objective's best operating point.
+export function chooseThreshold(y, p, { objective = 'f1', costLeave = 0, costIntervention = 0, targetRecall = 0.8, capacity = 10 } = {}) {
+  if (!OBJECTIVES.includes(objective)) throw new Error(`Unknown threshold objective: ${objective}`);
+  if (!p.length) throw new Error('No predictions to choose a threshold on.');
+  const costs = { costLeave, costIntervention };
+  const cands = sweep(y, p).map(c => ({ ...c, cost: expectedCost(c, costs) }));
+  let best;
+  if (objective === 'f1') best = cands.reduce((b, c) => c.f1 > b.f1 ? c : b);
+  else if (objective === 'cost') best = cands.reduce((b, c) => c.cost < b.cost ? c : b);
+  else if (objective === 'recall') best = cands.find(c => c.rec >= targetRecall) ?? cands.at(-1);
+  else best = cands.filter(c => c.flagged <= Math.max(0, capacity | 0)).at(-1);
+  return { ...best, thr: Math.min(1, best.thr) };
+}
+
+// Operating point of a given threshold (live confusion matrix for the threshold input).
+export function atThreshold(y, p, thr, costs) {
+  const cm = confusion(y, p, thr);
+  return { thr, ...cm, ...rates(cm), cost: expectedCost(cm, costs) };
+}
+
+// Threshold that flags the top n scores of an unlabeled list (capacity objective when scoring new data).
+export function capacityThreshold(p, n) {
+  const s = Array.from(p).sort((a, b) => b - a);
+  return n <= 0 ? 1 + 1e-9 : n >= s.length ? 0 : s[n - 1] > s[n] ? s[n - 1] : nextAbove(s, s[n]);
+}
+// ties at the cut would exceed capacity: move the cut above the tied block
+function nextAbove(s, v) { const i = s.findIndex(x => x <= v); return i > 0 ? s[i - 1] : 1 + 1e-9; }
@@ -0,0 +1,129 @@
+// train-jobs.js
+// The heavy loops as plain-data jobs, run by the training worker (train-worker.js) or on the page (trainer.js):
+//   train        build a zoo model (seeded), start from the page model's weights, fit -> { history, artifacts };
+//                save = { every, record } writes an IndexedDB checkpoint every N epochs (checkpoints.js),
+//                resume = { state, best } continues from one (artifacts are then the checkpoint's)
+//   predict      restore artifacts, predict one split -> { p }
+//   cv           crossValidate() over precomputed folds
+//   leaderboard  runLeaderboard() on the prepared split
+//   search       runSearch() over the tuning splits searchAugments() lists
+// Tensors travel as { shape, dtype, data } (packTensor), models as tfjs model artifacts.
+// A control (createControl) carries log / progress to the page and pause / cancel into the fit loops through
+// the classifiers' checkpoint hook; a cancelled job throws an error with cancelled = true.
+
+import { saveCheckpoint } from './checkpoints.js';
+import { crossValidate } from './cv.js';
+import { createClassifier, runLeaderboard } from './models.js';
+import { runSearch } from './search.js';
+import { withSeed } from './seed.js';
+import { tf } from './tf.js';
+
+const TENSOR_KEYS = ['xTrain', 'yTrain', 'xTest', 'yTest', 'xCal', 'yCal'];
+
+export const isCancelled = (e) => e?.cancelled === true;
+export const cancelledError = () => Object.assign(new Error('Cancelled.'), { cancelled: true });
+
+export async function packTensor(t) { return { shape: t.shape.slice(), dtype: t.dtype, data: await t.data() }; }
+const unpackTensor = ({ shape, dtype, data }) => tf.tensor(data, shape, dtype);
+
+// Split / fold object -> its tensors (keys) and scalar fields (fold, k) as plain data; dispose frees the originals.
+export async function packDataset(ds, { keys = TENSOR_KEYS, dispose = false } = {}) {
+  const out = {};
+  for (const [k, v] of Object.entries(ds)) {
+    if (!TENSOR_KEYS.includes(k)) { if (['number', 'string', 'boolean'].includes(typeof v)) out[k] = v; continue; }
+    if (v && keys.includes(k)) out[k] = await packTensor(v);
+    if (dispose) v?.dispose?.();
+  }
+  return out;
+}
+
+function unpackDataset(p) {
+  const out = { ...p };
+  for (const k of TENSOR_KEYS) if (p[k]) out[k] = unpackTensor(p[k]);
+  return out;
+}
+
+export function createControl({ log = () => {}, progress = () => {} } = {}) {
+  let paused = false, cancelled = false, wake = null, lastYield = 0;
+  const release = () => { const w = wake; wake = null; w?.(); };
+  return {
+    log, progress,
+    get paused() { return paused; },
+    get cancelled() { return cancelled; },
+    pause() { paused = true; },
+    resume() { paused = false; release(); },
+    cancel() { cancelled = true; release(); },
+    // Called between batches. Yields to the event loop every ~50 ms so pause/cancel messages get through.
+    checkpoint: async () => {
+      if (performance.now() - lastYield > 50) { await new Promise(r => setTimeout(r, 0)); lastYield = performance.now(); }
+      while (paused && !cancelled) await new Promise(r => { wake = r; });
+      if (cancelled) throw cancelledError();
+    }
+  };
+}
+
+async function train({ kind, build, fit, seed, artifacts, xTrain, yTrain, save = null, resume = null }, ctl) {
+  const model = createClassifier(kind, { log: ctl.log });
+  const x = unpackTensor(xTrain), y = unpackTensor(yTrain);
+  const onSave = save && (async ({ epoch, state }) => {
+    try {
+      await saveCheckpoint({ ...save.record, epoch, epochs: fit.epochs, state, artifacts: await model.toArtifacts(), best: await model.bestArtifacts() });
+      ctl.log(`Checkpoint saved after epoch ${epoch + 1}.`);
+    } catch (e) { ctl.log(`Checkpoint not saved: ${e.message || e}`); }
+  });
+  try {
+    withSeed(seed, () => model.build(build));
+    if (artifacts) await model.copyWeights(artifacts);
+    const history = await withSeed(seed, () => model.fit({
+      ...fit, xTrain: x, yTrain: y, checkpoint: ctl.checkpoint, resume, saveEvery: save?.every ?? 0, onSave,
+      onEpoch: (epoch, logs) => ctl.progress({ epoch, epochs: fit.epochs, loss: logs.loss, val_loss: logs.val_loss, lr: logs.lr })
+    }));
+    return { history, artifacts: await model.toArtifacts() };
+  } finally { model.dispose(); x.dispose(); y.dispose(); }
+}
+
+async function predict({ kind, artifacts, x }, ctl) {
+  const model = createClassifier(kind, { log: ctl.log }), t = unpackTensor(x);
+  try {
+    await model.loadArtifacts(artifacts);
+    const p = model.predict(t);
+    try { return { p: await p.data() }; } finally { p.dispose(); }
+  } finally { model.dispose(); t.dispose(); }
+}
+
+function cv({ kind, folds, build, fit, threshold, seed }, ctl) {
+  // unpacked one at a time; crossValidate disposes each fold, a cancel leaves the rest packed
+  const source = (function* () { for (const f of folds) yield unpackDataset(f); })();
+  return crossValidate({
+    folds: source, threshold, build, fit: { ...fit, checkpoint: ctl.checkpoint }, seed, log: ctl.log,
+    createModel: () => createClassifier(kind),
+    onEpoch: (fold, epoch) => ctl.progress({ fold, epoch }),
+    onFold: (row, k) => ctl.progress({ row, k })
+  });
+}
+
+async function leaderboard({ dataset, build, fit, threshold, seed }, ctl) {
+  const ds = unpackDataset(dataset);
+  try {
+    return await runLeaderboard({ dataset: ds, build, fit: { ...fit, checkpoint: ctl.checkpoint }, threshold, seed, log: ctl.log,
+      onModel: (done, total) => ctl.progress({ done, total }) });
+  } finally { for (const k of TENSOR_KEYS) ds[k]?.dispose?.(); }
+}
+
+function search({ kind, splits, base, ...opts }, ctl) {
+  const byKey = new Map(splits.map(s => [s.key, s.data]));
+  return runSearch({
+    ...opts, createModel: () => createClassifier(kind), log: ctl.log,
+    base: { ...base, fit: { ...base.fit, checkpoint: ctl.checkpoint } },
+    split: (augment) => unpackDataset(byKey.get(JSON.stringify(augment))),
+    onTrial: (row) => ctl.progress({ trial: row })
+  });
+}
+
+const JOBS = { train, predict, cv, leaderboard, search };
+
+export async function runJob(name, payload, control) {
+  const job = JOBS[name];
+  if (!job) throw new Error(`Unknown training job: ${name}`);
+  return job(payload, control);
+}
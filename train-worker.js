@@ -0,0 +1,36 @@
+// train-worker.js
+// Module worker that runs train-jobs.js off the page's thread (started by trainer.js). Messages:
+//   page → worker  { type: 'init', tfUrl } · { type: 'run', id, job, payload } · { type: 'pause' | 'resume' | 'cancel' }
+//   worker → page  { type: 'log', msg } · { type: 'progress', id, data } · { type: 'done', id, result }
+//                  · { type: 'error', id, message, cancelled } · { type: 'unavailable', id, message } (TF.js failed to load)
+// TensorFlow.js is the page's own script (tfUrl); its UMD bundle registers globalThis.tf when imported.
+
+import { createControl, runJob } from './train-jobs.js';
+import { setTF } from './tf.js';
+
+let ready = null, control = null;
+const post = (m) => self.postMessage(m);
+
+async function loadTF(url) {
+  if (!url) throw new Error('No TensorFlow.js URL given to the training worker.');
+  const mod = await import(url);
+  const lib = mod?.tensor ? mod : globalThis.tf;
+  setTF(lib);
+  await lib.ready();
+  post({ type: 'log', msg: `Training worker: TensorFlow.js ${lib.version?.tfjs ?? ''} on ${lib.getBackend()}.` });
+}
+
+self.onmessage = async ({ data: m }) => {
+  if (m.type === 'init') { ready = loadTF(m.tfUrl); ready.catch(() => {}); return; }
+  if (m.type !== 'run') { control?.[m.type]?.(); return; }
+  const ctl = control = createControl({
+    log: (msg) => post({ type: 'log', msg }),
+    progress: (data) => post({ type: 'progress', id: m.id, data })
+  });
+  try { await ready; } catch (e) { post({ type: 'unavailable', id: m.id, message: e?.message || String(e) }); return; }
+  try {
+    post({ type: 'done', id: m.id, result: await runJob(m.job, m.payload, ctl) });
+  } catch (e) {
+    post({ type: 'error', id: m.id, message: e?.message || String(e), cancelled: ctl.cancelled });
+  } finally { if (control === ctl) control = null; }
+};
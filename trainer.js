@@ -0,0 +1,107 @@
+// trainer.js
+// Page-side handle on the training worker (train-worker.js): one job at a time (train-jobs.js), log lines and
+// progress streamed back, pause / resume / cancel. A cancelled job rejects with an error that isCancelled()
+// recognises and leaves nothing half-applied: results only reach the page when a job completes.
+// Without Worker support or a tfUrl, or if the worker fails to start, jobs run on the page through the same
+// code, still pausable and cancellable between batches.
+
+import { cancelledError, createControl, runJob } from './train-jobs.js';
+
+export const JOB_LABELS = { train: 'Training', predict: 'Evaluation', cv: 'Cross-validation', leaderboard: 'Leaderboard', search: 'Search' };
+
+export class Trainer {
+  constructor({ tfUrl = null, log = () => {}, onState = () => {} } = {}) {
+    this.tfUrl = tfUrl; this.log = log;
+    this.onState = onState;     // (state, job) on every change: 'idle' | 'running' | 'paused' | 'cancelling'
+    this.inline = typeof Worker === 'undefined' || !tfUrl;
+    this.worker = null;
+    this.current = null;        // { id, job, payload, onProgress, resolve, reject, paused, cancelling, control }
+    this.nextId = 1;
+  }
+
+  get busy() { return !!this.current; }
+  get state() {
+    const c = this.current;
+    return !c ? 'idle' : c.cancelling ? 'cancelling' : c.paused ? 'paused' : 'running';
+  }
+
+  run(job, payload, { onProgress = () => {} } = {}) {
+    if (this.current) return Promise.reject(new Error(`${JOB_LABELS[this.current.job] ?? this.current.job} is still running: wait for it or cancel it first.`));
+    return new Promise((resolve, reject) => {
+      this.current = { id: this.nextId++, job, payload, onProgress, resolve, reject, paused: false, cancelling: false, control: null };
+      this.#emit();
+      if (this.inline) this.#runInline(this.current);
+      else this.#post(this.current);
+    });
+  }
+
+  pause() {
+    if (this.state !== 'running') return;
+    this.current.paused = true; this.#control('pause');
+    this.log(`${JOB_LABELS[this.current.job]} paused.`); this.#emit();
+  }
+  resume() {
+    if (this.state !== 'paused') return;
+    this.current.paused = false; this.#control('resume');
+    this.log(`${JOB_LABELS[this.current.job]} resumed.`); this.#emit();
+  }
+  // Settles once the job reaches its next checkpoint (the end of the current batch).
+  cancel() {
+    if (!this.current || this.current.cancelling) return;
+    this.current.cancelling = true; this.#control('cancel'); this.#emit();
+  }
+
+  dispose() { this.cancel(); this.worker?.terminate(); this.worker = null; }
+
+  #emit() { this.onState(this.state, this.current?.job ?? null); }
+
+  #control(type) {
+    if (this.inline) this.current.control?.[type]();
+    else this.worker?.postMessage({ type });
+  }
+
+  #settle(c, error, result) {
+    if (this.current !== c) return;
+    this.current = null; this.#emit();
+    if (error) c.reject(error); else c.resolve(result);
+  }
+
+  async #runInline(c) {
+    c.control = createControl({ log: this.log, progress: (d) => c.onProgress(d) });
+    if (c.paused) c.control.pause();
+    if (c.cancelling) c.control.cancel();
+    try { this.#settle(c, null, await runJob(c.job, c.payload, c.control)); }
+    catch (e) { this.#settle(c, c.control.cancelled ? cancelledError() : e); }
+  }
+
+  #post(c) {
+    if (!this.worker) {
+      try {
+        this.worker = new Worker(new URL('./train-worker.js', import.meta.url), { type: 'module' });
+      } catch (e) { return this.#fallBack(e.message || String(e)); }
+      this.worker.onmessage = ({ data }) => this.#onMessage(data);
+      this.worker.onerror = (e) => { e.preventDefault?.(); this.#fallBack(e.message || 'the worker script failed to load'); };
+      this.worker.postMessage({ type: 'init', tfUrl: this.tfUrl });
+    }
+    this.worker.postMessage({ type: 'run', id: c.id, job: c.job, payload: c.payload });
+    if (c.paused) this.worker.postMessage({ type: 'pause' });
+    if (c.cancelling) this.worker.postMessage({ type: 'cancel' });
+  }
+
+  #onMessage(m) {
+    if (m.type === 'log') { this.log(m.msg); return; }
+    const c = this.current;
+    if (!c || m.id !== c.id) return;
+    if (m.type === 'progress') c.onProgress(m.data);
+    else if (m.type === 'done') this.#settle(c, null, m.result);
+    else if (m.type === 'error') this.#settle(c, m.cancelled ? cancelledError() : new Error(m.message));
+    else if (m.type === 'unavailable') this.#fallBack(m.message);
+  }
+
+  // The worker could not start (no module workers, blocked script): the running job and later ones go inline.
+  #fallBack(reason) {
+    this.worker?.terminate(); this.worker = null; this.inline = true;
+    this.log(`Training worker unavailable (${reason}); running jobs on the page.`);
+    if (this.current) this.#runInline(this.current);
+  }
+}
@@ -0,0 +1,84 @@
+// whatif.js
+// What-if edits and counterfactual retention suggestions for one employee (raw attribute row).
+// Scoring is left to the caller (score(rows) -> probabilities through the fitted pipeline and model), so
+// this module only decides which edits to try:
+//   ACTIONS    — levers HR can actually pull, with the values worth trying (only in the helpful direction)
+//   IMMUTABLE  — attributes that are never changed (demographics, history); sensitive columns are added by the caller
+// counterfactuals() looks for the smallest set of changes that brings p below the threshold: all single changes
+// first, then a beam of the best partial sets grows one change at a time up to maxChanges.
+
+export const ACTIONS = {
+  OverTime:                { values: ['No'] },
+  BusinessTravel:          { values: ['Travel_Rarely', 'Non-Travel'] },
+  StockOptionLevel:        { deltas: [1, 2, 3], max: 3 },
+  PercentSalaryHike:       { deltas: [3, 5, 10], max: 25 },
+  MonthlyIncome:           { factors: [1.05, 1.1, 1.2] },
+  JobLevel:                { deltas: [1], max: 5 },
+  YearsSinceLastPromotion: { values: [0] },
+  TrainingTimesLastYear:   { deltas: [1, 2, 3], max: 6 },
+  WorkLifeBalance:         { deltas: [1, 2], max: 4 },
+  EnvironmentSatisfaction: { deltas: [1, 2], max: 4 },
+  JobSatisfaction:         { deltas: [1, 2], max: 4 },
+  JobInvolvement:          { deltas: [1, 2], max: 4 }
+};
+
+export const IMMUTABLE = ['Age', 'Gender', 'MaritalStatus', 'Education', 'EducationField', 'TotalWorkingYears',
+  'NumCompaniesWorked', 'YearsAtCompany', 'YearsInCurrentRole', 'YearsWithCurrManager', 'DistanceFromHome'];
+
+// Candidate values for one column, smallest change first; each { value, size } with size = rank of the step.
+export function candidateValues(value, action) {
+  const out = [], seen = new Set([String(value)]);
+  const add = (v) => { if (!seen.has(String(v))) { seen.add(String(v)); out.push({ value: v, size: out.length + 1 }); } };
+  if (action.values) for (const v of action.values) add(v);
+  const x = Number(value);
+  if (Number.isFinite(x) && value !== null && value !== '') {
+    const clip = (v) => Math.min(action.max ?? Infinity, Math.max(action.min ?? -Infinity, v));
+    for (const d of action.deltas || []) add(clip(x + d));
+    for (const f of action.factors || []) add(clip(Math.round(x * f)));
+  }
+  return out;
+}
+
+const describe = (changes) => changes.map(c => `${c.column}: ${c.from ?? '—'} → ${c.value}`).join(', ');
+
+// row: attribute object; actions: { column: action } for the unlocked columns only.
+// Returns { base, threshold, reached, suggestions: [{ changes: [{ column, from, value }], p, size, label }] }.
+export async function counterfactuals({ row, score, threshold, actions, maxChanges = 3, beam = 20, top = 5 }) {
+  const [base] = await score([row]);
+  const options = Object.entries(actions).flatMap(([column, action]) =>
+    candidateValues(row[column], action).map(c => ({ column, from: row[column], ...c })));
+  const result = (reached, suggestions) => ({ base, threshold, reached, suggestions: suggestions.slice(0, top)
+    .map(s => ({ changes: s.changes.map(({ column, from, value }) => ({ column, from, value })), p: s.p, size: s.size, label: describe(s.changes) })) });
+  if (base < threshold) return result(true, []);
+  if (!options.length) return result(false, []);
+
+  let frontier = [{ changes: [], size: 0 }], best = [];
+  for (let k = 1; k <= maxChanges; k++) {
+    const seen = new Set(), sets = [];
+    for (const s of frontier) {
+      const used = new Set(s.changes.map(c => c.column));
+      for (const o of options) {
+        if (used.has(o.column)) continue;
+        const changes = [...s.changes, o].sort((a, b) => a.column.localeCompare(b.column));
+        const key = changes.map(c => `${c.column}=${c.value}`).join('|');
+        if (seen.has(key)) continue;
+        seen.add(key); sets.push({ changes, size: s.size + o.size });
+      }
+    }
+    if (!sets.length) break;
+    const p = await score(sets.map(s => apply(row, s.changes)));
+    sets.forEach((s, i) => { s.p = p[i]; });
+    const hits = sets.filter(s => s.p < threshold).sort((a, b) => a.size - b.size || a.p - b.p);
+    if (hits.length) return result(true, hits);
+    sets.sort((a, b) => a.p - b.p);
+    best = [...best, ...sets].sort((a, b) => a.p - b.p).slice(0, top);
+    frontier = sets.slice(0, beam);
+  }
+  return result(false, best);
+}
+
+export function apply(row, changes) {
+  const out = { ...row };
+  for (const c of changes) out[c.column] = c.value;
+  return out;
+}